@@ -0,0 +1,214 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const cors = require("cors");
+const NotificationService = require("./services");
+const templates = require("./services/templateService");
+const { startScheduler } = require("./services/jobs");
+const { migrateLegacyTargets } = require("./services/targets");
+const { ensureAdmins } = require("./services/accounts");
+const { authenticate, requireRole } = require("./middleware/auth");
+const { useClock } = require("./utils/clock");
+const authRouter = require("./routes/auth");
+const remindersRouter = require("./routes/reminders");
+const userRouter = require("./routes/user");
+const plansRouter = require("./routes/plans");
+const targetsRouter = require("./routes/targets");
+const calendarRouter = require("./routes/calendar");
+const pomodoroRouter = require("./routes/pomodoro");
+const todosRouter = require("./routes/todos");
+const adminRouter = require("./routes/admin");
+
+// Enhanced CORS Configuration
+const allowedOrigins = [
+  "https://mindstreamer.netlify.app",
+  "http://localhost:3000",
+  "http://127.0.0.1:3000",
+  "http://localhost:5000",
+  "http://127.0.0.1:5000",
+];
+
+const corsOptions = {
+  origin: function (origin, callback) {
+    // Allow requests with no origin (like mobile apps or curl requests)
+    if (!origin) return callback(null, true);
+
+    if (allowedOrigins.includes(origin)) {
+      callback(null, true);
+    } else {
+      callback(new Error("Not allowed by CORS"));
+    }
+  },
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization"],
+  exposedHeaders: [
+    "X-Guest-Expires-At",
+    "RateLimit-Limit",
+    "RateLimit-Remaining",
+    "RateLimit-Reset",
+    "RateLimit-Policy",
+    "Retry-After",
+  ],
+  credentials: true,
+  optionsSuccessStatus: 200,
+};
+
+// MongoDB Connection with Retry Logic. Resolves once connected and the
+// startup tasks have run; until then every 5 seconds brings another attempt.
+function connectWithRetry(mongoURI) {
+  return new Promise((resolve) => {
+    const attempt = () => {
+      console.log("Attempting MongoDB connection...");
+
+      mongoose
+        .connect(mongoURI, {
+          serverSelectionTimeoutMS: 5000,
+          socketTimeoutMS: 45000,
+        })
+        .then(async () => {
+          console.log("Connected to MongoDB");
+          startScheduler(mongoose.connection.db);
+          await migrateLegacyTargets();
+          await ensureAdmins();
+          resolve();
+        })
+        .catch((err) => {
+          console.error("MongoDB connection error:", err.message);
+          console.log("Retrying connection in 5 seconds...");
+          setTimeout(attempt, 5000);
+        });
+    };
+    attempt();
+  });
+}
+
+// Builds the API without starting it (server.js listens; tests use it
+// directly). Everything outside the request cycle can be handed in:
+//   db      MongoDB connection string, connected in the background (the
+//           job scheduler then starts on the same database);
+//           app.locals.ready resolves once it's up. Leave it out when
+//           mongoose is connected some other way.
+//   mailer  an email transport (see services/mailTransport.js), e.g. a
+//           fake that keeps what was sent
+//   clock   { now() } for the reminder engine and everything else that
+//           schedules (see utils/clock.js)
+function createApp({ db, mailer, clock } = {}) {
+  if (mailer) NotificationService.email.useTransport(mailer);
+  if (clock) useClock(clock);
+
+  // Compile the email templates up front so a broken template shows up in
+  // the boot log, not as a failed send hours later
+  try {
+    templates.load();
+  } catch (err) {
+    console.error("Email template error:", err.message);
+  }
+
+  const app = express();
+
+  // Behind a proxy (Vercel, a load balancer) req.ip is the proxy's address
+  // unless X-Forwarded-For is trusted, and rate limits key on req.ip.
+  // TRUST_PROXY is a hop count, "true", or a list of proxy addresses.
+  const trustProxy = process.env.TRUST_PROXY ?? (process.env.VERCEL ? "1" : "");
+  if (/^\d+$/.test(trustProxy)) {
+    app.set("trust proxy", Number(trustProxy));
+  } else if (trustProxy) {
+    app.set("trust proxy", trustProxy === "true" || trustProxy);
+  }
+
+  // Apply CORS middleware
+  app.use(cors(corsOptions));
+  app.options("/", cors(corsOptions));
+  // Account imports carry everything at once; every other route keeps the
+  // default body limit
+  app.use("/api/user/import", express.json({ limit: "10mb" }));
+  app.use(express.json());
+
+  app.use("/api", authRouter);
+  app.use("/api", remindersRouter);
+  app.use("/api", userRouter);
+  app.use("/api", plansRouter);
+  app.use("/api", targetsRouter);
+  app.use("/api", calendarRouter);
+  app.use("/api", pomodoroRouter);
+  app.use("/api", todosRouter);
+  app.use("/api/admin", authenticate, requireRole("admin"), adminRouter);
+
+  // Health Check Endpoint
+  app.get("/api/health", (req, res) => {
+    res.json({
+      status: "OK",
+      dbState: mongoose.connection.readyState,
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || "development",
+    });
+  });
+
+  // Email template preview for designers; only mounted when NODE_ENV is
+  // "development".
+  // GET /api/dev/emails/:template renders the template with its sample data
+  // from template/samples.json; query parameters override sample fields and
+  // ?format=text shows the generated plain-text part.
+  if (process.env.NODE_ENV === "development") {
+    app.get("/api/dev/emails", (req, res) => {
+      try {
+        res.json({ templates: templates.reload() });
+      } catch (err) {
+        console.error("Email template error:", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get("/api/dev/emails/:template", (req, res) => {
+      try {
+        // Re-read from disk so edits show up on refresh
+        templates.reload();
+        if (!templates.names().includes(req.params.template)) {
+          return res.status(404).json({ error: "Template not found" });
+        }
+
+        const { format, ...overrides } = req.query;
+        const { html, text } = templates.render(req.params.template, {
+          ...templates.sample(req.params.template),
+          ...overrides,
+        });
+
+        if (format === "text") return res.type("text/plain").send(text);
+        res.type("html").send(html);
+      } catch (err) {
+        console.error("Email template error:", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+  }
+
+  // Request Logger
+  app.use((req, res, next) => {
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+    next();
+  });
+
+  // Error Handling Middleware
+  app.use((err, req, res, next) => {
+    console.error(err.stack);
+
+    // Handle CORS errors
+    if (err.message === "Not allowed by CORS") {
+      return res.status(403).json({
+        error: "CORS policy: Origin not allowed",
+        allowedOrigins: allowedOrigins,
+      });
+    }
+
+    // Handle other errors
+    res.status(500).json({
+      error: "Internal server error",
+      message: err.message,
+    });
+  });
+
+  app.locals.ready =
+    typeof db === "string" ? connectWithRetry(db) : Promise.resolve();
+  return app;
+}
+
+module.exports = { createApp, allowedOrigins };
@@ -0,0 +1,75 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const AuthSession = require("../models/AuthSession");
+const { migrateLegacyTarget } = require("../services/targets");
+const { guestStatus } = require("../utils/guest");
+
+// Requires a valid access token; sets req.user and req.sessionId
+const authenticate = async (req, res, next) => {
+  const token = req.header("Authorization")?.replace("Bearer ", "");
+  if (!token)
+    return res.status(401).json({ error: "Access denied. No token provided." });
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded._id);
+
+    if (!user) {
+      return res.status(401).json({ error: "User not found" });
+    }
+    if (user.disabledAt) {
+      return res.status(403).json({ error: "This account has been disabled" });
+    }
+
+    // Covers tokens without a session too (issued before sessions existed)
+    if (
+      user.passwordChangedAt &&
+      decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)
+    ) {
+      return res
+        .status(401)
+        .json({ error: "Password changed. Please sign in again." });
+    }
+    if (
+      decoded.sid &&
+      !(await AuthSession.exists({
+        _id: decoded.sid,
+        owner: user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }))
+    ) {
+      return res.status(401).json({ error: "Session has ended" });
+    }
+
+    req.user = user;
+    req.sessionId = decoded.sid;
+  } catch (err) {
+    return res.status(401).json({ error: "Invalid token" });
+  }
+
+  // Lets the client warn a guest before their data is deleted
+  const guest = guestStatus(req.user);
+  if (guest) res.set("X-Guest-Expires-At", guest.expiresAt.toISOString());
+
+  // Accounts from before multiple targets; everyone else skips the trip to
+  // the database
+  if (req.user.targetDate) {
+    try {
+      await migrateLegacyTarget(req.user);
+    } catch (err) {
+      console.error("Target migration error:", err);
+    }
+  }
+  next();
+};
+
+// Only lets users with `role` through; use after authenticate
+const requireRole = (role) => (req, res, next) => {
+  if (req.user?.role !== role) {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+  next();
+};
+
+module.exports = { authenticate, requireRole };
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// One action taken through the admin API: who did it, to whom, and the
+// details needed to tell later what changed. Entries are never updated.
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Kept alongside the id so entries still read well after a deletion
+    actorEmail: String,
+    action: { type: String, required: true },
+    targetUser: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    targetEmail: String,
+    details: mongoose.Schema.Types.Mixed,
+    ip: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ targetUser: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// One signed-in device. The refresh token itself is never stored, only its
+// SHA-256; every refresh rotates it, and previousTokenHash lets a replayed
+// (stolen) token be recognised so the session can be shut down.
+const AuthSessionSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    previousTokenHash: String,
+    userAgent: String,
+    ip: String,
+    lastUsedAt: Date,
+    expiresAt: { type: Date, required: true },
+    revokedAt: Date,
+  },
+  { timestamps: true },
+);
+
+AuthSessionSchema.index({ owner: 1, lastUsedAt: -1 });
+AuthSessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+// Expired sessions (revoked ones included) are removed by MongoDB
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AuthSession", AuthSessionSchema);
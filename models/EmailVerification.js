@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// A pending email confirmation. "account" confirms the login email after
+// signup; "notification" confirms a new notification address, which only
+// replaces the old one once confirmed. The token is stored as a SHA-256.
+const EmailVerificationSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    email: { type: String, required: true },
+    purpose: {
+      type: String,
+      enum: ["account", "notification"],
+      required: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true },
+);
+
+// One pending confirmation per purpose; a new request replaces the old one
+EmailVerificationSchema.index({ owner: 1, purpose: 1 }, { unique: true });
+EmailVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("EmailVerification", EmailVerificationSchema);
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// One notification on one channel, with every attempt to deliver it. Failed
+// deliveries are retried with exponential backoff (nextAttemptAt) until they
+// either go out or run out of attempts and are dead-lettered.
+const NotificationDeliverySchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: { type: String, required: true },
+    channel: { type: String, enum: ["email", "sms", "push"], required: true },
+    status: {
+      type: String,
+      enum: ["sending", "sent", "retrying", "dead"],
+      required: true,
+    },
+    // Human-readable subject for the history view, e.g. the reminder label
+    summary: String,
+    // The reminder this was for, if any
+    reminderId: String,
+    attempts: { type: Number, default: 1 },
+    lastError: String,
+    nextAttemptAt: Date,
+    sentAt: Date,
+    // What sendUserNotification needs to try again; never sent to clients
+    payload: { type: mongoose.Schema.Types.Mixed, select: false },
+  },
+  { timestamps: true },
+);
+
+NotificationDeliverySchema.index({ owner: 1, createdAt: -1 });
+NotificationDeliverySchema.index(
+  { nextAttemptAt: 1 },
+  { partialFilterExpression: { status: "retrying" } },
+);
+// History is kept for NOTIFICATION_HISTORY_DAYS (default 90)
+NotificationDeliverySchema.index(
+  { createdAt: 1 },
+  {
+    expireAfterSeconds:
+      (Number(process.env.NOTIFICATION_HISTORY_DAYS) || 90) * 24 * 60 * 60,
+  },
+);
+
+module.exports = mongoose.model(
+  "NotificationDelivery",
+  NotificationDeliverySchema,
+);
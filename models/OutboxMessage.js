@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// Every email we try to send, whatever the transport, with what happened to
+// it. Lets you see what would have gone out when running on the file/log
+// transports. Old entries expire after OUTBOX_TTL_DAYS (default 30).
+const OutboxMessageSchema = new mongoose.Schema(
+  {
+    to: { type: String, required: true },
+    from: String,
+    subject: String,
+    template: String,
+    transport: String,
+    status: {
+      type: String,
+      enum: ["pending", "sent", "failed"],
+      default: "pending",
+    },
+    messageId: String,
+    error: String,
+    html: String,
+    text: String,
+    sentAt: Date,
+  },
+  { timestamps: true },
+);
+
+OutboxMessageSchema.index(
+  { createdAt: 1 },
+  {
+    expireAfterSeconds:
+      (Number(process.env.OUTBOX_TTL_DAYS) || 30) * 24 * 60 * 60,
+  },
+);
+OutboxMessageSchema.index({ to: 1, createdAt: -1 });
+OutboxMessageSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("OutboxMessage", OutboxMessageSchema);
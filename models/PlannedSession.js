@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// A study session the schedule generator has put in the calendar (as
+// opposed to StudySession, which is time actually studied). Future planned
+// sessions are thrown away and rebuilt whenever the schedule is regenerated;
+// past ones stay as done or missed.
+const PlannedSessionSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StudyPlan",
+      required: true,
+    },
+    // The user's calendar day, "YYYY-MM-DD"
+    day: { type: String, required: true },
+    minutes: { type: Number, required: true },
+    status: {
+      type: String,
+      enum: ["planned", "done", "missed"],
+      default: "planned",
+    },
+    // End of `day` in the user's timezone; past it, a still-planned session
+    // counts as missed
+    endsAt: { type: Date, required: true },
+    // Id of the reminder created for this session, if the plan wants them
+    reminderId: String,
+  },
+  { timestamps: true },
+);
+
+PlannedSessionSchema.index({ owner: 1, day: 1 });
+PlannedSessionSchema.index({ plan: 1, day: 1 });
+PlannedSessionSchema.index(
+  { endsAt: 1 },
+  { partialFilterExpression: { status: "planned" } },
+);
+
+module.exports = mongoose.model("PlannedSession", PlannedSessionSchema);
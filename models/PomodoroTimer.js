@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+const { PHASES, DEFAULT_SETTINGS } = require("../utils/pomodoro");
+
+// The authoritative Pomodoro timer, one per user. While running the end of
+// the phase is phaseEndsAt; while idle or paused it's remainingMs.
+const PomodoroTimerSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    settings: {
+      workMinutes: { type: Number, default: DEFAULT_SETTINGS.workMinutes },
+      shortBreakMinutes: {
+        type: Number,
+        default: DEFAULT_SETTINGS.shortBreakMinutes,
+      },
+      longBreakMinutes: {
+        type: Number,
+        default: DEFAULT_SETTINGS.longBreakMinutes,
+      },
+      cyclesBeforeLongBreak: {
+        type: Number,
+        default: DEFAULT_SETTINGS.cyclesBeforeLongBreak,
+      },
+      autoStart: { type: Boolean, default: DEFAULT_SETTINGS.autoStart },
+    },
+    phase: { type: String, enum: PHASES, default: "work" },
+    status: {
+      type: String,
+      enum: ["idle", "running", "paused"],
+      default: "idle",
+    },
+    // Work intervals completed since the last long break
+    cycle: { type: Number, default: 0 },
+    completedWorkIntervals: { type: Number, default: 0 },
+    phaseStartedAt: Date,
+    phaseEndsAt: Date,
+    remainingMs: Number,
+    // Where completed work intervals are credited
+    plan: { type: mongoose.Schema.Types.ObjectId, ref: "StudyPlan" },
+    todoId: String,
+  },
+  { timestamps: true },
+);
+
+PomodoroTimerSchema.index(
+  { phaseEndsAt: 1 },
+  { partialFilterExpression: { status: "running" } },
+);
+
+module.exports = mongoose.model("PomodoroTimer", PomodoroTimerSchema);
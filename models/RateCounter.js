@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Fixed-window counter shared by every server instance, e.g. failed password
+// reset attempts per IP. MongoDB removes counters once their window is over.
+const RateCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+});
+
+RateCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Counts one hit against `key` and returns the counter. A counter whose
+// window has passed (but that MongoDB hasn't removed yet) starts over.
+RateCounterSchema.statics.hit = async function (
+  key,
+  windowMs,
+  now = new Date(),
+) {
+  const current = await this.findOneAndUpdate(
+    { key, expiresAt: { $gt: now } },
+    { $inc: { count: 1 } },
+    { new: true },
+  );
+  if (current) return current;
+
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { count: 1, expiresAt: new Date(now.getTime() + windowMs) } },
+    { new: true, upsert: true },
+  );
+};
+
+// Hits so far in the current window
+RateCounterSchema.statics.peek = async function (key, now = new Date()) {
+  const current = await this.findOne({ key, expiresAt: { $gt: now } });
+  return { count: current?.count || 0, expiresAt: current?.expiresAt };
+};
+
+RateCounterSchema.statics.clear = function (key) {
+  return this.deleteOne({ key });
+};
+
+module.exports = mongoose.model("RateCounter", RateCounterSchema);
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+const { getTriggerTime } = require("../utils/reminderUtils");
+
+// Repeat rule for a reminder, see utils/recurrence.js
+const RecurrenceSchema = new mongoose.Schema(
+  {
+    freq: {
+      type: String,
+      enum: ["daily", "weekly", "monthly", "yearly"],
+      required: true,
+    },
+    interval: { type: Number, default: 1 },
+    byWeekday: [String],
+    byMonthDay: [Number],
+    until: String,
+    count: Number,
+    rrule: String,
+  },
+  { _id: false },
+);
+
+const ReminderSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Client-generated id the API addresses reminders by
+  id: { type: String, required: true },
+  label: String,
+  date: String,
+  time: String,
+  advanceNotice: String,
+  advanceUnit: String,
+  isActive: Boolean,
+  triggered: { type: Boolean, default: false },
+  snoozedUntil: Date,
+  triggerAt: String,
+  eventAt: String,
+  displayDateTime: String,
+  planId: { type: mongoose.Schema.Types.ObjectId, ref: "StudyPlan" },
+  targetId: { type: mongoose.Schema.Types.ObjectId, ref: "Target" },
+  recurrence: RecurrenceSchema,
+  occurrenceCount: { type: Number, default: 0 },
+  notificationResults: {
+    email: String,
+    sms: String,
+    push: String,
+  },
+  notifiedAt: Date,
+  snoozeCount: { type: Number, default: 0 },
+  acknowledgedAt: Date,
+  // Absolute instant the reminder fires next; derived from date/time,
+  // advance notice, snooze and the owner's timezone by updateTriggerTime()
+  nextTriggerAt: Date,
+  createdAt: Date,
+});
+
+ReminderSchema.index({ owner: 1, id: 1 }, { unique: true });
+// Due-reminder lookup: one indexed range scan over armed reminders only
+ReminderSchema.index(
+  { nextTriggerAt: 1 },
+  { partialFilterExpression: { isActive: true, triggered: false } },
+);
+
+// Must be called whenever anything feeding the trigger time changes, before
+// saving — the owner's timezone lives on the User document
+ReminderSchema.methods.updateTriggerTime = function (timezone) {
+  const triggerTime =
+    this.date || this.triggerAt ? getTriggerTime(this, timezone) : null;
+  this.nextTriggerAt = triggerTime && !isNaN(triggerTime) ? triggerTime : null;
+  return this.nextTriggerAt;
+};
+
+module.exports = mongoose.model("Reminder", ReminderSchema);
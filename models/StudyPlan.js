@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+const { WEEKDAYS } = require("../utils/recurrence");
+const { todayInZone } = require("../utils/timezone");
+const { planCompletion } = require("../utils/studyStats");
+const clock = require("../utils/clock");
+
+// A subject the user is studying towards, with the days they've studied it
+// and, optionally, a generated schedule (see services/studyPlans.js)
+const StudyPlanSchema = new mongoose.Schema({
+  subject: String,
+  topic: String,
+  hours: Number,
+  daysPerWeek: Number,
+  startDate: Date,
+  endDate: Date,
+  priority: {
+    type: String,
+    enum: ["low", "medium", "high"],
+    default: "medium",
+  },
+  resources: String,
+  milestone: String,
+  notes: String,
+  completed: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  progress: {
+    type: Number,
+    default: 0,
+  },
+  studiedDays: {
+    type: [String],
+    default: [],
+  },
+  // Sum of completed study sessions, counted against `hours`
+  loggedMinutes: {
+    type: Number,
+    default: 0,
+  },
+  targetId: { type: mongoose.Schema.Types.ObjectId, ref: "Target" },
+  // Generated schedule (POST /api/plans/:planId/schedule). weekdays limits
+  // which days it may use (empty = any); sessionTime is when reminders for
+  // planned sessions fire, if the user wants them.
+  schedule: {
+    enabled: { type: Boolean, default: false },
+    weekdays: [{ type: String, enum: WEEKDAYS }],
+    sessionTime: { type: String, default: "18:00" },
+    reminders: { type: Boolean, default: false },
+    shortfallMinutes: { type: Number, default: 0 },
+    generatedAt: Date,
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+});
+
+// progress is derived from studiedDays, never taken from the client
+StudyPlanSchema.methods.refreshProgress = function (
+  timezone,
+  now = clock.now(),
+) {
+  this.progress = planCompletion(this, todayInZone(timezone, now)).completion;
+  return this.progress;
+};
+
+module.exports = mongoose.model("StudyPlan", StudyPlanSchema);
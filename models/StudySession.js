@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// A timed (or manually logged) stretch of study on one plan. Timer state is
+// kept as accumulatedMs plus runningSince so pause/resume/stop can be done
+// as single atomic updates.
+const StudySessionSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StudyPlan",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["running", "paused", "completed"],
+      default: "running",
+    },
+    source: {
+      type: String,
+      enum: ["timer", "manual", "pomodoro"],
+      default: "timer",
+    },
+    // true while running or paused; at most one per user (see index below)
+    open: { type: Boolean, default: true },
+    startedAt: { type: Date, required: true },
+    endedAt: Date,
+    runningSince: Date,
+    accumulatedMs: { type: Number, default: 0 },
+    durationMinutes: { type: Number, default: 0 },
+    // The user's calendar day the session started on
+    day: String,
+    note: String,
+  },
+  { timestamps: true },
+);
+
+// Guard against two open sessions at the same time, even across tabs
+StudySessionSchema.index(
+  { owner: 1 },
+  { unique: true, partialFilterExpression: { open: true } },
+);
+StudySessionSchema.index({ owner: 1, plan: 1, startedAt: -1 });
+
+module.exports = mongoose.model("StudySession", StudySessionSchema);
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// A countdown target (usually an exam). Users can have several; the primary
+// one is what the legacy /api/target-date routes and the digest show. Study
+// plans, reminders and todos point at a target through their targetId.
+const TargetSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: { type: String, required: true, trim: true },
+    date: { type: Date, required: true },
+    color: {
+      type: String,
+      default: "#4361ee",
+      match: [/^#[0-9a-fA-F]{6}$/, "Colour must be a hex value like #4361ee"],
+    },
+    primary: { type: Boolean, default: false },
+    notes: String,
+    // UID of the calendar event it was imported from, so a re-import of the
+    // same timetable updates instead of duplicating
+    sourceUid: String,
+  },
+  { timestamps: true },
+);
+
+// At most one primary target per user
+TargetSchema.index(
+  { owner: 1 },
+  { unique: true, partialFilterExpression: { primary: true } },
+);
+TargetSchema.index({ owner: 1, date: 1 });
+TargetSchema.index(
+  { owner: 1, sourceUid: 1 },
+  { partialFilterExpression: { sourceUid: { $exists: true } } },
+);
+
+module.exports = mongoose.model("Target", TargetSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const TodoSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Client-facing id the API addresses todos by
+  id: { type: String, required: true },
+  text: String,
+  completed: { type: Boolean, default: false },
+  priority: {
+    type: String,
+    enum: ["low", "medium", "high"],
+    default: "medium",
+  },
+  dueDate: String,
+  targetId: { type: mongoose.Schema.Types.ObjectId, ref: "Target" },
+  // Completed Pomodoro work intervals attributed to this todo
+  pomodoros: { type: Number, default: 0 },
+  focusMinutes: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+});
+
+TodoSchema.index({ owner: 1, id: 1 }, { unique: true });
+TodoSchema.index({ owner: 1, dueDate: 1 });
+
+module.exports = mongoose.model("Todo", TodoSchema);
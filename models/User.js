@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+const { ROLES } = require("../utils/roles");
+const { isValidTimeZone } = require("../utils/timezone");
+const { WEEKDAYS } = require("../utils/recurrence");
+const { CADENCES } = require("../utils/digest");
+
+// An account with its login, notification settings and preferences.
+// Reminders, todos, plans and targets live in their own collections, keyed
+// by owner.
+const UserSchema = new mongoose.Schema(
+  {
+    name: String,
+    email: { type: String, unique: true, required: true },
+    role: { type: String, enum: ROLES, default: "user" },
+    // Set by an admin; a disabled account can't sign in and gets no
+    // notifications
+    disabledAt: Date,
+    disabledReason: String,
+    notificationEmail: String,
+    // phone: { type: String, unique: true },
+    phone: String,
+    emailNotifications: { type: Boolean, default: true },
+    mobileNotifications: { type: Boolean, default: false },
+    // Snoozes allowed per reminder occurrence (0 = unlimited) and the length
+    // used by one-click snooze links
+    maxSnoozes: { type: Number, default: 3, min: 0 },
+    snoozeMinutes: { type: Number, default: 10, min: 1 },
+    // One entry per browser/device that has enabled web push
+    pushSubscriptions: [
+      {
+        endpoint: { type: String, required: true },
+        expirationTime: Number,
+        keys: {
+          p256dh: { type: String, required: true },
+          auth: { type: String, required: true },
+        },
+        userAgent: String,
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    password: { type: String, required: true },
+    // Access tokens issued before this are refused (see authenticate)
+    passwordChangedAt: Date,
+    // false until the login email is confirmed; missing on accounts from
+    // before verification existed, which count as confirmed
+    emailVerified: Boolean,
+    // bcrypt hash of the current reset code, and wrong guesses against it
+    resetPasswordCode: String,
+    resetPasswordExpires: Date,
+    resetPasswordAttempts: { type: Number, default: 0 },
+    avatar: String,
+    background: String,
+    // IANA zone (e.g. "Asia/Colombo") used for every date/time the user enters
+    timezone: {
+      type: String,
+      validate: { validator: isValidTimeZone, message: "Invalid timezone" },
+    },
+    studyPlans: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "StudyPlan",
+      },
+    ],
+    // Legacy single countdown target; moved into the Target collection by
+    // migrateLegacyTarget and kept only to read old documents
+    targetDate: Date,
+    targetName: String,
+    isGuest: { type: Boolean, default: false },
+    // When cleanupGuestAccounts deletes a guest (unset once upgraded)
+    guestExpiresAt: Date,
+    // Wrong passwords in a row (forgotten after a quiet day) and the sign-in
+    // lockout they led to; see lockoutMs in utils/rateLimit.js
+    failedLogins: { type: Number, default: 0 },
+    lastFailedLoginAt: Date,
+    lockedUntil: Date,
+    // Secret in the calendar feed URL (/api/calendar/:token.ics)
+    calendarToken: { type: String, index: { unique: true, sparse: true } },
+    // Days the schedule generator keeps free ("YYYY-MM-DD"), and how much
+    // study it may plan on one day across all plans
+    blackoutDates: { type: [String], default: [] },
+    dailyStudyMinutes: { type: Number, default: 240, min: 15 },
+    // Opt-in summary email; nextSendAt is derived from the other fields and
+    // the timezone (see utils/digest.js)
+    digest: {
+      enabled: { type: Boolean, default: false },
+      cadence: { type: String, enum: CADENCES, default: "daily" },
+      sendTime: { type: String, default: "07:00" },
+      weekday: { type: String, enum: WEEKDAYS, default: "MO" },
+      nextSendAt: Date,
+      lastSentAt: Date,
+    },
+  },
+  { timestamps: true },
+);
+
+UserSchema.index(
+  { "digest.nextSendAt": 1 },
+  { partialFilterExpression: { "digest.enabled": true } },
+);
+
+// Subscribing looks for other accounts holding the same browser endpoint
+UserSchema.index({ "pushSubscriptions.endpoint": 1 });
+
+// Secrets that never go to a client, whichever route serialises the user
+const PRIVATE_USER_FIELDS = [
+  "password",
+  "resetPasswordCode",
+  "resetPasswordExpires",
+  "resetPasswordAttempts",
+  "calendarToken",
+];
+UserSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    for (const field of PRIVATE_USER_FIELDS) delete ret[field];
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("User", UserSchema);
@@ -0,0 +1,385 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Reminder = require("../models/Reminder");
+const Todo = require("../models/Todo");
+const StudyPlan = require("../models/StudyPlan");
+const Target = require("../models/Target");
+const AuthSession = require("../models/AuthSession");
+const NotificationDelivery = require("../models/NotificationDelivery");
+const AuditLog = require("../models/AuditLog");
+const scheduler = require("../services/scheduler");
+const {
+  cancelReminderJobs,
+  saveReminder,
+} = require("../services/reminderEngine");
+const { revokeSessions, deleteAccounts } = require("../services/accounts");
+const { runScheduledChecks } = require("../services/jobs");
+const { validate } = require("../utils/validate");
+const schemas = require("../utils/requestSchemas");
+
+// The admin API, mounted at /api/admin behind authenticate and
+// requireRole("admin"). Every request is written to the audit log.
+
+const router = express.Router();
+
+// Written before the action it records; if the entry can't be written the
+// action doesn't happen
+function audit(req, action, details, target = req.targetUser) {
+  return AuditLog.create({
+    actor: req.user._id,
+    actorEmail: req.user.email,
+    action,
+    targetUser: target?._id,
+    targetEmail: target?.email,
+    details,
+    ip: req.ip,
+  });
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const pageLimit = (value) => Math.min(100, Math.max(1, Number(value) || 50));
+
+// { [userId]: { reminders, plans, todos } } for the given user ids
+async function countOwned(userIds) {
+  const counts = Object.fromEntries(
+    userIds.map((id) => [String(id), { reminders: 0, plans: 0, todos: 0 }]),
+  );
+  const models = { reminders: Reminder, plans: StudyPlan, todos: Todo };
+
+  await Promise.all(
+    Object.entries(models).map(async ([name, Model]) => {
+      const rows = await Model.aggregate([
+        { $match: { owner: { $in: userIds } } },
+        { $group: { _id: "$owner", count: { $sum: 1 } } },
+      ]);
+      for (const row of rows) counts[String(row._id)][name] = row.count;
+    }),
+  );
+  return counts;
+}
+
+const presentAdminUser = (user, counts) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  isGuest: user.isGuest,
+  emailVerified: user.emailVerified !== false,
+  disabledAt: user.disabledAt,
+  disabledReason: user.disabledReason,
+  lockedUntil: user.lockedUntil,
+  timezone: user.timezone,
+  createdAt: user.createdAt,
+  counts,
+});
+
+router.param("userId", async (req, res, next, userId) => {
+  try {
+    const user = mongoose.isValidObjectId(userId)
+      ? await User.findById(userId)
+      : null;
+    if (!user) return res.status(404).json({ error: "User not found" });
+    req.targetUser = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/stats", async (req, res) => {
+  try {
+    await audit(req, "stats.view");
+    const [users, guests, disabled, reminders, plans, todos, failing] =
+      await Promise.all([
+        User.countDocuments({ isGuest: { $ne: true } }),
+        User.countDocuments({ isGuest: true }),
+        User.countDocuments({ disabledAt: { $ne: null } }),
+        Reminder.countDocuments(),
+        StudyPlan.countDocuments(),
+        Todo.countDocuments(),
+        NotificationDelivery.countDocuments({
+          status: { $in: ["retrying", "dead"] },
+        }),
+      ]);
+
+    res.json({
+      users,
+      guests,
+      disabled,
+      reminders,
+      plans,
+      todos,
+      failingDeliveries: failing,
+    });
+  } catch (err) {
+    console.error("Admin stats error:", err);
+    res.status(500).json({ error: "Error fetching stats" });
+  }
+});
+
+// ?q= matches name or email; ?role, ?guest=true|false, ?disabled=true|false;
+// newest first, paged with ?before
+router.get("/users", validate(schemas.admin.users), async (req, res) => {
+  try {
+    const { q, role, guest, disabled, before } = req.query;
+    const limit = pageLimit(req.query.limit);
+
+    const filter = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegExp(String(q)), "i");
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) filter.role = role === "user" ? { $ne: "admin" } : role;
+    if (guest !== undefined) {
+      filter.isGuest = guest === "true" ? true : { $ne: true };
+    }
+    if (disabled !== undefined) {
+      filter.disabledAt = disabled === "true" ? { $ne: null } : null;
+    }
+    if (before) filter.createdAt = { $lt: new Date(before) };
+
+    await audit(req, "users.search", { q, role, guest, disabled, before });
+    const users = await User.find(filter).sort({ createdAt: -1 }).limit(limit);
+    const counts = await countOwned(users.map((user) => user._id));
+
+    res.json({
+      users: users.map((user) =>
+        presentAdminUser(user, counts[String(user._id)]),
+      ),
+      nextBefore:
+        users.length === limit ? users[users.length - 1].createdAt : null,
+    });
+  } catch (err) {
+    console.error("Admin user search error:", err);
+    res.status(500).json({ error: "Error searching users" });
+  }
+});
+
+router.get("/users/:userId", async (req, res) => {
+  try {
+    const user = req.targetUser;
+    await audit(req, "user.view");
+    const [counts, targets, sessions, failing] = await Promise.all([
+      countOwned([user._id]),
+      Target.countDocuments({ owner: user._id }),
+      AuthSession.countDocuments({
+        owner: user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }),
+      NotificationDelivery.countDocuments({
+        owner: user._id,
+        status: { $in: ["retrying", "dead"] },
+      }),
+    ]);
+
+    res.json({
+      user: presentAdminUser(user, {
+        ...counts[String(user._id)],
+        targets,
+        activeSessions: sessions,
+        failingDeliveries: failing,
+      }),
+    });
+  } catch (err) {
+    console.error("Admin user fetch error:", err);
+    res.status(500).json({ error: "Error fetching user" });
+  }
+});
+
+router.put(
+  "/users/:userId/role",
+  validate(schemas.admin.role),
+  async (req, res) => {
+    try {
+      const user = req.targetUser;
+      const { role } = req.body;
+      // Keeps at least the acting admin around
+      if (user._id.equals(req.user._id)) {
+        return res
+          .status(400)
+          .json({ error: "You can't change your own role" });
+      }
+
+      await audit(req, "user.role", { from: user.role, to: role });
+      user.role = role;
+      await user.save();
+
+      res.json({ message: "Role updated", user: presentAdminUser(user) });
+    } catch (err) {
+      console.error("Admin role change error:", err);
+      res.status(500).json({ error: "Error changing role" });
+    }
+  },
+);
+
+// Signs the user out everywhere and stops their notifications
+router.post(
+  "/users/:userId/disable",
+  validate(schemas.admin.disable),
+  async (req, res) => {
+    try {
+      const user = req.targetUser;
+      if (user._id.equals(req.user._id)) {
+        return res
+          .status(400)
+          .json({ error: "You can't disable your own account" });
+      }
+
+      const reason = req.body.reason || undefined;
+      await audit(req, "user.disable", { reason });
+      user.disabledAt = new Date();
+      user.disabledReason = reason;
+      await user.save();
+
+      await revokeSessions(user._id);
+      await cancelReminderJobs(user._id);
+      await scheduler.cancelPomodoro(user._id);
+
+      res.json({ message: "Account disabled", user: presentAdminUser(user) });
+    } catch (err) {
+      console.error("Admin disable error:", err);
+      res.status(500).json({ error: "Error disabling account" });
+    }
+  },
+);
+
+router.post("/users/:userId/enable", async (req, res) => {
+  try {
+    const user = req.targetUser;
+    await audit(req, "user.enable");
+    user.disabledAt = undefined;
+    user.disabledReason = undefined;
+    await user.save();
+
+    // Reminder jobs were cancelled when the account was disabled
+    const reminders = await Reminder.find({ owner: user._id, isActive: true });
+    for (const reminder of reminders) {
+      await saveReminder(user, reminder);
+    }
+
+    res.json({ message: "Account enabled", user: presentAdminUser(user) });
+  } catch (err) {
+    console.error("Admin enable error:", err);
+    res.status(500).json({ error: "Error enabling account" });
+  }
+});
+
+router.delete("/users/:userId", async (req, res) => {
+  try {
+    const user = req.targetUser;
+    if (user._id.equals(req.user._id)) {
+      return res
+        .status(400)
+        .json({ error: "You can't delete your own account" });
+    }
+
+    const counts = await countOwned([user._id]);
+    await audit(req, "user.delete", {
+      isGuest: user.isGuest,
+      counts: counts[String(user._id)],
+    });
+    await deleteAccounts([user._id]);
+
+    res.json({ message: "Account deleted" });
+  } catch (err) {
+    console.error("Admin delete error:", err);
+    res.status(500).json({ error: "Error deleting account" });
+  }
+});
+
+// Same as the cron trigger (POST /api/reminders/check), on demand
+router.post("/reminders/check", async (req, res) => {
+  try {
+    await audit(req, "reminders.check");
+    res.json({ ok: true, ...(await runScheduledChecks()) });
+  } catch (err) {
+    console.error("Admin reminder check error:", err);
+    res.status(500).json({ error: "Error checking reminders" });
+  }
+});
+
+// Failed notification deliveries across all users. ?status=dead (default)
+// or retrying, ?channel, ?type, ?userId, paged with ?before.
+router.get(
+  "/deliveries",
+  validate(schemas.admin.deliveries),
+  async (req, res) => {
+    try {
+      const { channel, type, userId, before } = req.query;
+      const status = req.query.status || "dead";
+      const limit = pageLimit(req.query.limit);
+
+      const filter = { status };
+      if (channel) filter.channel = channel;
+      if (type) filter.type = type;
+      if (userId) filter.owner = userId;
+      if (before) filter.createdAt = { $lt: new Date(before) };
+
+      await audit(req, "deliveries.view", { status, channel, type, userId });
+      const deliveries = await NotificationDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .populate("owner", "name email");
+
+      res.json({
+        deliveries: deliveries.map((delivery) => ({
+          id: delivery._id,
+          owner: delivery.owner && {
+            _id: delivery.owner._id,
+            name: delivery.owner.name,
+            email: delivery.owner.email,
+          },
+          type: delivery.type,
+          channel: delivery.channel,
+          status: delivery.status,
+          summary: delivery.summary,
+          reminderId: delivery.reminderId,
+          attempts: delivery.attempts,
+          lastError: delivery.lastError,
+          nextAttemptAt: delivery.nextAttemptAt,
+          createdAt: delivery.createdAt,
+        })),
+        nextBefore:
+          deliveries.length === limit
+            ? deliveries[deliveries.length - 1].createdAt
+            : null,
+      });
+    } catch (err) {
+      console.error("Admin deliveries error:", err);
+      res.status(500).json({ error: "Error fetching deliveries" });
+    }
+  },
+);
+
+// The audit log itself, newest first. ?actor, ?userId, ?action, ?before
+router.get("/audit", validate(schemas.admin.audit), async (req, res) => {
+  try {
+    const { actor, userId, action, before } = req.query;
+    const limit = pageLimit(req.query.limit);
+
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (userId) filter.targetUser = userId;
+    if (action) filter.action = action;
+    if (before) filter.createdAt = { $lt: new Date(before) };
+
+    await audit(req, "audit.view", { actor, userId, action }, null);
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      entries,
+      nextBefore:
+        entries.length === limit ? entries[entries.length - 1].createdAt : null,
+    });
+  } catch (err) {
+    console.error("Admin audit log error:", err);
+    res.status(500).json({ error: "Error fetching audit log" });
+  }
+});
+
+module.exports = router;
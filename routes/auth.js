@@ -0,0 +1,712 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const User = require("../models/User");
+const AuthSession = require("../models/AuthSession");
+const EmailVerification = require("../models/EmailVerification");
+const NotificationService = require("../services");
+const { STATUS } = require("../services");
+const rateLimiter = require("../services/rateLimiter");
+const {
+  issueSession,
+  revokeSessions,
+  requestVerification,
+} = require("../services/accounts");
+const { authenticate } = require("../middleware/auth");
+const {
+  newRefreshToken,
+  hashToken,
+  refreshExpiry,
+  signAccessToken,
+  accessTokenLifetime,
+} = require("../utils/authTokens");
+const { guestExpiry, guestStatus } = require("../utils/guest");
+const { LOGIN_FAILURE_MEMORY_MS, lockoutMs } = require("../utils/rateLimit");
+const { validate } = require("../utils/validate");
+const schemas = require("../utils/requestSchemas");
+
+// Registration, sign-in (password and guest), sessions, email confirmation
+// and password reset
+
+const router = express.Router();
+
+// Rate limiting -------------------------------------------------------------
+
+// Request limits ("max/window") per client IP, per account or per signed-in
+// user. Each can be changed with RATE_LIMIT_<NAME>, e.g.
+// RATE_LIMIT_LOGIN_IP=50/15m; see services/rateLimiter.js.
+const limits = {
+  register: rateLimiter.limit({ name: "register-ip", limit: "10/1h" }),
+  loginIp: rateLimiter.limit({ name: "login-ip", limit: "30/15m" }),
+  // Spread across many IPs, guesses at one account still add up
+  loginAccount: rateLimiter.limit({
+    name: "login-account",
+    by: "email",
+    limit: "20/15m",
+  }),
+  // Every guest sign-in creates an account
+  guestLogin: rateLimiter.limit({ name: "guest-login-ip", limit: "10/1h" }),
+  resetRequestIp: rateLimiter.limit({
+    name: "reset-request-ip",
+    limit: "10/1h",
+  }),
+  resetRequestAccount: rateLimiter.limit({
+    name: "reset-request-account",
+    by: "email",
+    limit: "3/1h",
+  }),
+  verificationResend: rateLimiter.limit({
+    name: "verification-resend",
+    by: "user",
+    limit: "5/1h",
+  }),
+};
+
+// Counts a wrong password against the account. Returns the end of the
+// lockout it triggers, or null while the account is still under the limit.
+async function recordFailedLogin(user, now = new Date()) {
+  const since = new Date(now.getTime() - LOGIN_FAILURE_MEMORY_MS);
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    [
+      {
+        $set: {
+          failedLogins: {
+            $cond: [
+              { $gt: ["$lastFailedLoginAt", since] },
+              { $add: [{ $ifNull: ["$failedLogins", 0] }, 1] },
+              1,
+            ],
+          },
+          lastFailedLoginAt: now,
+        },
+      },
+    ],
+    { new: true },
+  );
+
+  const lockMs = lockoutMs(updated?.failedLogins || 0);
+  if (!lockMs) return null;
+  const lockedUntil = new Date(now.getTime() + lockMs);
+  await User.updateOne({ _id: user._id }, { $set: { lockedUntil } });
+  return lockedUntil;
+}
+
+const accountLocked = (res, lockedUntil) => {
+  const minutes = Math.ceil((lockedUntil.getTime() - Date.now()) / 60000);
+  return rateLimiter.reject(
+    res,
+    lockedUntil,
+    `Too many failed sign-in attempts. Try again in ${minutes} ` +
+      `minute${minutes === 1 ? "" : "s"}, or reset your password.`,
+  );
+};
+
+router.post(
+  "/register",
+  limits.register,
+  validate(schemas.auth.register),
+  async (req, res) => {
+    try {
+      const { name, email, password, timezone } = req.body;
+
+      // Check if email or phone already exists
+      const existingUser = await User.findOne({ $or: [{ email }] });
+      if (existingUser) {
+        if (existingUser.email === email) {
+          return res.status(400).json({ error: "Email already in use" });
+        }
+      }
+
+      // Hash password
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      // Create user
+      const user = new User({
+        name,
+        email,
+        password: hashedPassword,
+        emailVerified: false,
+        timezone,
+      });
+
+      await user.save();
+      await requestVerification(user, email, "account", req);
+
+      res.status(201).json({
+        user: {
+          _id: user._id,
+          name: user.name,
+          email: user.email,
+          emailVerified: false,
+          background: user.background,
+        },
+        ...(await issueSession(user, req)),
+      });
+    } catch (err) {
+      console.error("Registration error:", err);
+      res.status(500).json({ error: "Server error during registration" });
+    }
+  },
+);
+
+router.post(
+  "/login",
+  limits.loginIp,
+  limits.loginAccount,
+  validate(schemas.auth.login),
+  async (req, res) => {
+    try {
+      const { email, password } = req.body;
+
+      // Find user
+      const user = await User.findOne({ email });
+      if (!user) {
+        return res.status(401).json({ error: "Invalid credentials" });
+      }
+      // A locked account doesn't get its password checked at all
+      if (user.lockedUntil > new Date()) {
+        return accountLocked(res, user.lockedUntil);
+      }
+
+      // Check password
+      const isMatch = await bcrypt.compare(password, user.password);
+      if (!isMatch) {
+        const lockedUntil = await recordFailedLogin(user);
+        if (lockedUntil) return accountLocked(res, lockedUntil);
+        return res.status(401).json({ error: "Invalid credentials" });
+      }
+      if (user.disabledAt) {
+        return res
+          .status(403)
+          .json({ error: "This account has been disabled" });
+      }
+      if (user.failedLogins || user.lockedUntil) {
+        await User.updateOne(
+          { _id: user._id },
+          { $set: { failedLogins: 0 }, $unset: { lockedUntil: "" } },
+        );
+      }
+
+      res.json({
+        user: {
+          _id: user._id,
+          name: user.name,
+          email: user.email,
+          avatar: user.avatar,
+          background: user.background,
+        },
+        ...(await issueSession(user, req)),
+      });
+    } catch (err) {
+      console.error("Login error:", err);
+      res.status(500).json({ error: "Server error during login" });
+    }
+  },
+);
+
+// Guest login endpoint
+router.post(
+  "/guest-login",
+  limits.guestLogin,
+  validate(schemas.auth.guestLogin),
+  async (req, res) => {
+    try {
+      // Create a temporary guest user
+      const guestUser = new User({
+        name: "Guest User",
+        email: `guest-${Date.now()}`,
+        password: await bcrypt.hash(Math.random().toString(36).slice(2), 10),
+        isGuest: true,
+        emailVerified: false,
+        guestExpiresAt: guestExpiry(),
+        timezone: req.body.timezone,
+      });
+
+      await guestUser.save();
+
+      res.json({
+        user: {
+          _id: guestUser._id,
+          name: guestUser.name,
+          email: guestUser.email,
+          isGuest: true,
+          avatar: guestUser.avatar,
+          background: guestUser.background,
+        },
+        guest: guestStatus(guestUser),
+        // The session can't outlive the guest account
+        ...(await issueSession(guestUser, req)),
+      });
+    } catch (err) {
+      console.error("Guest login error:", err);
+      res.status(500).json({ error: "Error creating guest account" });
+    }
+  },
+);
+
+// Turns the signed-in guest into a registered account. Everything the guest
+// created stays, since it's the same user document.
+router.post(
+  "/guest/upgrade",
+  authenticate,
+  validate(schemas.auth.upgrade),
+  async (req, res) => {
+    try {
+      const { name, email, password } = req.body;
+      const user = req.user;
+
+      if (!user.isGuest) {
+        return res.status(400).json({ error: "Account is already registered" });
+      }
+      if (await User.exists({ email, _id: { $ne: user._id } })) {
+        return res.status(400).json({ error: "Email already in use" });
+      }
+
+      user.email = email;
+      user.password = await bcrypt.hash(password, 10);
+      if (name) user.name = name;
+      user.isGuest = false;
+      user.guestExpiresAt = undefined;
+      user.emailVerified = false;
+      await user.save();
+      await requestVerification(user, email, "account", req);
+
+      // The guest session was capped at the guest's expiry; start a full one
+      await revokeSessions(user._id);
+
+      res.json({
+        message: "Guest account upgraded",
+        user: {
+          _id: user._id,
+          name: user.name,
+          email: user.email,
+          emailVerified: false,
+          isGuest: false,
+          avatar: user.avatar,
+          background: user.background,
+        },
+        ...(await issueSession(user, req)),
+      });
+    } catch (err) {
+      // Another registration took the email between the check and the save
+      if (err.code === 11000) {
+        return res.status(400).json({ error: "Email already in use" });
+      }
+      console.error("Guest upgrade error:", err);
+      res.status(500).json({ error: "Error upgrading guest account" });
+    }
+  },
+);
+
+// Auth sessions -------------------------------------------------------------
+
+const presentSession = (session, currentId) => ({
+  _id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: String(session._id) === String(currentId),
+});
+
+// Trades a refresh token for a new access token and a new refresh token
+router.post(
+  "/auth/refresh",
+  validate(schemas.auth.refresh),
+  async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      const now = new Date();
+      const tokenHash = hashToken(refreshToken);
+      const nextToken = newRefreshToken();
+      // Claim and rotate in one update, so a token is only ever exchanged once
+      const session = await AuthSession.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+          $set: {
+            tokenHash: hashToken(nextToken),
+            previousTokenHash: tokenHash,
+            lastUsedAt: now,
+            userAgent: req.get("user-agent"),
+            ip: req.ip,
+          },
+        },
+        { new: true },
+      );
+
+      if (!session) {
+        // A token that was already rotated away is being replayed: someone
+        // else has a copy, so the session can't be trusted any more
+        const replayed = await AuthSession.findOneAndUpdate(
+          { previousTokenHash: tokenHash, revokedAt: null },
+          { $set: { revokedAt: now } },
+        );
+        if (replayed) {
+          console.warn(`Refresh token reused; revoked session ${replayed._id}`);
+        }
+        return res
+          .status(401)
+          .json({ error: "Invalid or expired refresh token" });
+      }
+
+      const user = await User.findById(session.owner);
+      if (!user || user.disabledAt) {
+        await revokeSessions(session.owner);
+        return res.status(401).json({
+          error: user ? "This account has been disabled" : "User not found",
+        });
+      }
+
+      session.expiresAt = refreshExpiry(
+        now,
+        user.isGuest ? user.guestExpiresAt : null,
+      );
+      await session.save();
+
+      const token = signAccessToken(user._id, session._id);
+      res.json({
+        token,
+        refreshToken: nextToken,
+        expiresIn: accessTokenLifetime(token),
+      });
+    } catch (err) {
+      console.error("Token refresh error:", err);
+      res.status(500).json({ error: "Error refreshing session" });
+    }
+  },
+);
+
+// Ends this device's session, identified by its refresh token or by the
+// access token (which may already have expired)
+router.post("/auth/logout", validate(schemas.auth.logout), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const accessToken = req.header("Authorization")?.replace("Bearer ", "");
+
+    let session = null;
+    if (refreshToken) {
+      session = await AuthSession.findOne({
+        tokenHash: hashToken(refreshToken),
+      });
+    } else if (accessToken) {
+      let decoded;
+      try {
+        decoded = jwt.verify(accessToken, process.env.JWT_SECRET, {
+          ignoreExpiration: true,
+        });
+      } catch (err) {
+        return res.status(401).json({ error: "Invalid token" });
+      }
+      if (decoded.sid) session = await AuthSession.findById(decoded.sid);
+    } else {
+      return res
+        .status(400)
+        .json({ error: "A refresh token or access token is required" });
+    }
+
+    if (session) await revokeSessions(session.owner, { _id: session._id });
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ error: "Error logging out" });
+  }
+});
+
+// Signed-in devices, most recently used first
+router.get("/auth/sessions", authenticate, async (req, res) => {
+  try {
+    const sessions = await AuthSession.find({
+      owner: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map((session) =>
+        presentSession(session, req.sessionId),
+      ),
+    });
+  } catch (err) {
+    console.error("Session list error:", err);
+    res.status(500).json({ error: "Error fetching sessions" });
+  }
+});
+
+router.delete(
+  "/auth/sessions/:sessionId",
+  authenticate,
+  validate(schemas.auth.session),
+  async (req, res) => {
+    try {
+      const revoked = await revokeSessions(req.user._id, {
+        _id: req.params.sessionId,
+      });
+      if (!revoked) return res.status(404).json({ error: "Session not found" });
+
+      res.json({ message: "Session revoked" });
+    } catch (err) {
+      console.error("Session revoke error:", err);
+      res.status(500).json({ error: "Error revoking session" });
+    }
+  },
+);
+
+// Signs out everywhere; ?keepCurrent=true leaves this device signed in
+router.delete(
+  "/auth/sessions",
+  authenticate,
+  validate(schemas.auth.revokeSessions),
+  async (req, res) => {
+    try {
+      const keepCurrent = req.query.keepCurrent === "true" && req.sessionId;
+      const revoked = await revokeSessions(
+        req.user._id,
+        keepCurrent ? { _id: { $ne: req.sessionId } } : {},
+      );
+
+      res.json({ message: "Sessions revoked", revoked });
+    } catch (err) {
+      console.error("Session revoke error:", err);
+      res.status(500).json({ error: "Error revoking sessions" });
+    }
+  },
+);
+
+// Email verification and password reset limits ------------------------------
+
+const RESET_CODE_TTL_MS = 10 * 60 * 1000;
+const RESET_CODE_MAX_ATTEMPTS =
+  Number(process.env.RESET_CODE_MAX_ATTEMPTS) || 5;
+// Wrong reset codes entered per client IP, per hour (requests for codes are
+// limited in the "Rate limiting" section)
+const RESET_IP_WINDOW_MS = 60 * 60 * 1000;
+const RESET_FAILURES_PER_IP = Number(process.env.RESET_FAILURES_PER_IP) || 20;
+// The one answer to a reset request, so it can't be used to find out which
+// emails have accounts
+const RESET_REQUESTED = {
+  message: "If an account exists, a reset code has been sent",
+};
+
+// A reset code stops working after RESET_CODE_MAX_ATTEMPTS wrong guesses
+async function countFailedResetAttempt(user) {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, resetPasswordCode: user.resetPasswordCode },
+    { $inc: { resetPasswordAttempts: 1 } },
+    { new: true },
+  );
+  if (updated && updated.resetPasswordAttempts >= RESET_CODE_MAX_ATTEMPTS) {
+    await User.updateOne(
+      { _id: user._id, resetPasswordCode: user.resetPasswordCode },
+      { $unset: { resetPasswordCode: "", resetPasswordExpires: "" } },
+    );
+  }
+}
+
+// Opened from the confirmation email (GET), or posted by the client
+const handleEmailVerification = async (req, res) => {
+  const respond = (outcome, status = 200, error) => {
+    if (process.env.APP_URL && req.method === "GET") {
+      return res.redirect(
+        `${process.env.APP_URL.replace(/\/$/, "")}/settings?emailVerification=${outcome}`,
+      );
+    }
+    res.status(status).json(error ? { error } : { outcome });
+  };
+
+  try {
+    const verification = await EmailVerification.findOneAndDelete({
+      tokenHash: hashToken(req.params.token),
+      expiresAt: { $gt: new Date() },
+    });
+    const user = verification && (await User.findById(verification.owner));
+    if (!user) return respond("invalid", 400, "Invalid or expired link");
+
+    if (verification.purpose === "account") {
+      // The login email may have changed since the link went out
+      if (verification.email !== user.email) {
+        return respond("stale", 409, "This link is for a different address");
+      }
+      user.emailVerified = true;
+    } else {
+      user.notificationEmail = verification.email;
+    }
+    await user.save();
+
+    respond("verified");
+  } catch (err) {
+    console.error("Email verification error:", err);
+    res.status(500).json({ error: "Error verifying email" });
+  }
+};
+
+router.get("/auth/verify-email/:token", handleEmailVerification);
+router.post("/auth/verify-email/:token", handleEmailVerification);
+
+// Sends the confirmation email(s) still outstanding again
+router.post(
+  "/auth/resend-verification",
+  authenticate,
+  limits.verificationResend,
+  async (req, res) => {
+    try {
+      const user = req.user;
+      if (user.isGuest) {
+        return res
+          .status(400)
+          .json({ error: "Guest accounts have no email to confirm" });
+      }
+
+      const pending = await EmailVerification.findOne({
+        owner: user._id,
+        purpose: "notification",
+      });
+      if (user.emailVerified !== false && !pending) {
+        return res.status(400).json({ error: "Email is already confirmed" });
+      }
+
+      if (user.emailVerified === false) {
+        await requestVerification(user, user.email, "account", req);
+      }
+      if (pending) {
+        await requestVerification(user, pending.email, "notification", req);
+      }
+      res.json({ message: "Confirmation email sent" });
+    } catch (err) {
+      console.error("Resend verification error:", err);
+      res.status(500).json({ error: "Error sending confirmation email" });
+    }
+  },
+);
+
+// Forgot Password Route
+router.post(
+  "/forgot-password",
+  limits.resetRequestIp,
+  limits.resetRequestAccount,
+  validate(schemas.auth.forgotPassword),
+  async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      // Find user by email
+      const user = await User.findOne({ email });
+      if (!user) return res.json(RESET_REQUESTED);
+
+      // Random 6-digit code, stored hashed; a new one replaces the old
+      const code = crypto.randomInt(100000, 1000000).toString();
+      user.resetPasswordCode = await bcrypt.hash(code, 10);
+      user.resetPasswordExpires = Date.now() + RESET_CODE_TTL_MS;
+      user.resetPasswordAttempts = 0;
+      await user.save();
+
+      // Verify email configuration
+      if (!NotificationService.email.isConfigured()) {
+        return res.json({
+          message:
+            "Reset code generated (email not sent - missing configuration)",
+          code: process.env.NODE_ENV === "development" ? code : undefined,
+        });
+      }
+
+      const delivery = await NotificationService.sendUserNotification(
+        user,
+        "passwordReset",
+        { code },
+      );
+
+      if (delivery.email !== STATUS.SENT) {
+        console.error(`Reset code email to user ${user._id} not sent`);
+      }
+
+      res.json(RESET_REQUESTED);
+    } catch (err) {
+      console.error("Forgot password error:", err);
+      res.status(500).json({
+        error: "Error processing request",
+        details:
+          process.env.NODE_ENV === "development" ? err.message : undefined,
+      });
+    }
+  },
+);
+
+// Reset Password Route
+router.post(
+  "/reset-password",
+  validate(schemas.auth.resetPassword),
+  async (req, res) => {
+    try {
+      const { email, code, newPassword } = req.body;
+
+      const failureKey = `reset-failure:${req.ip}`;
+      const failures = await rateLimiter.peek(failureKey);
+      if (failures.count >= RESET_FAILURES_PER_IP) {
+        return rateLimiter.reject(
+          res,
+          failures.resetAt,
+          "Too many attempts. Please try again later.",
+        );
+      }
+
+      const user = await User.findOne({
+        email,
+        resetPasswordExpires: { $gt: Date.now() },
+      });
+      const valid =
+        user?.resetPasswordCode &&
+        user.resetPasswordAttempts < RESET_CODE_MAX_ATTEMPTS &&
+        (await bcrypt.compare(String(code), user.resetPasswordCode));
+
+      if (!valid) {
+        await rateLimiter.hit(failureKey, RESET_IP_WINDOW_MS);
+        if (user?.resetPasswordCode) await countFailedResetAttempt(user);
+        return res.status(400).json({ error: "Invalid or expired reset code" });
+      }
+
+      // A code works once: clearing it is also the claim on it
+      const claimed = await User.updateOne(
+        { _id: user._id, resetPasswordCode: user.resetPasswordCode },
+        {
+          $unset: {
+            resetPasswordCode: "",
+            resetPasswordExpires: "",
+            resetPasswordAttempts: "",
+          },
+        },
+      );
+      if (!claimed.modifiedCount) {
+        return res.status(400).json({ error: "Invalid or expired reset code" });
+      }
+
+      // Hash new password
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+      // Update password and clear reset fields
+      user.password = hashedPassword;
+      user.passwordChangedAt = new Date();
+      user.resetPasswordCode = undefined;
+      user.resetPasswordExpires = undefined;
+      user.resetPasswordAttempts = 0;
+      // A new password ends any sign-in lockout
+      user.failedLogins = 0;
+      user.lockedUntil = undefined;
+      // The code reached the login email, so the address works
+      user.emailVerified = true;
+      await user.save();
+
+      // Whoever had the old password may still be signed in somewhere
+      await revokeSessions(user._id);
+
+      res.json({ message: "Password updated successfully" });
+    } catch (err) {
+      console.error("Reset password error:", err);
+      res.status(500).json({ error: "Error resetting password" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,350 @@
+const express = require("express");
+const crypto = require("crypto");
+const User = require("../models/User");
+const Reminder = require("../models/Reminder");
+const Todo = require("../models/Todo");
+const Target = require("../models/Target");
+const PlannedSession = require("../models/PlannedSession");
+const {
+  advanceRecurrence,
+  saveReminder,
+} = require("../services/reminderEngine");
+const { apiBaseUrl, guestQuotaError } = require("../services/accounts");
+const { makePrimary } = require("../services/targets");
+const { refreshSchedules } = require("../services/studyPlans");
+const { authenticate } = require("../middleware/auth");
+const clock = require("../utils/clock");
+const { getAdvanceMs, getTriggerTime } = require("../utils/reminderUtils");
+const {
+  addDays,
+  todayInZone,
+  toDateString,
+  toTimeString,
+  zonedTimeToUtc,
+} = require("../utils/timezone");
+const { normalizeRecurrence, formatRRule } = require("../utils/recurrence");
+const { formatCalendar, parseEvents } = require("../utils/ics");
+const { validate } = require("../utils/validate");
+const schemas = require("../utils/requestSchemas");
+
+// The user's calendar feed (.ics subscription) and importing .ics files
+
+const router = express.Router();
+
+const CALENDAR_PAST_DAYS = 30;
+const MAX_IMPORT_EVENTS = 500;
+// All-day events imported as reminders fire relative to this time
+const ALL_DAY_TIME = "09:00";
+
+const calendarFeedUrl = (req, token) =>
+  `${apiBaseUrl(req)}/api/calendar/${token}.ics`;
+
+const newCalendarToken = () => crypto.randomBytes(24).toString("hex");
+
+// Recurring reminders move their date forward as occurrences fire, so a
+// COUNT in the feed has to be what's left of it
+function feedRRule(reminder) {
+  const rule = reminder.recurrence;
+  if (!rule?.freq) return undefined;
+  if (!rule.count) return rule.rrule || formatRRule(rule);
+
+  const left = rule.count - (reminder.occurrenceCount || 0);
+  return left > 0 ? formatRRule({ ...rule, count: left }) : undefined;
+}
+
+async function calendarEvents(user, now = clock.now()) {
+  const timezone = user.timezone;
+  const since = addDays(todayInZone(timezone, now), -CALENDAR_PAST_DAYS);
+
+  const [reminders, targets, todos, planned] = await Promise.all([
+    Reminder.find({ owner: user._id, isActive: true }),
+    Target.find({ owner: user._id }),
+    Todo.find({
+      owner: user._id,
+      completed: { $ne: true },
+      dueDate: { $ne: null },
+    }),
+    PlannedSession.find({ owner: user._id, day: { $gte: since } }).populate(
+      "plan",
+      "subject schedule.sessionTime",
+    ),
+  ]);
+
+  const events = [];
+
+  for (const reminder of reminders) {
+    if (!reminder.date) continue;
+    events.push({
+      uid: `reminder-${reminder.id}@mindstreamer`,
+      summary: reminder.label || "Reminder",
+      start: reminder.time
+        ? { day: reminder.date, time: reminder.time, timezone }
+        : { day: reminder.date },
+      rrule: feedRRule(reminder),
+      alarmMinutes: getAdvanceMs(reminder) / 60000,
+      categories: "Reminder",
+    });
+  }
+
+  for (const target of targets) {
+    events.push({
+      uid: `target-${target._id}@mindstreamer`,
+      summary: target.primary ? `${target.name} ★` : target.name,
+      description: target.notes,
+      start: { day: toDateString(target.date, timezone) },
+      categories: "Target",
+    });
+  }
+
+  for (const todo of todos) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(todo.dueDate)) continue;
+    events.push({
+      uid: `todo-${todo.id}@mindstreamer`,
+      summary: `To do: ${todo.text}`,
+      start: { day: todo.dueDate },
+      categories: "Todo",
+    });
+  }
+
+  for (const session of planned) {
+    if (!session.plan) continue;
+    events.push({
+      uid: `session-${session._id}@mindstreamer`,
+      summary: `Study: ${session.plan.subject || "session"}`,
+      description: `${session.minutes} minutes (${session.status})`,
+      start: {
+        day: session.day,
+        time: session.plan.schedule?.sessionTime || "18:00",
+        timezone,
+      },
+      durationMinutes: session.minutes,
+      categories: "Study session",
+    });
+  }
+
+  return events;
+}
+
+// The subscription URL for the user's calendar, created on first request
+router.get("/calendar", authenticate, async (req, res) => {
+  try {
+    if (!req.user.calendarToken) {
+      req.user.calendarToken = newCalendarToken();
+      await req.user.save();
+    }
+    res.json({
+      url: calendarFeedUrl(req, req.user.calendarToken),
+      token: req.user.calendarToken,
+    });
+  } catch (err) {
+    console.error("Calendar feed error:", err);
+    res.status(500).json({ error: "Error creating calendar feed" });
+  }
+});
+
+// New feed URL; the old one stops working (e.g. after sharing it by mistake)
+router.post("/calendar/token", authenticate, async (req, res) => {
+  try {
+    req.user.calendarToken = newCalendarToken();
+    await req.user.save();
+    res.json({
+      url: calendarFeedUrl(req, req.user.calendarToken),
+      token: req.user.calendarToken,
+    });
+  } catch (err) {
+    console.error("Calendar feed error:", err);
+    res.status(500).json({ error: "Error resetting calendar feed" });
+  }
+});
+
+router.delete("/calendar/token", authenticate, async (req, res) => {
+  try {
+    req.user.calendarToken = undefined;
+    await req.user.save();
+    res.json({ message: "Calendar feed disabled" });
+  } catch (err) {
+    console.error("Calendar feed error:", err);
+    res.status(500).json({ error: "Error disabling calendar feed" });
+  }
+});
+
+// The feed itself. Calendar apps can't send an Authorization header, so the
+// secret token in the URL is the credential.
+router.get("/calendar/:token.ics", async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token });
+    if (!user) return res.status(404).json({ error: "Calendar not found" });
+
+    const ics = formatCalendar({
+      name: `MindStreamer — ${user.name || "Study calendar"}`,
+      timezone: user.timezone,
+      events: await calendarEvents(user),
+    });
+
+    res
+      .set({
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": 'inline; filename="mindstreamer.ics"',
+        "Cache-Control": "private, max-age=300",
+      })
+      .send(ics);
+  } catch (err) {
+    console.error("Calendar feed error:", err);
+    res.status(500).json({ error: "Error building calendar" });
+  }
+});
+
+// Stable reminder id for an imported event, so importing the same file
+// again updates its reminders
+const importedReminderId = (uid) =>
+  `ics-${crypto.createHash("sha1").update(uid).digest("hex").slice(0, 16)}`;
+
+// Upload an .ics file (raw text/calendar body, or JSON { ics }) and turn its
+// events into reminders (default) or countdown targets:
+//   ?as=reminders|targets&advanceNotice=1&advanceUnit=days
+router.post(
+  "/calendar/import",
+  authenticate,
+  express.text({ type: ["text/calendar", "text/plain"], limit: "1mb" }),
+  validate(schemas.calendar.import),
+  async (req, res) => {
+    try {
+      const ics = typeof req.body === "string" ? req.body : req.body?.ics;
+      const as = req.query.as || req.body?.as || "reminders";
+      if (!ics || !/BEGIN:VCALENDAR/i.test(ics)) {
+        return res.status(400).json({ error: "Expected an .ics calendar" });
+      }
+      if (!["reminders", "targets"].includes(as)) {
+        return res
+          .status(400)
+          .json({ error: "as must be reminders or targets" });
+      }
+
+      const user = req.user;
+      const timezone = user.timezone;
+      const now = clock.now();
+      const events = parseEvents(ics, { timezone });
+      if (events.length > MAX_IMPORT_EVENTS) {
+        return res.status(400).json({
+          error: `At most ${MAX_IMPORT_EVENTS} events can be imported at once`,
+        });
+      }
+
+      const created = [];
+      const updated = [];
+      const skipped = [];
+      const skip = (event, reason) =>
+        skipped.push({ uid: event.uid, summary: event.summary, reason });
+
+      for (const event of events) {
+        if (event.error) {
+          skip(event, event.error);
+          continue;
+        }
+        if (!event.summary) {
+          skip(event, "Event has no title");
+          continue;
+        }
+
+        const uid = event.uid || `${event.summary}|${event.start.day}`;
+        const { start } = event;
+        const day = start.at ? toDateString(start.at, timezone) : start.day;
+        const time = start.at ? toTimeString(start.at, timezone) : ALL_DAY_TIME;
+        const at = start.at || zonedTimeToUtc(start.day, "00:00", timezone);
+
+        if (as === "targets") {
+          let target = await Target.findOne({
+            owner: user._id,
+            sourceUid: uid,
+          });
+          const isNew = !target;
+          target = target || new Target({ owner: user._id, sourceUid: uid });
+          target.name = event.summary;
+          target.date = at;
+          if (event.description) target.notes = event.description;
+
+          if (!(await Target.exists({ owner: user._id }))) {
+            await makePrimary(user, target);
+          } else {
+            await target.save();
+          }
+          (isNew ? created : updated).push(target._id);
+          continue;
+        }
+
+        let recurrence;
+        if (event.rrule) {
+          try {
+            recurrence = normalizeRecurrence(event.rrule);
+          } catch (err) {
+            skip(event, `Unsupported repeat rule: ${err.message}`);
+            continue;
+          }
+        } else if (at < now) {
+          skip(event, "Event is in the past");
+          continue;
+        }
+
+        const id = importedReminderId(uid);
+        let reminder = await Reminder.findOne({ owner: user._id, id });
+        const isNew = !reminder;
+        const limitError = isNew && (await guestQuotaError(user, "reminders"));
+        if (limitError) {
+          skip(event, limitError);
+          continue;
+        }
+        reminder =
+          reminder ||
+          new Reminder({
+            owner: user._id,
+            id,
+            createdAt: now,
+            advanceNotice: req.query.advanceNotice ?? "1",
+            advanceUnit: req.query.advanceUnit || "days",
+          });
+        reminder.set({
+          label: event.summary,
+          date: day,
+          time,
+          recurrence,
+          occurrenceCount: 0,
+          isActive: true,
+          triggered: false,
+          snoozedUntil: null,
+          triggerAt: undefined,
+          eventAt: undefined,
+          displayDateTime: undefined,
+        });
+        // A series that started in the past picks up at its next occurrence
+        // instead of firing for one long gone
+        if (
+          recurrence &&
+          getTriggerTime(reminder, timezone) <= now &&
+          !advanceRecurrence(reminder, now, timezone)
+        ) {
+          skip(event, "Event is in the past");
+          continue;
+        }
+        await saveReminder(user, reminder);
+        (isNew ? created : updated).push(reminder.id);
+      }
+
+      if (as === "targets" && created.length + updated.length) {
+        await refreshSchedules(user);
+      }
+
+      res.json({
+        message: `Imported ${created.length + updated.length} ${as}`,
+        as,
+        created,
+        updated,
+        skipped,
+      });
+    } catch (err) {
+      console.error("Calendar import error:", err);
+      res.status(500).json({ error: "Error importing calendar" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,698 @@
+const express = require("express");
+const User = require("../models/User");
+const StudyPlan = require("../models/StudyPlan");
+const StudySession = require("../models/StudySession");
+const PlannedSession = require("../models/PlannedSession");
+const { guestQuotaError } = require("../services/accounts");
+const { checkTargetRef } = require("../services/targets");
+const {
+  dropFutureSessions,
+  regenerateSchedules,
+  refreshSchedules,
+  markPlannedDone,
+  applySessionToPlan,
+} = require("../services/studyPlans");
+const { authenticate } = require("../middleware/auth");
+const clock = require("../utils/clock");
+const { addDays, todayInZone, toDateString } = require("../utils/timezone");
+const {
+  computeStreaks,
+  periodCounts,
+  planCompletion,
+} = require("../utils/studyStats");
+const { validate } = require("../utils/validate");
+const schemas = require("../utils/requestSchemas");
+
+// Study plans with their generated schedules, timed study sessions and
+// progress stats
+
+const router = express.Router();
+
+const findOwnPlan = (req) =>
+  StudyPlan.findOne({ _id: req.params.planId, owner: req.user._id });
+
+router.post(
+  "/plans",
+  authenticate,
+  validate(schemas.plans.create),
+  async (req, res) => {
+    try {
+      // Create the plan with the authenticated user's ID
+      const fields = req.body;
+      const targetError = await checkTargetRef(req.user._id, fields.targetId);
+      if (targetError) return res.status(400).json({ error: targetError });
+
+      const limitError = await guestQuotaError(req.user, "plans");
+      if (limitError) return res.status(403).json({ error: limitError });
+
+      const planData = { ...fields, owner: req.user._id };
+      const plan = new StudyPlan(planData);
+      plan.refreshProgress(req.user.timezone);
+      const savedPlan = await plan.save();
+
+      // Add the plan to the user's studyPlans array
+      await User.findByIdAndUpdate(
+        req.user._id,
+        { $push: { studyPlans: savedPlan._id } },
+        { new: true, useFindAndModify: false }, // optional, depending on your Mongoose version
+      );
+
+      res.status(201).json(savedPlan);
+    } catch (err) {
+      console.error("Plan creation error:", err);
+
+      if (err.name === "ValidationError") {
+        return res.status(400).json({
+          error: "Validation Error",
+          details: err.message,
+        });
+      }
+
+      res.status(500).json({ error: "Error creating study plan" });
+    }
+  },
+);
+
+// Mark today as studied
+router.patch(
+  "/plans/:planId/mark-day",
+  authenticate,
+  validate(schemas.plans.plan),
+  async (req, res) => {
+    try {
+      // "Today" is the user's calendar day, not the server's
+      const dateStr = todayInZone(req.user.timezone, clock.now());
+
+      const updatedPlan = await StudyPlan.findOneAndUpdate(
+        { _id: req.params.planId, owner: req.user._id },
+        { $addToSet: { studiedDays: dateStr } }, // $addToSet = no duplicates ever
+        { new: true },
+      );
+
+      if (!updatedPlan) {
+        return res
+          .status(404)
+          .json({ error: "Plan not found or no permission." });
+      }
+
+      updatedPlan.refreshProgress(req.user.timezone);
+      await updatedPlan.save();
+      await markPlannedDone(updatedPlan._id, dateStr);
+
+      res.json(updatedPlan);
+    } catch (err) {
+      console.error("Mark day error:", err);
+      res.status(500).json({ error: "Error marking day as studied" });
+    }
+  },
+);
+
+// Update study plans
+router.put(
+  "/plans/:planId",
+  authenticate,
+  validate(schemas.plans.update),
+  async (req, res) => {
+    try {
+      const { planId } = req.params;
+      const updates = req.body;
+
+      const targetError = await checkTargetRef(req.user._id, updates.targetId);
+      if (targetError) return res.status(400).json({ error: targetError });
+
+      const updatedPlan = await StudyPlan.findOneAndUpdate(
+        { _id: planId, owner: req.user._id },
+        { $set: updates },
+        { new: true },
+      );
+
+      if (!updatedPlan) {
+        return res
+          .status(404)
+          .json({ error: "Plan not found or you don't have permission." });
+      }
+
+      // Dates, daysPerWeek or completed may have moved the target
+      updatedPlan.refreshProgress(req.user.timezone);
+      await updatedPlan.save();
+      if (updatedPlan.schedule.enabled) await refreshSchedules(req.user);
+
+      res.json(updatedPlan);
+    } catch (err) {
+      console.error("Plan update error:", err);
+      res.status(500).json({ error: "Error updating plan" });
+    }
+  },
+);
+
+router.delete(
+  "/plans/:planId",
+  authenticate,
+  validate(schemas.plans.plan),
+  async (req, res) => {
+    try {
+      const { planId } = req.params;
+      const plan = await StudyPlan.findOneAndDelete({
+        _id: planId,
+        owner: req.user._id,
+      });
+
+      if (!plan) {
+        return res
+          .status(404)
+          .json({ error: "Plan not found or you don't have permission." });
+      }
+
+      await User.findByIdAndUpdate(req.user._id, {
+        $pull: { studyPlans: planId },
+      });
+      await StudySession.deleteMany({ owner: req.user._id, plan: planId });
+      await dropFutureSessions(
+        req.user,
+        todayInZone(req.user.timezone, clock.now()),
+        [plan._id],
+      );
+      await PlannedSession.deleteMany({ owner: req.user._id, plan: plan._id });
+      if (plan.schedule.enabled) await refreshSchedules(req.user);
+      res.json({ message: "Plan deleted successfully", planId });
+    } catch (err) {
+      console.error("Plan deletion error:", err);
+      res.status(500).json({ error: "Error deleting plan" });
+    }
+  },
+);
+
+// Study schedule ------------------------------------------------------------
+
+const presentPlannedSession = (session) => ({
+  id: session._id,
+  plan: session.plan,
+  day: session.day,
+  minutes: session.minutes,
+  status: session.status,
+  reminderId: session.reminderId,
+});
+
+// Turn the generator on for a plan (or change its options) and rebuild the
+// schedule. { weekdays?: ["MO", ...], sessionTime?: "HH:MM",
+// reminders?: boolean }
+router.post(
+  "/plans/:planId/schedule",
+  authenticate,
+  validate(schemas.plans.schedule),
+  async (req, res) => {
+    try {
+      const { weekdays, sessionTime, reminders } = req.body;
+
+      const plan = await findOwnPlan(req);
+      if (!plan) return res.status(404).json({ error: "Plan not found" });
+
+      if (!plan.endDate && !plan.targetId) {
+        return res.status(400).json({
+          error: "Plan needs an end date or a target to be scheduled",
+        });
+      }
+      if (!plan.hours) {
+        return res
+          .status(400)
+          .json({ error: "Plan needs a number of hours to be scheduled" });
+      }
+
+      plan.schedule.enabled = true;
+      if (weekdays !== undefined) plan.schedule.weekdays = weekdays;
+      if (sessionTime !== undefined) plan.schedule.sessionTime = sessionTime;
+      if (reminders !== undefined) plan.schedule.reminders = Boolean(reminders);
+      await plan.save();
+
+      const { sessions, shortfalls } = await regenerateSchedules(req.user);
+      const own = sessions.filter((session) => session.plan.equals(plan._id));
+
+      res.json({
+        planId: plan._id,
+        schedule: (await StudyPlan.findById(plan._id)).schedule,
+        sessions: own.map(presentPlannedSession),
+        shortfallMinutes: shortfalls[plan._id.toString()] || 0,
+      });
+    } catch (err) {
+      console.error("Schedule generation error:", err);
+      res.status(500).json({ error: "Error generating schedule" });
+    }
+  },
+);
+
+router.get(
+  "/plans/:planId/schedule",
+  authenticate,
+  validate(schemas.plans.plan),
+  async (req, res) => {
+    try {
+      const plan = await findOwnPlan(req);
+      if (!plan) return res.status(404).json({ error: "Plan not found" });
+
+      const sessions = await PlannedSession.find({ plan: plan._id }).sort({
+        day: 1,
+      });
+      res.json({
+        planId: plan._id,
+        schedule: plan.schedule,
+        sessions: sessions.map(presentPlannedSession),
+      });
+    } catch (err) {
+      console.error("Error fetching schedule:", err);
+      res.status(500).json({ error: "Error fetching schedule" });
+    }
+  },
+);
+
+// Turn the generator off for a plan; its upcoming sessions and their
+// reminders go, past ones are kept
+router.delete(
+  "/plans/:planId/schedule",
+  authenticate,
+  validate(schemas.plans.plan),
+  async (req, res) => {
+    try {
+      const plan = await findOwnPlan(req);
+      if (!plan) return res.status(404).json({ error: "Plan not found" });
+
+      plan.schedule.enabled = false;
+      plan.schedule.shortfallMinutes = 0;
+      await plan.save();
+      await dropFutureSessions(
+        req.user,
+        todayInZone(req.user.timezone, clock.now()),
+        [plan._id],
+      );
+      // The freed-up days can go to the other plans
+      await refreshSchedules(req.user);
+
+      res.json({ message: "Schedule removed", planId: plan._id });
+    } catch (err) {
+      console.error("Error removing schedule:", err);
+      res.status(500).json({ error: "Error removing schedule" });
+    }
+  },
+);
+
+// Planned sessions across all plans, for a calendar. ?from= and ?to= are
+// "YYYY-MM-DD" (default: today and four weeks on).
+router.get(
+  "/schedule",
+  authenticate,
+  validate(schemas.plans.calendar),
+  async (req, res) => {
+    try {
+      const today = todayInZone(req.user.timezone, clock.now());
+      const from = req.query.from || today;
+      const to = req.query.to || addDays(from, 27);
+
+      const sessions = await PlannedSession.find({
+        owner: req.user._id,
+        day: { $gte: from, $lte: to },
+      })
+        .sort({ day: 1 })
+        .populate("plan", "subject priority targetId");
+
+      res.json({
+        from,
+        to,
+        sessions: sessions.map((session) => ({
+          ...presentPlannedSession(session),
+          plan: session.plan?._id,
+          subject: session.plan?.subject,
+          priority: session.plan?.priority,
+        })),
+      });
+    } catch (err) {
+      console.error("Error fetching schedule:", err);
+      res.status(500).json({ error: "Error fetching schedule" });
+    }
+  },
+);
+
+// Study sessions ------------------------------------------------------------
+
+const MAX_SESSION_MS = 24 * 60 * 60 * 1000;
+
+const sessionSummary = (plan) => ({
+  loggedMinutes: plan.loggedMinutes,
+  loggedHours: Math.round((plan.loggedMinutes / 60) * 10) / 10,
+  targetHours: plan.hours,
+  hoursCompletion: plan.hours
+    ? Math.min(100, Math.round((plan.loggedMinutes / 60 / plan.hours) * 100))
+    : null,
+});
+
+// The user's open (running or paused) session, whichever plan it's on
+router.get("/sessions/active", authenticate, async (req, res) => {
+  try {
+    const session = await StudySession.findOne({
+      owner: req.user._id,
+      open: true,
+    });
+    res.json(session);
+  } catch (err) {
+    console.error("Error fetching active session:", err);
+    res.status(500).json({ error: "Error fetching active session" });
+  }
+});
+
+router.get(
+  "/plans/:planId/sessions",
+  authenticate,
+  validate(schemas.plans.plan),
+  async (req, res) => {
+    try {
+      const plan = await findOwnPlan(req);
+      if (!plan) {
+        return res
+          .status(404)
+          .json({ error: "Plan not found or no permission." });
+      }
+
+      const sessions = await StudySession.find({
+        owner: req.user._id,
+        plan: plan._id,
+      }).sort({ startedAt: -1 });
+
+      res.json({ sessions, ...sessionSummary(plan) });
+    } catch (err) {
+      console.error("Error fetching sessions:", err);
+      res.status(500).json({ error: "Error fetching sessions" });
+    }
+  },
+);
+
+router.post(
+  "/plans/:planId/sessions/start",
+  authenticate,
+  validate(schemas.plans.startSession),
+  async (req, res) => {
+    try {
+      const plan = await findOwnPlan(req);
+      if (!plan) {
+        return res
+          .status(404)
+          .json({ error: "Plan not found or no permission." });
+      }
+
+      const open = await StudySession.exists({
+        owner: req.user._id,
+        open: true,
+      });
+      if (open) {
+        return res
+          .status(409)
+          .json({ error: "Another study session is already open" });
+      }
+
+      const now = clock.now();
+      const session = await StudySession.create({
+        owner: req.user._id,
+        plan: plan._id,
+        startedAt: now,
+        runningSince: now,
+        day: todayInZone(req.user.timezone, now),
+        note: req.body.note,
+      });
+
+      res.status(201).json(session);
+    } catch (err) {
+      // Lost a race with another tab: the partial unique index said no
+      if (err.code === 11000) {
+        return res
+          .status(409)
+          .json({ error: "Another study session is already open" });
+      }
+      console.error("Error starting session:", err);
+      res.status(500).json({ error: "Error starting session" });
+    }
+  },
+);
+
+// pause/resume/stop are single conditional updates, so a double click or a
+// second tab can't corrupt the timer
+const sessionTransitions = {
+  pause: (now) => ({
+    from: "running",
+    update: [
+      {
+        $set: {
+          accumulatedMs: {
+            $add: ["$accumulatedMs", { $subtract: [now, "$runningSince"] }],
+          },
+          runningSince: null,
+          status: "paused",
+        },
+      },
+    ],
+  }),
+  resume: (now) => ({
+    from: "paused",
+    update: { $set: { runningSince: now, status: "running" } },
+  }),
+  // A session left running (over a weekend, say) counts for no more than a
+  // day, the same limit backfilled sessions have
+  stop: (now) => ({
+    from: { $in: ["running", "paused"] },
+    update: [
+      {
+        $set: {
+          accumulatedMs: {
+            $min: [
+              {
+                $add: [
+                  "$accumulatedMs",
+                  {
+                    $cond: [
+                      { $eq: ["$status", "running"] },
+                      { $subtract: [now, "$runningSince"] },
+                      0,
+                    ],
+                  },
+                ],
+              },
+              MAX_SESSION_MS,
+            ],
+          },
+        },
+      },
+      {
+        $set: {
+          durationMinutes: {
+            $round: [{ $divide: ["$accumulatedMs", 60000] }, 0],
+          },
+          runningSince: null,
+          endedAt: now,
+          status: "completed",
+          open: false,
+        },
+      },
+    ],
+  }),
+};
+
+for (const [action, transition] of Object.entries(sessionTransitions)) {
+  router.post(
+    `/plans/:planId/sessions/:sessionId/${action}`,
+    authenticate,
+    validate(schemas.plans.session),
+    async (req, res) => {
+      try {
+        const { from, update } = transition(clock.now());
+
+        const session = await StudySession.findOneAndUpdate(
+          {
+            _id: req.params.sessionId,
+            owner: req.user._id,
+            plan: req.params.planId,
+            status: from,
+          },
+          update,
+          { new: true },
+        );
+
+        if (!session) {
+          const exists = await StudySession.exists({
+            _id: req.params.sessionId,
+            owner: req.user._id,
+            plan: req.params.planId,
+          });
+          return exists
+            ? res.status(409).json({ error: `Session can't ${action} now` })
+            : res.status(404).json({ error: "Session not found" });
+        }
+
+        if (action === "stop") {
+          const plan = await applySessionToPlan(
+            req.user,
+            session.plan,
+            session.durationMinutes > 0 ? session.day : null,
+          );
+          return res.json({ session, ...(plan && sessionSummary(plan)) });
+        }
+
+        res.json({ session });
+      } catch (err) {
+        console.error(`Error on session ${action}:`, err);
+        res.status(500).json({ error: `Error on session ${action}` });
+      }
+    },
+  );
+}
+
+// Backfill a session that wasn't timed: { startedAt, endedAt } or
+// { startedAt, minutes }
+router.post(
+  "/plans/:planId/sessions",
+  authenticate,
+  validate(schemas.plans.logSession),
+  async (req, res) => {
+    try {
+      const plan = await findOwnPlan(req);
+      if (!plan) {
+        return res
+          .status(404)
+          .json({ error: "Plan not found or no permission." });
+      }
+
+      const { startedAt, endedAt, minutes, note } = req.body;
+      const start = new Date(startedAt);
+      const end =
+        endedAt !== undefined
+          ? new Date(endedAt)
+          : new Date(start.getTime() + Number(minutes) * 60 * 1000);
+
+      if (isNaN(start) || isNaN(end) || end <= start) {
+        return res.status(400).json({
+          error:
+            "startedAt and a later endedAt (or positive minutes) are required",
+        });
+      }
+      if (end > clock.now() || end - start > MAX_SESSION_MS) {
+        return res.status(400).json({
+          error: "Sessions must be in the past and no longer than 24 hours",
+        });
+      }
+
+      const overlapping = await StudySession.exists({
+        owner: req.user._id,
+        status: "completed",
+        startedAt: { $lt: end },
+        endedAt: { $gt: start },
+      });
+      if (overlapping) {
+        return res
+          .status(409)
+          .json({ error: "Session overlaps one already logged" });
+      }
+
+      const session = await StudySession.create({
+        owner: req.user._id,
+        plan: plan._id,
+        status: "completed",
+        source: "manual",
+        open: false,
+        startedAt: start,
+        endedAt: end,
+        accumulatedMs: end - start,
+        durationMinutes: Math.round((end - start) / 60000),
+        day: toDateString(start, req.user.timezone),
+        note,
+      });
+
+      const updatedPlan = await applySessionToPlan(
+        req.user,
+        plan._id,
+        session.durationMinutes > 0 ? session.day : null,
+      );
+      res.status(201).json({ session, ...sessionSummary(updatedPlan) });
+    } catch (err) {
+      console.error("Error logging session:", err);
+      res.status(500).json({ error: "Error logging session" });
+    }
+  },
+);
+
+router.delete(
+  "/plans/:planId/sessions/:sessionId",
+  authenticate,
+  validate(schemas.plans.session),
+  async (req, res) => {
+    try {
+      const session = await StudySession.findOneAndDelete({
+        _id: req.params.sessionId,
+        owner: req.user._id,
+        plan: req.params.planId,
+      });
+      if (!session) return res.status(404).json({ error: "Session not found" });
+
+      // Re-sum the plan's time; the studied day itself stays marked
+      const plan = await applySessionToPlan(req.user, session.plan, null);
+      res.json({
+        message: "Session deleted successfully",
+        sessionId: session._id,
+        ...(plan && sessionSummary(plan)),
+      });
+    } catch (err) {
+      console.error("Error deleting session:", err);
+      res.status(500).json({ error: "Error deleting session" });
+    }
+  },
+);
+
+// Streaks, completion and studied-day counts per plan and overall
+router.get(
+  "/stats",
+  authenticate,
+  validate(schemas.plans.stats),
+  async (req, res) => {
+    try {
+      const today = todayInZone(req.user.timezone, clock.now());
+      const range = {
+        weeks: Number(req.query.weeks) || 12,
+        months: Number(req.query.months) || 12,
+      };
+
+      const plans = await StudyPlan.find({ owner: req.user._id });
+
+      const planStats = plans.map((plan) => {
+        const streaks = computeStreaks(plan.studiedDays, today);
+        return {
+          planId: plan._id,
+          subject: plan.subject,
+          topic: plan.topic,
+          startDate: plan.startDate,
+          endDate: plan.endDate,
+          daysPerWeek: plan.daysPerWeek,
+          currentStreak: streaks.current,
+          longestStreak: streaks.longest,
+          loggedHours: Math.round((plan.loggedMinutes / 60) * 10) / 10,
+          targetHours: plan.hours,
+          ...planCompletion(plan, today),
+          ...periodCounts(plan.studiedDays, today, range),
+        };
+      });
+
+      // A day counts once overall, however many plans were studied on it
+      const allDays = plans.flatMap((plan) => plan.studiedDays);
+      const overallStreaks = computeStreaks(allDays, today);
+
+      res.json({
+        today,
+        overall: {
+          currentStreak: overallStreaks.current,
+          longestStreak: overallStreaks.longest,
+          totalStudiedDays: new Set(allDays).size,
+          ...periodCounts(allDays, today, range),
+        },
+        plans: planStats,
+      });
+    } catch (err) {
+      console.error("Stats error:", err);
+      res.status(500).json({ error: "Error computing stats" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,221 @@
+const express = require("express");
+const StudyPlan = require("../models/StudyPlan");
+const Todo = require("../models/Todo");
+const {
+  loadPomodoro,
+  updateTimer,
+  syncPomodoroJob,
+  reconcilePomodoro,
+} = require("../services/pomodoroTimers");
+const { authenticate } = require("../middleware/auth");
+const clock = require("../utils/clock");
+const {
+  POMODORO_LIMITS,
+  nextPhase,
+  remainingMs,
+  enterPhase,
+} = require("../utils/pomodoro");
+const { validate } = require("../utils/validate");
+const schemas = require("../utils/requestSchemas");
+
+// The user's Pomodoro timer
+
+const router = express.Router();
+
+const TIMER_CHANGED = "Timer changed in another session; refresh and retry";
+
+const presentTimer = (timer, now = clock.now()) => ({
+  ...timer.toObject(),
+  remainingMs: remainingMs(timer, now),
+  serverTime: now,
+});
+
+router.get("/pomodoro", authenticate, async (req, res) => {
+  try {
+    const timer = await reconcilePomodoro(
+      req.user,
+      await loadPomodoro(req.user._id),
+    );
+    res.json(presentTimer(timer));
+  } catch (err) {
+    console.error("Error fetching Pomodoro timer:", err);
+    res.status(500).json({ error: "Error fetching Pomodoro timer" });
+  }
+});
+
+router.put(
+  "/pomodoro/settings",
+  authenticate,
+  validate(schemas.pomodoro.settings),
+  async (req, res) => {
+    try {
+      const state = {};
+
+      // The request schema lets only the settings fields through
+      for (const [field, value] of Object.entries(req.body)) {
+        state[`settings.${field}`] = value;
+      }
+
+      const timer = await loadPomodoro(req.user._id);
+
+      // An idle timer shows the full length of its phase, so keep it current
+      if (timer.status === "idle") {
+        const settings = { ...timer.settings.toObject() };
+        for (const field of Object.keys(POMODORO_LIMITS)) {
+          if (state[`settings.${field}`] !== undefined) {
+            settings[field] = state[`settings.${field}`];
+          }
+        }
+        state.remainingMs = enterPhase(settings, timer.phase, timer.cycle, {
+          start: false,
+        }).remainingMs;
+      }
+
+      const updated = await updateTimer(timer, state);
+      if (!updated) return res.status(409).json({ error: TIMER_CHANGED });
+
+      res.json(presentTimer(updated));
+    } catch (err) {
+      console.error("Error updating Pomodoro settings:", err);
+      res.status(500).json({ error: "Error updating Pomodoro settings" });
+    }
+  },
+);
+
+// Start the current phase, or resume it when paused. { planId, todoId }
+// choose where completed work intervals are credited (null clears).
+router.post(
+  "/pomodoro/start",
+  authenticate,
+  validate(schemas.pomodoro.start),
+  async (req, res) => {
+    try {
+      const { planId, todoId } = req.body;
+      const now = clock.now();
+      const timer = await reconcilePomodoro(
+        req.user,
+        await loadPomodoro(req.user._id),
+        now,
+      );
+
+      if (timer.status === "running") {
+        return res.status(409).json({ error: "Timer is already running" });
+      }
+
+      const state =
+        timer.status === "paused"
+          ? {
+              status: "running",
+              phaseEndsAt: new Date(now.getTime() + remainingMs(timer, now)),
+            }
+          : enterPhase(timer.settings, timer.phase, timer.cycle, {
+              start: true,
+              now,
+            });
+
+      if (planId !== undefined) {
+        if (
+          planId &&
+          !(await StudyPlan.exists({ _id: planId, owner: req.user._id }))
+        ) {
+          return res.status(404).json({ error: "Plan not found" });
+        }
+        state.plan = planId || null;
+      }
+      if (todoId !== undefined) {
+        if (
+          todoId &&
+          !(await Todo.exists({ owner: req.user._id, id: todoId }))
+        ) {
+          return res.status(404).json({ error: "Todo not found" });
+        }
+        state.todoId = todoId || null;
+      }
+
+      const updated = await updateTimer(timer, state);
+      if (!updated) return res.status(409).json({ error: TIMER_CHANGED });
+
+      await syncPomodoroJob(updated);
+      res.json(presentTimer(updated, now));
+    } catch (err) {
+      console.error("Error starting Pomodoro timer:", err);
+      res.status(500).json({ error: "Error starting Pomodoro timer" });
+    }
+  },
+);
+
+router.post("/pomodoro/pause", authenticate, async (req, res) => {
+  try {
+    const now = clock.now();
+    const timer = await reconcilePomodoro(
+      req.user,
+      await loadPomodoro(req.user._id),
+      now,
+    );
+
+    if (timer.status !== "running") {
+      return res.status(409).json({ error: "Timer isn't running" });
+    }
+
+    const updated = await updateTimer(timer, {
+      status: "paused",
+      remainingMs: remainingMs(timer, now),
+      phaseEndsAt: null,
+    });
+    if (!updated) return res.status(409).json({ error: TIMER_CHANGED });
+
+    await syncPomodoroJob(updated);
+    res.json(presentTimer(updated, now));
+  } catch (err) {
+    console.error("Error pausing Pomodoro timer:", err);
+    res.status(500).json({ error: "Error pausing Pomodoro timer" });
+  }
+});
+
+// Move straight to the next phase. A skipped work phase isn't credited.
+router.post("/pomodoro/skip", authenticate, async (req, res) => {
+  try {
+    const now = clock.now();
+    const timer = await reconcilePomodoro(
+      req.user,
+      await loadPomodoro(req.user._id),
+      now,
+    );
+
+    const { phase, cycle } = nextPhase(timer);
+    const updated = await updateTimer(
+      timer,
+      enterPhase(timer.settings, phase, cycle, {
+        start: timer.status === "running" && timer.settings.autoStart,
+        now,
+      }),
+    );
+    if (!updated) return res.status(409).json({ error: TIMER_CHANGED });
+
+    await syncPomodoroJob(updated);
+    res.json(presentTimer(updated, now));
+  } catch (err) {
+    console.error("Error skipping Pomodoro phase:", err);
+    res.status(500).json({ error: "Error skipping Pomodoro phase" });
+  }
+});
+
+// Back to an idle first work phase; settings and target are kept
+router.post("/pomodoro/reset", authenticate, async (req, res) => {
+  try {
+    const timer = await loadPomodoro(req.user._id);
+    const updated = await updateTimer(
+      timer,
+      enterPhase(timer.settings, "work", 0, { start: false }),
+    );
+    if (!updated) return res.status(409).json({ error: TIMER_CHANGED });
+
+    await syncPomodoroJob(updated);
+    res.json(presentTimer(updated));
+  } catch (err) {
+    console.error("Error resetting Pomodoro timer:", err);
+    res.status(500).json({ error: "Error resetting Pomodoro timer" });
+  }
+});
+
+module.exports = router;
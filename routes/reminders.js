@@ -0,0 +1,502 @@
+const express = require("express");
+const User = require("../models/User");
+const Reminder = require("../models/Reminder");
+const NotificationDelivery = require("../models/NotificationDelivery");
+const NotificationService = require("../services");
+const { STATUS, CHANNELS } = require("../services");
+const rateLimiter = require("../services/rateLimiter");
+const {
+  newClientId,
+  pruneExpiredSubscriptions,
+  snoozeReminder,
+  dismissReminder,
+  carryReminderState,
+  parseRecurrenceInput,
+  saveReminder,
+  syncReminderJob,
+  cancelReminderJobs,
+} = require("../services/reminderEngine");
+const { runScheduledChecks } = require("../services/jobs");
+const { guestQuotaError } = require("../services/accounts");
+const { checkTargetRef } = require("../services/targets");
+const { SCHEDULE_REMINDER_PREFIX } = require("../services/studyPlans");
+const { authenticate } = require("../middleware/auth");
+const clock = require("../utils/clock");
+const { verifyActionToken } = require("../utils/reminderLinks");
+const { validate } = require("../utils/validate");
+const schemas = require("../utils/requestSchemas");
+
+// Reminders, their one-click actions and the notification history
+
+const router = express.Router();
+
+// Sends email (and SMS/push) on demand; see services/rateLimiter.js
+const sendReminderLimit = rateLimiter.limit({
+  name: "send-reminder",
+  by: "user",
+  limit: "10/1h",
+});
+
+// Cron trigger for deployments without the job scheduler
+router.post("/reminders/check", async (req, res) => {
+  const providedSecret = req.header("x-cron-secret") || req.query.secret || "";
+
+  if (providedSecret !== process.env.CRON_SECRET) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    res.json({ ok: true, ...(await runScheduledChecks()) });
+  } catch (err) {
+    console.error("Error checking reminders:", err);
+    res.status(500).json({ error: "Error checking reminders" });
+  }
+});
+
+router.get("/reminders", authenticate, async (req, res) => {
+  try {
+    const reminders = await Reminder.find({ owner: req.user._id }).sort({
+      _id: 1,
+    });
+    res.json(reminders);
+  } catch (err) {
+    console.error("Error fetching reminders:", err);
+    res.status(500).json({ error: "Error fetching reminders" });
+  }
+});
+
+// Replace all of the user's reminders
+router.post(
+  "/reminders",
+  authenticate,
+  validate(schemas.reminders.replace),
+  async (req, res) => {
+    try {
+      // Study-schedule reminders belong to the plan generator: they're kept
+      // as they are, and copies the client sends back are ignored
+      const reminders = req.body.reminders.filter(
+        (reminder) =>
+          !String(reminder.id ?? "").startsWith(SCHEDULE_REMINDER_PREFIX),
+      );
+
+      try {
+        for (const reminder of reminders) {
+          reminder.recurrence = parseRecurrenceInput(reminder.recurrence);
+        }
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      const ids = reminders.map((r) => r.id).filter(Boolean);
+      if (new Set(ids).size !== ids.length) {
+        return res.status(400).json({ error: "Reminder ids must be unique" });
+      }
+
+      const limitError = await guestQuotaError(
+        req.user,
+        "reminders",
+        reminders.length,
+        0,
+      );
+      if (limitError) return res.status(403).json({ error: limitError });
+
+      for (const targetId of new Set(reminders.map((r) => r.targetId))) {
+        const error = await checkTargetRef(req.user._id, targetId);
+        if (error) return res.status(400).json({ error });
+      }
+
+      const user = req.user;
+      const replaced = {
+        owner: user._id,
+        id: { $not: new RegExp(`^${SCHEDULE_REMINDER_PREFIX}`) },
+      };
+      const previous = await Reminder.find(replaced);
+      const previousById = new Map(previous.map((r) => [r.id, r]));
+
+      const docs = reminders.map(({ _id, owner, ...fields }) => {
+        const reminder = new Reminder({
+          ...fields,
+          owner: user._id,
+          id: fields.id || newClientId(),
+        });
+        // Reminders the client already had keep whether they've fired
+        const stored = previousById.get(reminder.id);
+        if (stored) carryReminderState(stored, reminder);
+        reminder.updateTriggerTime(user.timezone);
+        return reminder;
+      });
+
+      await Reminder.deleteMany(replaced);
+      const saved = await Reminder.insertMany(docs);
+
+      for (const { id } of previous) await cancelReminderJobs(user._id, id);
+      for (const reminder of saved) {
+        await syncReminderJob(user, reminder);
+      }
+
+      res.json({
+        message: "Reminders saved successfully",
+        reminders: saved,
+      });
+    } catch (err) {
+      console.error("Error saving reminders:", err);
+      res.status(500).json({ error: "Error saving reminders" });
+    }
+  },
+);
+
+router.post(
+  "/reminders/add",
+  authenticate,
+  validate(schemas.reminders.add),
+  async (req, res) => {
+    try {
+      const fields = req.body;
+
+      const limitError = await guestQuotaError(req.user, "reminders");
+      if (limitError) return res.status(403).json({ error: limitError });
+
+      const targetError = await checkTargetRef(req.user._id, fields.targetId);
+      if (targetError) return res.status(400).json({ error: targetError });
+
+      try {
+        fields.recurrence = parseRecurrenceInput(fields.recurrence);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      if (
+        fields.id &&
+        (await Reminder.exists({ owner: req.user._id, id: fields.id }))
+      ) {
+        return res.status(409).json({ error: "Reminder id already exists" });
+      }
+
+      // Add new reminder with timestamp
+      const newReminder = new Reminder({
+        ...fields,
+        owner: req.user._id,
+        id: fields.id || newClientId(),
+        createdAt: clock.now(),
+        triggered: false,
+      });
+      await saveReminder(req.user, newReminder);
+
+      res.json({
+        message: "Reminder added successfully",
+        reminder: newReminder,
+      });
+    } catch (err) {
+      console.error("Error adding reminder:", err);
+      res.status(500).json({ error: "Error adding reminder" });
+    }
+  },
+);
+
+router.put(
+  "/reminders/:reminderId",
+  authenticate,
+  validate(schemas.reminders.update),
+  async (req, res) => {
+    try {
+      const { reminderId } = req.params;
+      const { _id, owner, id, ...updates } = req.body;
+
+      try {
+        updates.recurrence = parseRecurrenceInput(updates.recurrence);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      if (updates.recurrence === undefined) delete updates.recurrence;
+
+      const targetError = await checkTargetRef(req.user._id, updates.targetId);
+      if (targetError) return res.status(400).json({ error: targetError });
+
+      const reminder = await Reminder.findOne({
+        owner: req.user._id,
+        id: reminderId,
+      });
+      if (!reminder) {
+        return res.status(404).json({ error: "Reminder not found" });
+      }
+
+      const previous = reminder.toObject();
+      reminder.set(updates);
+      carryReminderState(previous, reminder);
+      await saveReminder(req.user, reminder);
+
+      res.json({
+        message: "Reminder updated successfully",
+        reminder,
+      });
+    } catch (err) {
+      console.error("Error updating reminder:", err);
+      res.status(500).json({ error: "Error updating reminder" });
+    }
+  },
+);
+
+// Delete a reminder
+router.delete("/reminders/:reminderId", authenticate, async (req, res) => {
+  try {
+    const { reminderId } = req.params;
+
+    await Reminder.deleteOne({ owner: req.user._id, id: reminderId });
+    await cancelReminderJobs(req.user._id, reminderId);
+
+    const reminders = await Reminder.find({ owner: req.user._id }).sort({
+      _id: 1,
+    });
+    res.json({
+      message: "Reminder deleted successfully",
+      reminders,
+    });
+  } catch (err) {
+    console.error("Error deleting reminder:", err);
+    res.status(500).json({ error: "Error deleting reminder" });
+  }
+});
+
+// Toggle reminder active status
+router.patch(
+  "/reminders/:reminderId/toggle",
+  authenticate,
+  async (req, res) => {
+    try {
+      const { reminderId } = req.params;
+
+      // Flipped in the database so two quick toggles can't cancel out
+      const reminder = await Reminder.findOneAndUpdate(
+        { owner: req.user._id, id: reminderId },
+        [{ $set: { isActive: { $not: ["$isActive"] } } }],
+        { new: true },
+      );
+      if (!reminder) {
+        return res.status(404).json({ error: "Reminder not found" });
+      }
+
+      await syncReminderJob(req.user, reminder);
+
+      res.json({
+        message: "Reminder toggled successfully",
+        reminder,
+      });
+    } catch (err) {
+      console.error("Error toggling reminder:", err);
+      res.status(500).json({ error: "Error toggling reminder" });
+    }
+  },
+);
+
+// Snooze a reminder that has gone off, by { minutes } or until { until }
+router.post(
+  "/reminders/:reminderId/snooze",
+  authenticate,
+  validate(schemas.reminders.snooze),
+  async (req, res) => {
+    try {
+      const { minutes, until } = req.body;
+
+      if (minutes === undefined && until === undefined) {
+        return res.status(400).json({ error: "Minutes or until is required" });
+      }
+
+      const user = req.user;
+      const reminder = await Reminder.findOne({
+        owner: user._id,
+        id: req.params.reminderId,
+      });
+      if (!reminder) {
+        return res.status(404).json({ error: "Reminder not found" });
+      }
+
+      const snoozeEnd =
+        until !== undefined
+          ? new Date(until)
+          : new Date(clock.now().getTime() + Number(minutes) * 60 * 1000);
+
+      const refused = snoozeReminder(user, reminder, snoozeEnd);
+      if (refused) {
+        return res.status(refused.status).json({ error: refused.error });
+      }
+
+      await saveReminder(user, reminder);
+
+      res.json({ message: "Reminder snoozed", reminder });
+    } catch (err) {
+      console.error("Error snoozing reminder:", err);
+      res.status(500).json({ error: "Error snoozing reminder" });
+    }
+  },
+);
+
+// Acknowledge a reminder, cancelling any pending snooze
+router.post(
+  "/reminders/:reminderId/dismiss",
+  authenticate,
+  async (req, res) => {
+    try {
+      const reminder = await Reminder.findOne({
+        owner: req.user._id,
+        id: req.params.reminderId,
+      });
+      if (!reminder)
+        return res.status(404).json({ error: "Reminder not found" });
+
+      dismissReminder(reminder);
+      await saveReminder(req.user, reminder);
+
+      res.json({ message: "Reminder dismissed", reminder });
+    } catch (err) {
+      console.error("Error dismissing reminder:", err);
+      res.status(500).json({ error: "Error dismissing reminder" });
+    }
+  },
+);
+
+// One-click snooze/dismiss from email or push, authenticated by the signed
+// token instead of a login. GET for email links, POST for service workers.
+const handleReminderAction = async (req, res) => {
+  let payload;
+  try {
+    payload = verifyActionToken(req.params.token);
+  } catch (err) {
+    return res.status(400).json({ error: "Invalid or expired link" });
+  }
+
+  const respond = (outcome, status = 200, error) => {
+    if (process.env.APP_URL && req.method === "GET") {
+      return res.redirect(
+        `${process.env.APP_URL.replace(/\/$/, "")}/reminders?reminderAction=${outcome}`,
+      );
+    }
+    res.status(status).json(error ? { error } : { outcome });
+  };
+
+  try {
+    const user = await User.findById(payload.sub);
+    const reminder =
+      user && (await Reminder.findOne({ owner: user._id, id: payload.rid }));
+    if (!reminder) return respond("not-found", 404, "Reminder not found");
+
+    // Only the occurrence the notification was sent for
+    const occurrence = reminder.notifiedAt
+      ? new Date(reminder.notifiedAt).getTime()
+      : 0;
+    if (occurrence !== payload.occ) {
+      return respond("stale", 409, "This link is for an earlier reminder");
+    }
+
+    if (payload.act === "dismiss") {
+      dismissReminder(reminder);
+    } else {
+      // Link scanners may open it twice; don't stack snoozes
+      if (reminder.triggerAt && new Date(reminder.triggerAt) > clock.now()) {
+        return respond("snoozed");
+      }
+      const until = new Date(
+        clock.now().getTime() + (user.snoozeMinutes || 10) * 60 * 1000,
+      );
+      const refused = snoozeReminder(user, reminder, until);
+      if (refused) return respond("refused", refused.status, refused.error);
+    }
+
+    await saveReminder(user, reminder);
+    respond(payload.act === "dismiss" ? "dismissed" : "snoozed");
+  } catch (err) {
+    console.error("Reminder action error:", err);
+    res.status(500).json({ error: "Error handling reminder action" });
+  }
+};
+
+router.get("/reminders/actions/:token", handleReminderAction);
+router.post("/reminders/actions/:token", handleReminderAction);
+
+router.post(
+  "/send-reminder",
+  authenticate,
+  sendReminderLimit,
+  validate(schemas.reminders.send),
+  async (req, res) => {
+    try {
+      const { reminderId, label, targetName, targetDate, reminderTime } =
+        req.body;
+      const user = req.user;
+      const results = await NotificationService.sendUserNotification(
+        user,
+        "reminder",
+        {
+          reminder: {
+            label: label || targetName,
+            eventAt: targetDate,
+            advanceNotice: 0,
+            advanceUnit: "hours",
+          },
+        },
+      );
+      await pruneExpiredSubscriptions(user, results);
+      res.json({
+        message: "Reminder processed",
+        emailSent: results.email === STATUS.SENT,
+        details: CHANNELS.map((type) => ({
+          type,
+          sent: results[type] === STATUS.SENT,
+          status: results[type],
+        })),
+      });
+    } catch (err) {
+      console.error("Error sending reminder:", err);
+      res.status(500).json({ error: "Error sending reminder" });
+    }
+  },
+);
+
+// What was sent to the user, when and on which channel, newest first.
+// ?channel=, ?status= and ?type= filter; page with ?before=<createdAt of the
+// last item> (returned as nextBefore) and ?limit= (max 100).
+router.get(
+  "/notifications/history",
+  authenticate,
+  validate(schemas.reminders.history),
+  async (req, res) => {
+    try {
+      const { channel, status, type, before } = req.query;
+      const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 50));
+
+      const filter = { owner: req.user._id };
+      if (channel) filter.channel = channel;
+      if (status) filter.status = status;
+      if (type) filter.type = type;
+      if (before) filter.createdAt = { $lt: new Date(before) };
+
+      const deliveries = await NotificationDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit);
+
+      res.json({
+        deliveries: deliveries.map((delivery) => ({
+          id: delivery._id,
+          type: delivery.type,
+          channel: delivery.channel,
+          status: delivery.status,
+          summary: delivery.summary,
+          reminderId: delivery.reminderId,
+          attempts: delivery.attempts,
+          lastError: delivery.lastError,
+          nextAttemptAt: delivery.nextAttemptAt,
+          sentAt: delivery.sentAt,
+          createdAt: delivery.createdAt,
+        })),
+        nextBefore:
+          deliveries.length === limit
+            ? deliveries[deliveries.length - 1].createdAt
+            : null,
+      });
+    } catch (err) {
+      console.error("Notification history error:", err);
+      res.status(500).json({ error: "Error fetching notification history" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,244 @@
+const express = require("express");
+const Target = require("../models/Target");
+const StudyPlan = require("../models/StudyPlan");
+const {
+  primaryTarget,
+  presentTargets,
+  makePrimary,
+  removeTarget,
+} = require("../services/targets");
+const { refreshSchedules } = require("../services/studyPlans");
+const { authenticate } = require("../middleware/auth");
+const { validate } = require("../utils/validate");
+const schemas = require("../utils/requestSchemas");
+
+// Countdown targets, and the legacy single-target /api/target-date API
+
+const router = express.Router();
+
+const TARGET_FIELDS = ["name", "date", "color", "notes"];
+
+// Error message unless every id in planIds (already checked to be ids by the
+// request schema) is one of the user's own plans
+async function checkPlanIds(user, planIds) {
+  const owned = await StudyPlan.countDocuments({
+    _id: { $in: planIds },
+    owner: user._id,
+  });
+  return owned === new Set(planIds.map(String)).size ? null : "Plan not found";
+}
+
+// Points exactly `planIds` (checked with checkPlanIds) at the target
+async function linkPlans(user, target, planIds) {
+  await StudyPlan.updateMany(
+    { owner: user._id, targetId: target._id, _id: { $nin: planIds } },
+    { $unset: { targetId: "" } },
+  );
+  await StudyPlan.updateMany(
+    { owner: user._id, _id: { $in: planIds } },
+    { $set: { targetId: target._id } },
+  );
+}
+
+const targetSaveError = (err, res) => {
+  if (err.name === "ValidationError" || err.name === "CastError") {
+    return res.status(400).json({ error: err.message });
+  }
+  if (err.code === 11000) {
+    return res
+      .status(409)
+      .json({ error: "Primary target changed in another session; retry" });
+  }
+  return null;
+};
+
+router.get("/targets", authenticate, async (req, res) => {
+  try {
+    const targets = await Target.find({ owner: req.user._id }).sort({
+      date: 1,
+    });
+    res.json(await presentTargets(req.user, targets));
+  } catch (err) {
+    console.error("Error fetching targets:", err);
+    res.status(500).json({ error: "Error fetching targets" });
+  }
+});
+
+// { name, date, color?, notes?, primary?, plans?: [planId] }. A user's first
+// target is primary whatever the request says.
+router.post(
+  "/targets",
+  authenticate,
+  validate(schemas.targets.create),
+  async (req, res) => {
+    try {
+      const fields = {};
+      for (const field of TARGET_FIELDS) {
+        if (req.body[field] !== undefined) fields[field] = req.body[field];
+      }
+      if (req.body.plans !== undefined) {
+        const error = await checkPlanIds(req.user, req.body.plans);
+        if (error) return res.status(400).json({ error });
+      }
+
+      const isFirst = !(await Target.exists({ owner: req.user._id }));
+      const target = new Target({ ...fields, owner: req.user._id });
+      await target.validate();
+
+      if (isFirst || req.body.primary) await makePrimary(req.user, target);
+      else await target.save();
+
+      if (req.body.plans !== undefined) {
+        await linkPlans(req.user, target, req.body.plans);
+      }
+
+      const [presented] = await presentTargets(req.user, [target]);
+      res.status(201).json(presented);
+    } catch (err) {
+      if (targetSaveError(err, res)) return;
+      console.error("Error creating target:", err);
+      res.status(500).json({ error: "Error creating target" });
+    }
+  },
+);
+
+// Partial update; primary: true moves the primary flag here (it can't be
+// switched off directly — make another target primary instead)
+router.put(
+  "/targets/:targetId",
+  authenticate,
+  validate(schemas.targets.update),
+  async (req, res) => {
+    try {
+      const target = await Target.findOne({
+        _id: req.params.targetId,
+        owner: req.user._id,
+      });
+      if (!target) return res.status(404).json({ error: "Target not found" });
+
+      for (const field of TARGET_FIELDS) {
+        if (req.body[field] !== undefined) target[field] = req.body[field];
+      }
+      const dateChanged = target.isModified("date");
+      await target.validate();
+      if (req.body.plans !== undefined) {
+        const error = await checkPlanIds(req.user, req.body.plans);
+        if (error) return res.status(400).json({ error });
+      }
+
+      if (req.body.primary === true) await makePrimary(req.user, target);
+      else await target.save();
+      if (req.body.plans !== undefined) {
+        await linkPlans(req.user, target, req.body.plans);
+      }
+      // Generated schedules run up to the target date
+      if (dateChanged || req.body.plans !== undefined) {
+        await refreshSchedules(req.user);
+      }
+
+      const [presented] = await presentTargets(req.user, [target]);
+      res.json(presented);
+    } catch (err) {
+      if (targetSaveError(err, res)) return;
+      console.error("Error updating target:", err);
+      res.status(500).json({ error: "Error updating target" });
+    }
+  },
+);
+
+router.delete(
+  "/targets/:targetId",
+  authenticate,
+  validate(schemas.targets.remove),
+  async (req, res) => {
+    try {
+      const target = await Target.findOne({
+        _id: req.params.targetId,
+        owner: req.user._id,
+      });
+      if (!target) return res.status(404).json({ error: "Target not found" });
+
+      await removeTarget(req.user, target);
+
+      res.json({
+        message: "Target deleted successfully",
+        targetId: target._id,
+      });
+    } catch (err) {
+      console.error("Error deleting target:", err);
+      res.status(500).json({ error: "Error deleting target" });
+    }
+  },
+);
+
+// Legacy single-target API: a view of the primary target. POST and PUT both
+// create it if missing and otherwise update it.
+async function saveLegacyTarget(req, res, message) {
+  const { targetDate, targetName } = req.body;
+
+  const target =
+    (await primaryTarget(req.user._id)) ||
+    new Target({ owner: req.user._id, primary: true });
+  target.name = targetName;
+  target.date = targetDate;
+  const dateChanged = target.isModified("date");
+  await target.save();
+  // Generated schedules run up to the target date
+  if (dateChanged) await refreshSchedules(req.user);
+
+  res.json({ message, targetDate, targetName });
+}
+
+// Add target date
+router.post(
+  "/target-date",
+  authenticate,
+  validate(schemas.targets.legacy),
+  async (req, res) => {
+    try {
+      await saveLegacyTarget(req, res, "Target added successfully");
+    } catch (err) {
+      if (targetSaveError(err, res)) return;
+      console.error("Target add error:", err);
+      res.status(500).json({ error: "Error adding target" });
+    }
+  },
+);
+
+// Update target date
+router.put(
+  "/target-date",
+  authenticate,
+  validate(schemas.targets.legacy),
+  async (req, res) => {
+    try {
+      await saveLegacyTarget(req, res, "Target updated successfully");
+    } catch (err) {
+      if (targetSaveError(err, res)) return;
+      console.error("Target update error:", err);
+      res.status(500).json({ error: "Error updating target" });
+    }
+  },
+);
+
+// DELETE endpoint for removing target date
+router.delete("/target-date", authenticate, async (req, res) => {
+  try {
+    const target = await primaryTarget(req.user._id);
+    if (!target) {
+      return res.status(404).json({ error: "No target date found to delete" });
+    }
+
+    await removeTarget(req.user, target);
+
+    res.json({
+      message: "Target date deleted successfully",
+      deleted: true,
+    });
+  } catch (err) {
+    console.error("Target deletion error:", err);
+    res.status(500).json({ error: "Error deleting target date" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require("express");
+const Todo = require("../models/Todo");
+const { newClientId } = require("../services/reminderEngine");
+const { checkTargetRef } = require("../services/targets");
+const { authenticate } = require("../middleware/auth");
+const { toDateString } = require("../utils/timezone");
+const { validate } = require("../utils/validate");
+const schemas = require("../utils/requestSchemas");
+
+// The user's todo list
+
+const router = express.Router();
+
+// Priority ranking used to sort todos (lower number = higher priority)
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+const sortTodos = (todos) => {
+  return [...todos].sort((a, b) => {
+    const aPriority = PRIORITY_ORDER[a.priority] ?? PRIORITY_ORDER.medium;
+    const bPriority = PRIORITY_ORDER[b.priority] ?? PRIORITY_ORDER.medium;
+
+    if (aPriority !== bPriority) return aPriority - bPriority;
+
+    // Same priority: earlier createdAt first
+    return new Date(b.createdAt) - new Date(a.createdAt);
+  });
+};
+
+// Todo due dates are calendar days ("YYYY-MM-DD"); timestamps from the
+// client are pinned to the day they fall on in the user's timezone
+const normalizeDueDate = (dueDate, timezone) => {
+  if (!dueDate) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) return dueDate;
+
+  const date = new Date(dueDate);
+  return isNaN(date) ? dueDate : toDateString(date, timezone);
+};
+
+// Get all todos
+router.get("/todos", authenticate, async (req, res) => {
+  try {
+    const todos = await Todo.find({ owner: req.user._id });
+    res.json(sortTodos(todos));
+  } catch (err) {
+    console.error("Error fetching todos:", err);
+    res.status(500).json({ error: "Error fetching todos" });
+  }
+});
+
+// Add a todo
+router.post(
+  "/todos",
+  authenticate,
+  validate(schemas.todos.create),
+  async (req, res) => {
+    try {
+      const { text, priority, dueDate, targetId } = req.body;
+
+      const targetError = await checkTargetRef(req.user._id, targetId);
+      if (targetError) return res.status(400).json({ error: targetError });
+
+      const newTodo = await Todo.create({
+        owner: req.user._id,
+        id: newClientId(),
+        text,
+        completed: false,
+        priority: priority || "medium",
+        dueDate: normalizeDueDate(dueDate, req.user.timezone),
+        targetId: targetId || undefined,
+        createdAt: new Date(),
+      });
+
+      res.status(201).json(newTodo);
+    } catch (err) {
+      console.error("Error adding todo:", err);
+      res.status(500).json({ error: "Error adding todo" });
+    }
+  },
+);
+
+// Update a todo (text, priority, dueDate, completed)
+router.put(
+  "/todos/:todoId",
+  authenticate,
+  validate(schemas.todos.update),
+  async (req, res) => {
+    try {
+      const { todoId } = req.params;
+      const { _id, owner, id, ...updates } = req.body;
+
+      if (updates.dueDate !== undefined) {
+        updates.dueDate = normalizeDueDate(updates.dueDate, req.user.timezone);
+      }
+
+      const targetError = await checkTargetRef(req.user._id, updates.targetId);
+      if (targetError) return res.status(400).json({ error: targetError });
+
+      const todo = await Todo.findOneAndUpdate(
+        { owner: req.user._id, id: todoId },
+        { $set: updates },
+        { new: true, runValidators: true },
+      );
+      if (!todo) return res.status(404).json({ error: "Todo not found" });
+
+      res.json(todo);
+    } catch (err) {
+      console.error("Error updating todo:", err);
+      res.status(500).json({ error: "Error updating todo" });
+    }
+  },
+);
+
+// Toggle completed status
+router.patch("/todos/:todoId/toggle", authenticate, async (req, res) => {
+  try {
+    const { todoId } = req.params;
+
+    const todo = await Todo.findOneAndUpdate(
+      { owner: req.user._id, id: todoId },
+      [{ $set: { completed: { $not: ["$completed"] } } }],
+      { new: true },
+    );
+    if (!todo) return res.status(404).json({ error: "Todo not found" });
+
+    res.json(todo);
+  } catch (err) {
+    console.error("Error toggling todo:", err);
+    res.status(500).json({ error: "Error toggling todo" });
+  }
+});
+
+// Delete a todo
+router.delete("/todos/:todoId", authenticate, async (req, res) => {
+  try {
+    const { todoId } = req.params;
+
+    const result = await Todo.deleteOne({ owner: req.user._id, id: todoId });
+    if (!result.deletedCount) {
+      return res.status(404).json({ error: "Todo not found" });
+    }
+
+    res.json({ message: "Todo deleted successfully", todoId });
+  } catch (err) {
+    console.error("Error deleting todo:", err);
+    res.status(500).json({ error: "Error deleting todo" });
+  }
+});
+
+module.exports = router;
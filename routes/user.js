@@ -0,0 +1,792 @@
+const express = require("express");
+const User = require("../models/User");
+const Reminder = require("../models/Reminder");
+const Todo = require("../models/Todo");
+const StudyPlan = require("../models/StudyPlan");
+const StudySession = require("../models/StudySession");
+const PomodoroTimer = require("../models/PomodoroTimer");
+const Target = require("../models/Target");
+const PlannedSession = require("../models/PlannedSession");
+const EmailVerification = require("../models/EmailVerification");
+const NotificationService = require("../services");
+const {
+  cancelReminderJobs,
+  saveReminder,
+} = require("../services/reminderEngine");
+const {
+  requestVerification,
+  guestQuotaError,
+} = require("../services/accounts");
+const { presentTargets, promoteNextTarget } = require("../services/targets");
+const {
+  SCHEDULE_REMINDER_PREFIX,
+  refreshSchedules,
+} = require("../services/studyPlans");
+const { authenticate } = require("../middleware/auth");
+const clock = require("../utils/clock");
+const { todayInZone } = require("../utils/timezone");
+const { guestStatus } = require("../utils/guest");
+const { nextDigestAt } = require("../utils/digest");
+const { toCsv } = require("../utils/csv");
+const {
+  ARCHIVE_FORMAT,
+  SCHEMA_VERSION,
+  IMPORT_MODES,
+  validateArchive,
+  remapIds,
+} = require("../utils/accountArchive");
+const { validate } = require("../utils/validate");
+const schemas = require("../utils/requestSchemas");
+
+// The signed-in user: profile and settings, push devices, and exporting or
+// importing the whole account
+
+const router = express.Router();
+
+router.put(
+  "/user/settings",
+  authenticate,
+  validate(schemas.user.settings),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id);
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      const {
+        name,
+        avatar,
+        email,
+        emailNotifications,
+        mobileNotifications,
+        phone,
+        background,
+        timezone,
+        maxSnoozes,
+        snoozeMinutes,
+        digest,
+        blackoutDates,
+        dailyStudyMinutes,
+      } = req.body;
+
+      if (name) user.name = name;
+      if (avatar) user.avatar = avatar;
+      if (background !== undefined) user.background = background;
+
+      // A new notification address takes over once it's confirmed
+      let pendingNotificationEmail = null;
+      if (email !== undefined) {
+        if (!email || email === user.email) {
+          user.notificationEmail = undefined;
+          await EmailVerification.deleteOne({
+            owner: user._id,
+            purpose: "notification",
+          });
+        } else if (email !== user.notificationEmail) {
+          pendingNotificationEmail = email;
+        }
+      }
+
+      if (emailNotifications !== undefined)
+        user.emailNotifications = emailNotifications;
+      if (mobileNotifications !== undefined)
+        user.mobileNotifications = mobileNotifications;
+      if (phone !== undefined) user.phone = phone;
+      const timezoneChanged =
+        timezone !== undefined && timezone !== user.timezone;
+      if (timezone !== undefined) user.timezone = timezone;
+      if (maxSnoozes !== undefined) user.maxSnoozes = maxSnoozes;
+      if (snoozeMinutes !== undefined) user.snoozeMinutes = snoozeMinutes;
+      if (blackoutDates !== undefined) {
+        user.blackoutDates = [...new Set(blackoutDates)].sort();
+      }
+      if (dailyStudyMinutes !== undefined) {
+        user.dailyStudyMinutes = dailyStudyMinutes;
+      }
+
+      if (digest !== undefined) {
+        if (digest.enabled !== undefined) {
+          user.digest.enabled = Boolean(digest.enabled);
+        }
+        for (const field of ["cadence", "sendTime", "weekday"]) {
+          if (digest[field] !== undefined) user.digest[field] = digest[field];
+        }
+      }
+      // Any of these move the next send time
+      if (digest !== undefined || timezoneChanged) {
+        user.digest.nextSendAt = user.digest.enabled
+          ? nextDigestAt(user.digest, user.timezone, clock.now())
+          : null;
+      }
+
+      await user.save();
+
+      if (pendingNotificationEmail) {
+        await requestVerification(
+          user,
+          pendingNotificationEmail,
+          "notification",
+          req,
+        );
+      }
+
+      // Reminder trigger times are wall-clock times in the user's zone
+      if (timezoneChanged) {
+        const reminders = await Reminder.find({ owner: user._id });
+        for (const reminder of reminders) {
+          await saveReminder(user, reminder);
+        }
+      }
+      if (
+        timezoneChanged ||
+        blackoutDates !== undefined ||
+        dailyStudyMinutes !== undefined
+      ) {
+        await refreshSchedules(user);
+      }
+
+      res.json({
+        message: "Settings updated successfully",
+        user: {
+          _id: user._id,
+          name: user.name,
+          email: user.email,
+          notificationEmail: user.notificationEmail,
+          pendingNotificationEmail,
+          emailVerified: user.emailVerified !== false,
+          avatar: user.avatar,
+          background: user.background,
+          emailNotifications: user.emailNotifications,
+          mobileNotifications: user.mobileNotifications,
+          phone: user.phone,
+          timezone: user.timezone,
+          maxSnoozes: user.maxSnoozes,
+          snoozeMinutes: user.snoozeMinutes,
+          digest: user.digest,
+          blackoutDates: user.blackoutDates,
+          dailyStudyMinutes: user.dailyStudyMinutes,
+        },
+      });
+    } catch (err) {
+      console.error("Settings update error:", err.message, err.errors);
+      res.status(500).json({ error: "Error updating settings" });
+    }
+  },
+);
+
+router.get("/user", authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).populate("studyPlans");
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const [reminders, todos, targets] = await Promise.all([
+      Reminder.find({ owner: user._id }).sort({ _id: 1 }),
+      Todo.find({ owner: user._id }).sort({ _id: 1 }),
+      Target.find({ owner: user._id }).sort({ date: 1 }),
+    ]);
+
+    const userData = user.toJSON();
+    userData.notificationEmail = user.notificationEmail || user.email;
+    userData.emailVerified = user.emailVerified !== false;
+    const pendingEmail = await EmailVerification.findOne({
+      owner: user._id,
+      purpose: "notification",
+    });
+    userData.pendingNotificationEmail = pendingEmail?.email || null;
+    userData.reminders = reminders;
+    userData.todos = todos;
+    userData.guest = guestStatus(user);
+    userData.targets = await presentTargets(user, targets);
+    // Legacy single-target fields, now the primary target
+    const primary = targets.find((target) => target.primary);
+    userData.targetDate = primary?.date;
+    userData.targetName = primary?.name;
+    res.json(userData);
+  } catch (err) {
+    console.error("User fetch error:", err);
+    res.status(500).json({ error: "Error fetching user data" });
+  }
+});
+
+// Your own account, or anyone's for an admin. Secrets are left out by the
+// User toJSON transform.
+router.get(
+  "/users/:userId",
+  authenticate,
+  validate(schemas.user.account),
+  async (req, res) => {
+    try {
+      if (
+        req.params.userId !== req.user._id.toString() &&
+        req.user.role !== "admin"
+      ) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+
+      const user = await User.findById(req.params.userId);
+      if (!user) return res.status(404).json({ error: "User not found" });
+      res.json(user);
+    } catch (err) {
+      res.status(500).json({ error: "Server error" });
+    }
+  },
+);
+
+// Push subscriptions -------------------------------------------------------
+
+// Web Push: the client needs the VAPID public key before it can subscribe
+router.get("/push/vapid-public-key", (req, res) => {
+  if (!NotificationService.push.isConfigured()) {
+    return res
+      .status(503)
+      .json({ error: "Push notifications are not configured" });
+  }
+  res.json({ publicKey: process.env.VAPID_PUBLIC_KEY });
+});
+
+// List the devices registered for push
+router.get("/push/subscriptions", authenticate, async (req, res) => {
+  res.json(
+    req.user.pushSubscriptions.map((subscription) => ({
+      _id: subscription._id,
+      endpoint: subscription.endpoint,
+      userAgent: subscription.userAgent,
+      createdAt: subscription.createdAt,
+    })),
+  );
+});
+
+// Register (or refresh) this device's push subscription
+router.post(
+  "/push/subscribe",
+  authenticate,
+  validate(schemas.push.subscribe),
+  async (req, res) => {
+    try {
+      const subscription = req.body.subscription || req.body;
+      const { endpoint, keys, expirationTime } = subscription;
+
+      if (!endpoint || !keys?.p256dh || !keys?.auth) {
+        return res
+          .status(400)
+          .json({ error: "Subscription endpoint and keys are required" });
+      }
+
+      // A browser endpoint belongs to one device; if someone else was logged in
+      // on it before, stop pushing their notifications here
+      await User.updateMany(
+        { _id: { $ne: req.user._id }, "pushSubscriptions.endpoint": endpoint },
+        { $pull: { pushSubscriptions: { endpoint } } },
+      );
+
+      const entry = {
+        endpoint,
+        expirationTime: expirationTime ?? undefined,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        userAgent: req.header("User-Agent"),
+      };
+
+      // Replace any earlier entry for the same endpoint, keeps keys current
+      await User.updateOne(
+        { _id: req.user._id },
+        { $pull: { pushSubscriptions: { endpoint } } },
+      );
+      const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $push: { pushSubscriptions: entry } },
+        { new: true },
+      );
+
+      res.status(201).json({
+        message: "Push subscription saved",
+        devices: user.pushSubscriptions.length,
+      });
+    } catch (err) {
+      console.error("Push subscribe error:", err);
+      res.status(500).json({ error: "Error saving push subscription" });
+    }
+  },
+);
+
+// Remove a device, by endpoint (from the browser) or by id (from a device list)
+router.post(
+  "/push/unsubscribe",
+  authenticate,
+  validate(schemas.push.unsubscribe),
+  async (req, res) => {
+    try {
+      const { endpoint, id } = req.body;
+
+      if (!endpoint && !id) {
+        return res.status(400).json({ error: "Endpoint or id is required" });
+      }
+
+      const match = endpoint ? { endpoint } : { _id: id };
+      const result = await User.updateOne(
+        { _id: req.user._id },
+        { $pull: { pushSubscriptions: match } },
+      );
+
+      if (!result.modifiedCount) {
+        return res.status(404).json({ error: "Subscription not found" });
+      }
+
+      res.json({ message: "Push subscription removed" });
+    } catch (err) {
+      console.error("Push unsubscribe error:", err);
+      res.status(500).json({ error: "Error removing push subscription" });
+    }
+  },
+);
+
+// Account export and import ------------------------------------------------
+// Guests move their data into a real account the same way: export as the
+// guest, then import into the new account.
+
+const PROFILE_FIELDS = [
+  "name",
+  "notificationEmail",
+  "phone",
+  "avatar",
+  "background",
+  "timezone",
+];
+// An imported notification address has to be confirmed like any other new
+// one (see PUT /user/settings), so it isn't copied straight onto the account
+const IMPORTED_PROFILE_FIELDS = PROFILE_FIELDS.filter(
+  (field) => field !== "notificationEmail",
+);
+const SETTINGS_FIELDS = [
+  "emailNotifications",
+  "mobileNotifications",
+  "maxSnoozes",
+  "snoozeMinutes",
+  "blackoutDates",
+  "dailyStudyMinutes",
+];
+const DIGEST_FIELDS = ["enabled", "cadence", "sendTime", "weekday"];
+const PLAN_SCHEDULE_FIELDS = [
+  "enabled",
+  "weekdays",
+  "sessionTime",
+  "reminders",
+];
+// What each collection carries in the archive, besides the cross-references
+// (`ref`, `planRef`, `targetRef`) that tie entries together
+const ARCHIVE_FIELDS = {
+  targets: ["name", "date", "color", "primary", "notes", "sourceUid"],
+  studyPlans: [
+    "subject",
+    "topic",
+    "hours",
+    "daysPerWeek",
+    "startDate",
+    "endDate",
+    "priority",
+    "resources",
+    "milestone",
+    "notes",
+    "completed",
+    "createdAt",
+    "studiedDays",
+    "loggedMinutes",
+  ],
+  reminders: [
+    "id",
+    "label",
+    "date",
+    "time",
+    "advanceNotice",
+    "advanceUnit",
+    "isActive",
+    "triggered",
+    "snoozedUntil",
+    "recurrence",
+    "occurrenceCount",
+    "createdAt",
+  ],
+  todos: [
+    "id",
+    "text",
+    "completed",
+    "priority",
+    "dueDate",
+    "pomodoros",
+    "focusMinutes",
+    "createdAt",
+  ],
+  studySessions: [
+    "source",
+    "startedAt",
+    "endedAt",
+    "durationMinutes",
+    "day",
+    "note",
+  ],
+};
+
+const pick = (source, fields) =>
+  Object.fromEntries(
+    fields
+      .filter((field) => source?.[field] !== undefined)
+      .map((field) => [field, source[field]]),
+  );
+
+const archiveRef = (id) => (id ? String(id) : undefined);
+
+async function buildExport(user, now = clock.now()) {
+  const owner = user._id;
+  const [targets, plans, reminders, todos, sessions] = await Promise.all([
+    Target.find({ owner }).sort({ date: 1 }).lean(),
+    StudyPlan.find({ owner }).sort({ createdAt: 1 }).lean(),
+    // Schedule reminders are rebuilt from the plans on import
+    Reminder.find({
+      owner,
+      id: { $not: new RegExp(`^${SCHEDULE_REMINDER_PREFIX}`) },
+    })
+      .sort({ _id: 1 })
+      .lean(),
+    Todo.find({ owner }).sort({ _id: 1 }).lean(),
+    StudySession.find({ owner, status: "completed" })
+      .sort({ startedAt: 1 })
+      .lean(),
+  ]);
+  const profile = user.toObject();
+
+  return {
+    format: ARCHIVE_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: now.toISOString(),
+    profile: { email: user.email, ...pick(profile, PROFILE_FIELDS) },
+    settings: {
+      ...pick(profile, SETTINGS_FIELDS),
+      digest: pick(profile.digest, DIGEST_FIELDS),
+    },
+    targets: targets.map((target) => ({
+      ref: archiveRef(target._id),
+      ...pick(target, ARCHIVE_FIELDS.targets),
+    })),
+    studyPlans: plans.map((plan) => ({
+      ref: archiveRef(plan._id),
+      ...pick(plan, ARCHIVE_FIELDS.studyPlans),
+      schedule: pick(plan.schedule, PLAN_SCHEDULE_FIELDS),
+      targetRef: archiveRef(plan.targetId),
+    })),
+    reminders: reminders.map((reminder) => ({
+      ...pick(reminder, ARCHIVE_FIELDS.reminders),
+      planRef: archiveRef(reminder.planId),
+      targetRef: archiveRef(reminder.targetId),
+    })),
+    todos: todos.map((todo) => ({
+      ...pick(todo, ARCHIVE_FIELDS.todos),
+      targetRef: archiveRef(todo.targetId),
+    })),
+    studySessions: sessions.map((session) => ({
+      planRef: archiveRef(session.plan),
+      ...pick(session, ARCHIVE_FIELDS.studySessions),
+    })),
+  };
+}
+
+const EXPORT_CSV = {
+  todos: {
+    load: (user) => Todo.find({ owner: user._id }).sort({ _id: 1 }),
+    columns: [
+      { header: "id", value: (todo) => todo.id },
+      { header: "text", value: (todo) => todo.text },
+      { header: "priority", value: (todo) => todo.priority },
+      { header: "dueDate", value: (todo) => todo.dueDate },
+      { header: "completed", value: (todo) => todo.completed },
+      { header: "pomodoros", value: (todo) => todo.pomodoros },
+      { header: "focusMinutes", value: (todo) => todo.focusMinutes },
+      { header: "createdAt", value: (todo) => todo.createdAt },
+    ],
+  },
+  sessions: {
+    load: (user) =>
+      StudySession.find({ owner: user._id, status: "completed" })
+        .sort({ startedAt: 1 })
+        .populate("plan", "subject topic"),
+    columns: [
+      { header: "day", value: (session) => session.day },
+      { header: "subject", value: (session) => session.plan?.subject },
+      { header: "topic", value: (session) => session.plan?.topic },
+      { header: "startedAt", value: (session) => session.startedAt },
+      { header: "endedAt", value: (session) => session.endedAt },
+      {
+        header: "durationMinutes",
+        value: (session) => session.durationMinutes,
+      },
+      { header: "source", value: (session) => session.source },
+      { header: "note", value: (session) => session.note },
+    ],
+  },
+};
+
+// Removes everything an import in "replace" mode brings back. The profile,
+// login, push devices and delivery history stay.
+async function clearAccountData(user) {
+  const owner = user._id;
+  await Promise.all([
+    Reminder.deleteMany({ owner }),
+    Todo.deleteMany({ owner }),
+    StudyPlan.deleteMany({ owner }),
+    StudySession.deleteMany({ owner }),
+    Target.deleteMany({ owner }),
+    PlannedSession.deleteMany({ owner }),
+    PomodoroTimer.updateOne({ owner }, { $unset: { plan: 1, todoId: 1 } }),
+  ]);
+  await cancelReminderJobs(owner);
+  user.studyPlans = [];
+}
+
+// Builds every document first and validates them all, so a bad entry is
+// reported before anything in the account changes. In "merge" mode the
+// profile and settings are left alone; "replace" takes them from the archive
+// too (except the login email; a notification address comes back as
+// pendingNotificationEmail for the caller to send a confirmation to).
+async function importArchive(user, archive, mode) {
+  const owner = user._id;
+  const replace = mode === "replace";
+  const timezone = replace
+    ? archive.profile?.timezone || user.timezone
+    : user.timezone;
+  const targetIds = new Map();
+  const planIds = new Map();
+  const resolve = (ids, ref) => (ref ? ids.get(String(ref)) : undefined);
+
+  let pendingNotificationEmail = null;
+  if (replace) {
+    Object.assign(user, pick(archive.profile, IMPORTED_PROFILE_FIELDS));
+    const { notificationEmail } = archive.profile || {};
+    if (
+      notificationEmail &&
+      notificationEmail !== user.email &&
+      notificationEmail !== user.notificationEmail
+    ) {
+      pendingNotificationEmail = notificationEmail;
+    }
+    Object.assign(user, pick(archive.settings, SETTINGS_FIELDS));
+    for (const [field, value] of Object.entries(
+      pick(archive.settings?.digest, DIGEST_FIELDS),
+    )) {
+      user.digest[field] = value;
+    }
+  }
+
+  let hasPrimary =
+    !replace && Boolean(await Target.exists({ owner, primary: true }));
+  const targets = (archive.targets || []).map((item) => {
+    const target = new Target({
+      ...pick(item, ARCHIVE_FIELDS.targets),
+      owner,
+    });
+    // At most one primary target per account
+    if (target.primary && hasPrimary) target.primary = false;
+    if (target.primary) hasPrimary = true;
+    if (item.ref) targetIds.set(String(item.ref), target._id);
+    return target;
+  });
+
+  const plans = (archive.studyPlans || []).map((item) => {
+    const plan = new StudyPlan({
+      ...pick(item, ARCHIVE_FIELDS.studyPlans),
+      schedule: pick(item.schedule, PLAN_SCHEDULE_FIELDS),
+      targetId: resolve(targetIds, item.targetRef),
+      owner,
+    });
+    plan.refreshProgress(timezone);
+    if (item.ref) planIds.set(String(item.ref), plan._id);
+    return plan;
+  });
+
+  const [reminderIds, todoIds] = replace
+    ? [[], []]
+    : await Promise.all([
+        Reminder.distinct("id", { owner }),
+        Todo.distinct("id", { owner }),
+      ]);
+  const remappedReminders = remapIds(
+    (archive.reminders || []).filter(
+      (item) => !String(item.id).startsWith(SCHEDULE_REMINDER_PREFIX),
+    ),
+    new Set(reminderIds),
+  );
+  const remappedTodos = remapIds(archive.todos || [], new Set(todoIds));
+
+  const reminders = remappedReminders.items.map(
+    (item) =>
+      new Reminder({
+        ...pick(item, ARCHIVE_FIELDS.reminders),
+        planId: resolve(planIds, item.planRef),
+        targetId: resolve(targetIds, item.targetRef),
+        owner,
+      }),
+  );
+  const todos = remappedTodos.items.map(
+    (item) =>
+      new Todo({
+        ...pick(item, ARCHIVE_FIELDS.todos),
+        targetId: resolve(targetIds, item.targetRef),
+        owner,
+      }),
+  );
+  // Sessions only make sense with their plan
+  const sessions = (archive.studySessions || [])
+    .filter((item) => resolve(planIds, item.planRef))
+    .map(
+      (item) =>
+        new StudySession({
+          ...pick(item, ARCHIVE_FIELDS.studySessions),
+          plan: resolve(planIds, item.planRef),
+          status: "completed",
+          open: false,
+          runningSince: null,
+          owner,
+        }),
+    );
+
+  await Promise.all(
+    [user, ...targets, ...plans, ...reminders, ...todos, ...sessions].map(
+      (doc) => doc.validate(),
+    ),
+  );
+
+  if (replace) await clearAccountData(user);
+
+  await Target.insertMany(targets);
+  await StudyPlan.insertMany(plans);
+  await Todo.insertMany(todos);
+  await StudySession.insertMany(sessions);
+
+  user.studyPlans.push(...plans.map((plan) => plan._id));
+  if (user.digest.enabled) {
+    user.digest.nextSendAt = nextDigestAt(
+      user.digest,
+      user.timezone,
+      clock.now(),
+    );
+  }
+  await user.save();
+
+  for (const reminder of reminders) {
+    await saveReminder(user, reminder);
+  }
+  if (targets.length && !hasPrimary) await promoteNextTarget(user);
+  await refreshSchedules(user);
+
+  return {
+    imported: {
+      targets: targets.length,
+      studyPlans: plans.length,
+      reminders: reminders.length,
+      todos: todos.length,
+      studySessions: sessions.length,
+    },
+    idMap: {
+      reminders: remappedReminders.changed,
+      todos: remappedTodos.changed,
+    },
+    pendingNotificationEmail,
+  };
+}
+
+// JSON archive of the whole account, or ?format=csv&type=todos|sessions
+router.get(
+  "/user/export",
+  authenticate,
+  validate(schemas.user.export),
+  async (req, res) => {
+    try {
+      const format = req.query.format || "json";
+      const day = todayInZone(req.user.timezone, clock.now());
+
+      if (format === "csv") {
+        const csv = EXPORT_CSV[req.query.type];
+        if (!csv) {
+          return res.status(400).json({
+            error: `type must be one of ${Object.keys(EXPORT_CSV).join(", ")}`,
+          });
+        }
+        const rows = await csv.load(req.user);
+        const filename = `mindstreamer-${req.query.type}-${day}.csv`;
+        return res
+          .set({
+            "Content-Type": "text/csv; charset=utf-8",
+            "Content-Disposition": `attachment; filename="${filename}"`,
+          })
+          .send(toCsv(csv.columns, rows));
+      }
+      res
+        .set(
+          "Content-Disposition",
+          `attachment; filename="mindstreamer-export-${day}.json"`,
+        )
+        .json(await buildExport(req.user));
+    } catch (err) {
+      console.error("Account export error:", err);
+      res.status(500).json({ error: "Error exporting account data" });
+    }
+  },
+);
+
+// Body: an export archive, or { archive, mode }. ?mode=merge (default) adds
+// to what's there; ?mode=replace swaps the account's data for the archive's.
+router.post(
+  "/user/import",
+  authenticate,
+  validate(schemas.user.import),
+  async (req, res) => {
+    try {
+      const archive = req.body?.archive ?? req.body;
+      const mode = req.query.mode || req.body?.mode || "merge";
+      if (!IMPORT_MODES.includes(mode)) {
+        return res
+          .status(400)
+          .json({ error: `mode must be one of ${IMPORT_MODES.join(", ")}` });
+      }
+
+      const problems = validateArchive(archive, schemas.archive);
+      if (problems.length) {
+        return res
+          .status(400)
+          .json({ error: "Invalid export file", details: problems });
+      }
+
+      for (const [kind, items] of [
+        ["reminders", archive.reminders],
+        ["plans", archive.studyPlans],
+      ]) {
+        const limitError = await guestQuotaError(
+          req.user,
+          kind,
+          items?.length || 0,
+          mode === "replace" ? 0 : undefined,
+        );
+        if (limitError) return res.status(403).json({ error: limitError });
+      }
+
+      const result = await importArchive(req.user, archive, mode);
+      if (result.pendingNotificationEmail) {
+        await requestVerification(
+          req.user,
+          result.pendingNotificationEmail,
+          "notification",
+          req,
+        );
+      }
+      res.json({ message: "Import complete", mode, ...result });
+    } catch (err) {
+      console.error("Account import error:", err);
+
+      if (err.name === "ValidationError" || err.name === "CastError") {
+        return res.status(400).json({
+          error: "Invalid export file",
+          details: [err.message],
+        });
+      }
+      res.status(500).json({ error: "Error importing account data" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,100 @@
+// scripts/migrate-embedded-reminders-todos.js
+// One-off migration: moves the reminders and todos that used to be embedded
+// arrays on each User document into the Reminder and Todo collections.
+//
+//   node scripts/migrate-embedded-reminders-todos.js [--dry-run] [--keep]
+//
+// --dry-run  report what would be moved without writing anything
+// --keep     copy only; leave the embedded arrays on the users
+//
+// Safe to re-run: documents are upserted by (owner, id) and keep their
+// original subdocument _id.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Reminder = require("../models/Reminder");
+const Todo = require("../models/Todo");
+
+const dryRun = process.argv.includes("--dry-run");
+const keep = process.argv.includes("--keep");
+
+async function migrateUser(user, totals) {
+  const reminders = (user.reminders || []).map((embedded) => {
+    const { _id, ...fields } = embedded;
+    const reminder = new Reminder({
+      ...fields,
+      _id,
+      owner: user._id,
+      id: fields.id || _id.toString(),
+      triggered: Boolean(fields.triggered),
+    });
+    reminder.updateTriggerTime(user.timezone);
+    return reminder;
+  });
+
+  const todos = (user.todos || []).map((embedded) => {
+    const { _id, ...fields } = embedded;
+    return new Todo({
+      ...fields,
+      _id,
+      owner: user._id,
+      id: fields.id || _id.toString(),
+    });
+  });
+
+  totals.users++;
+  totals.reminders += reminders.length;
+  totals.todos += todos.length;
+  if (dryRun) return;
+
+  const upsert = (doc) => ({
+    replaceOne: {
+      filter: { owner: doc.owner, id: doc.id },
+      replacement: doc.toObject(),
+      upsert: true,
+    },
+  });
+
+  if (reminders.length) await Reminder.bulkWrite(reminders.map(upsert));
+  if (todos.length) await Todo.bulkWrite(todos.map(upsert));
+
+  if (!keep) {
+    await mongoose.connection
+      .collection("users")
+      .updateOne({ _id: user._id }, { $unset: { reminders: "", todos: "" } });
+  }
+}
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Promise.all([Reminder.init(), Todo.init()]);
+
+  const totals = { users: 0, reminders: 0, todos: 0 };
+  const cursor = mongoose.connection.collection("users").find(
+    {
+      $or: [
+        { "reminders.0": { $exists: true } },
+        { "todos.0": { $exists: true } },
+      ],
+    },
+    { projection: { reminders: 1, todos: 1, timezone: 1 } },
+  );
+
+  for await (const user of cursor) {
+    try {
+      await migrateUser(user, totals);
+    } catch (err) {
+      console.error(`Failed to migrate user ${user._id}:`, err.message);
+      process.exitCode = 1;
+    }
+  }
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}Migrated ${totals.reminders} reminders and ${totals.todos} todos from ${totals.users} users`,
+  );
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("Migration failed:", err);
+  process.exit(1);
+});
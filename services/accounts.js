@@ -0,0 +1,189 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const Reminder = require("../models/Reminder");
+const Todo = require("../models/Todo");
+const StudyPlan = require("../models/StudyPlan");
+const StudySession = require("../models/StudySession");
+const PomodoroTimer = require("../models/PomodoroTimer");
+const NotificationDelivery = require("../models/NotificationDelivery");
+const Target = require("../models/Target");
+const PlannedSession = require("../models/PlannedSession");
+const AuthSession = require("../models/AuthSession");
+const EmailVerification = require("../models/EmailVerification");
+const NotificationService = require("./index");
+const clock = require("../utils/clock");
+const scheduler = require("./scheduler");
+const { cancelReminderJobs } = require("./reminderEngine");
+const { SCHEDULE_REMINDER_PREFIX } = require("./studyPlans");
+const {
+  newRefreshToken,
+  hashToken,
+  refreshExpiry,
+  signAccessToken,
+  accessTokenLifetime,
+} = require("../utils/authTokens");
+const { GUEST_TTL_HOURS, quotaError } = require("../utils/guest");
+
+// Account lifecycle: sign-in sessions, email confirmation, guest quotas and
+// expiry, admin bootstrap and deleting an account with everything it owns
+
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Deletes guest accounts past their expiry
+async function cleanupGuestAccounts(now = clock.now()) {
+  try {
+    const guests = await User.find(
+      {
+        isGuest: true,
+        $or: [
+          { guestExpiresAt: { $lt: now } },
+          // Guests from before guestExpiresAt was stored
+          {
+            guestExpiresAt: null,
+            createdAt: {
+              $lt: new Date(now.getTime() - GUEST_TTL_HOURS * 60 * 60 * 1000),
+            },
+          },
+        ],
+      },
+      "_id",
+    );
+    const deleted = await deleteAccounts(guests.map((guest) => guest._id));
+    console.log(`Cleaned up ${deleted} guest accounts`);
+  } catch (err) {
+    console.error("Guest account cleanup error:", err);
+  }
+}
+
+// Deletes the accounts and everything they own; returns how many went
+async function deleteAccounts(userIds) {
+  const owner = { $in: userIds };
+  await Promise.all([
+    Reminder.deleteMany({ owner }),
+    Todo.deleteMany({ owner }),
+    StudyPlan.deleteMany({ owner }),
+    StudySession.deleteMany({ owner }),
+    PomodoroTimer.deleteMany({ owner }),
+    NotificationDelivery.deleteMany({ owner }),
+    Target.deleteMany({ owner }),
+    PlannedSession.deleteMany({ owner }),
+    AuthSession.deleteMany({ owner }),
+    EmailVerification.deleteMany({ owner }),
+  ]);
+  for (const userId of userIds) {
+    await cancelReminderJobs(userId);
+    await scheduler.cancelPomodoro(userId);
+  }
+
+  const result = await User.deleteMany({ _id: { $in: userIds } });
+  return result.deletedCount;
+}
+
+// Starts a session for a new sign-in; spread into the login response
+async function issueSession(user, req, now = new Date()) {
+  const refreshToken = newRefreshToken();
+  const session = await AuthSession.create({
+    owner: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    lastUsedAt: now,
+    expiresAt: refreshExpiry(now, user.isGuest ? user.guestExpiresAt : null),
+  });
+
+  const token = signAccessToken(user._id, session._id);
+  return { token, refreshToken, expiresIn: accessTokenLifetime(token) };
+}
+
+// Revokes the user's sessions matching `filter` (all of them by default)
+async function revokeSessions(userId, filter = {}) {
+  const result = await AuthSession.updateMany(
+    { ...filter, owner: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+  );
+  return result.modifiedCount;
+}
+
+// Absolute base for links back to this API (API_URL, or the request's host)
+const apiBaseUrl = (req) =>
+  (process.env.API_URL || `${req.protocol}://${req.get("host")}`).replace(
+    /\/$/,
+    "",
+  );
+
+// Starts (or restarts) confirmation of `email` and sends the link. A failed
+// send is logged; the user can ask for another link.
+async function requestVerification(user, email, purpose, req) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await EmailVerification.findOneAndUpdate(
+    { owner: user._id, purpose },
+    {
+      $set: {
+        email,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + VERIFICATION_TTL_MS),
+      },
+    },
+    { upsert: true },
+  );
+
+  const sent = await NotificationService.email.sendVerificationEmail(
+    email,
+    user.name,
+    `${apiBaseUrl(req)}/api/auth/verify-email/${token}`,
+    purpose,
+  );
+  if (!sent) console.error(`Verification email for user ${user._id} not sent`);
+  return sent;
+}
+
+// Error message if a guest would end up with more reminders or plans than
+// their quota allows, or null. `existing` defaults to what they have now;
+// generated schedule reminders don't count.
+async function guestQuotaError(user, kind, adding = 1, existing) {
+  if (!user.isGuest) return null;
+
+  if (existing === undefined) {
+    existing =
+      kind === "plans"
+        ? await StudyPlan.countDocuments({ owner: user._id })
+        : await Reminder.countDocuments({
+            owner: user._id,
+            id: { $not: new RegExp(`^${SCHEDULE_REMINDER_PREFIX}`) },
+          });
+  }
+  return quotaError(kind, existing + adding);
+}
+
+// ADMIN_EMAILS (comma-separated) are made admins at startup; that's how the
+// first admin gets in
+async function ensureAdmins() {
+  const emails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim())
+    .filter(Boolean);
+  if (!emails.length) return;
+
+  try {
+    const result = await User.updateMany(
+      { email: { $in: emails }, role: { $ne: "admin" } },
+      { $set: { role: "admin" } },
+    );
+    if (result.modifiedCount) {
+      console.log(`Granted admin role to ${result.modifiedCount} account(s)`);
+    }
+  } catch (err) {
+    console.error("Admin bootstrap error:", err);
+  }
+}
+
+module.exports = {
+  cleanupGuestAccounts,
+  deleteAccounts,
+  issueSession,
+  revokeSessions,
+  apiBaseUrl,
+  requestVerification,
+  guestQuotaError,
+  ensureAdmins,
+};
@@ -0,0 +1,135 @@
+const User = require("../models/User");
+const StudyPlan = require("../models/StudyPlan");
+const Reminder = require("../models/Reminder");
+const Todo = require("../models/Todo");
+const NotificationService = require("./index");
+const { STATUS } = require("./index");
+const { primaryTarget } = require("./targets");
+const clock = require("../utils/clock");
+const { describeReminder } = require("../utils/reminderUtils");
+const {
+  addDays,
+  todayInZone,
+  toDateString,
+  calendarDaysUntil,
+} = require("../utils/timezone");
+const { computeStreaks, planCompletion } = require("../utils/studyStats");
+const { nextDigestAt } = require("../utils/digest");
+
+// The opt-in summary email (User.digest): what goes in it and the sweep
+// that sends the ones due
+const DIGEST_REMINDER_DAYS = 7;
+
+// Everything the digest email shows, as of `now` in the user's timezone:
+// countdown to the target, todos due (today, or this week for a weekly
+// digest) and overdue, active plans not yet marked studied today, the study
+// streak and reminders in the next 7 days
+async function buildDigest(user, now = clock.now()) {
+  const timezone = user.timezone;
+  const today = todayInZone(timezone, now);
+  const weekly = user.digest.cadence === "weekly";
+  const dueBy = weekly ? addDays(today, 6) : today;
+
+  const [todos, plans, reminders, target] = await Promise.all([
+    Todo.find({
+      owner: user._id,
+      completed: { $ne: true },
+      dueDate: { $ne: null, $lte: dueBy },
+    }).sort({ dueDate: 1 }),
+    StudyPlan.find({ owner: user._id }),
+    Reminder.find({ owner: user._id, isActive: true }),
+    primaryTarget(user._id),
+  ]);
+
+  const studiedDays = plans.flatMap((plan) => plan.studiedDays || []);
+  const { current, longest } = computeStreaks(studiedDays, today);
+
+  const activePlans = plans.filter((plan) => {
+    if (plan.completed || (plan.studiedDays || []).includes(today))
+      return false;
+    const start = plan.startDate && toDateString(plan.startDate, timezone);
+    const end = plan.endDate && toDateString(plan.endDate, timezone);
+    return (!start || start <= today) && (!end || end >= today);
+  });
+
+  const horizon = now.getTime() + DIGEST_REMINDER_DAYS * 24 * 60 * 60 * 1000;
+  const upcoming = reminders
+    .filter((reminder) => reminder.date || reminder.eventAt)
+    .map((reminder) => describeReminder(reminder, { now, timezone }))
+    .filter(
+      ({ eventAt }) =>
+        !isNaN(eventAt) && eventAt >= now && eventAt.getTime() <= horizon,
+    )
+    .sort((a, b) => a.eventAt - b.eventAt);
+
+  const daysLeft = target
+    ? calendarDaysUntil(target.date, timezone, now)
+    : null;
+
+  return {
+    period: user.digest.cadence,
+    rangeLabel: weekly ? `${today} to ${addDays(today, 6)}` : today,
+    target:
+      daysLeft !== null && daysLeft >= 0
+        ? { name: target.name, daysLeft }
+        : null,
+    todos: todos.map((todo) => ({
+      text: todo.text,
+      due:
+        todo.dueDate < today
+          ? `Overdue (${todo.dueDate})`
+          : todo.dueDate === today
+            ? "Today"
+            : todo.dueDate,
+    })),
+    plans: activePlans.map((plan) => ({
+      subject: plan.subject,
+      completion: planCompletion(plan, today).completion,
+    })),
+    reminders: upcoming.map(({ label, displayDateTime }) => ({
+      label,
+      displayDateTime,
+    })),
+    streak: current,
+    longestStreak: longest,
+  };
+}
+
+// Sends every digest whose time has come and moves each user's nextSendAt
+// on. Returns how many were sent.
+async function checkDueDigests(now = clock.now()) {
+  const due = await User.find({
+    "digest.enabled": true,
+    "digest.nextSendAt": { $lte: now },
+  }).limit(200);
+
+  let sent = 0;
+  for (const user of due) {
+    // Claim this send slot; a concurrent sweep sees nextSendAt moved on
+    const claimed = await User.updateOne(
+      { _id: user._id, "digest.nextSendAt": user.digest.nextSendAt },
+      {
+        $set: {
+          "digest.nextSendAt": nextDigestAt(user.digest, user.timezone, now),
+          "digest.lastSentAt": now,
+        },
+      },
+    );
+    if (!claimed.modifiedCount || user.disabledAt) continue;
+
+    try {
+      const results = await NotificationService.sendUserNotification(
+        user,
+        "digest",
+        { digest: await buildDigest(user, now) },
+      );
+      if (results.email === STATUS.SENT) sent++;
+    } catch (err) {
+      console.error(`Digest for user ${user._id} failed:`, err);
+    }
+  }
+
+  return sent;
+}
+
+module.exports = { buildDigest, checkDueDigests };
@@ -1,69 +1,176 @@
-const nodemailer = require("nodemailer");
-const { compile } = require("handlebars");
-const fs = require("fs");
-const path = require("path");
+const mongoose = require("mongoose");
+const templates = require("./templateService");
+const { createTransport } = require("./mailTransport");
+const OutboxMessage = require("../models/OutboxMessage");
 
 class EmailService {
   constructor() {
-    this.transporter = nodemailer.createTransport({
-      service: process.env.EMAIL_SERVICE || "gmail",
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASSWORD,
-      },
-    });
+    try {
+      this.transport = createTransport();
+    } catch (error) {
+      console.error("Email transport error:", error.message);
+      this.transport = null;
+    }
+  }
+
+  isConfigured() {
+    return Boolean(this.transport);
+  }
+
+  // Swap the transport at runtime, e.g. for a fake one in tests
+  useTransport(transport) {
+    this.transport = transport;
+  }
+
+  fromAddress() {
+    if (process.env.EMAIL_FROM) return process.env.EMAIL_FROM;
+    const domain = process.env.EMAIL_USER?.split("@")[1] || "mindstreamer.app";
+    return `MindStreamer <noreply@${domain}>`;
+  }
+
+  // The outbox is a record, not a queue: failing to write it must never stop
+  // the email itself, and without a database connection it's skipped
+  async recordOutbox(fields) {
+    if (mongoose.connection.readyState !== 1) return null;
+    try {
+      return (await OutboxMessage.create(fields))._id;
+    } catch (error) {
+      console.error("Outbox write error:", error.message);
+      return null;
+    }
   }
 
-  async sendEmail(to, subject, templateName, context) {
+  async updateOutbox(id, fields) {
+    if (!id) return;
     try {
-      const templatePath = path.join(
-        __dirname,
-        `../../templates/emails/${templateName}.hbs`
-      );
-      const template = fs.readFileSync(templatePath, "utf8");
-      const compiledTemplate = compile(template);
+      await OutboxMessage.updateOne({ _id: id }, { $set: fields });
+    } catch (error) {
+      console.error("Outbox write error:", error.message);
+    }
+  }
+
+  // Renders template/<templateName>.hbs; the plain-text part is generated.
+  // options.sensitive: the email carries a secret, so its body is kept out
+  // of the outbox and the log transport.
+  async sendEmail(to, subject, templateName, context, options = {}) {
+    let outboxId = null;
+    try {
+      const { html, text } = templates.render(templateName, context);
 
       const mailOptions = {
         to,
-        from:
-          process.env.EMAIL_FROM ||
-          `MindStreamer <noreply@${process.env.EMAIL_USER.split("@")[1]}>`,
+        from: this.fromAddress(),
         subject,
-        html: compiledTemplate(context),
+        html,
+        text,
       };
 
-      await this.transporter.sendMail(mailOptions);
+      outboxId = await this.recordOutbox({
+        ...mailOptions,
+        ...(options.sensitive && { html: undefined, text: undefined }),
+        template: templateName,
+        transport: this.transport?.name || "none",
+      });
+
+      if (!this.transport) throw new Error("No email transport configured");
+
+      const info = await this.transport.send(mailOptions, options);
+      await this.updateOutbox(outboxId, {
+        status: "sent",
+        messageId: info?.messageId,
+        sentAt: new Date(),
+      });
       return true;
     } catch (error) {
       console.error("Email sending error:", error);
+      await this.updateOutbox(outboxId, {
+        status: "failed",
+        error: error.message,
+      });
       return false;
     }
   }
 
-  async sendPasswordReset(email, resetCode) {
-    return this.sendEmail(email, "Password Reset Code", "password-reset", {
-      resetCode,
-      expiration: "10 minutes",
-    });
+  async sendPasswordReset(email, resetCode, name) {
+    return this.sendEmail(
+      email,
+      "Your MindStreamer password reset code",
+      "password-reset",
+      {
+        name: name || "there",
+        resetCode,
+        expiration: "10 minutes",
+      },
+      { sensitive: true }
+    );
+  }
+
+  // purpose: "account" (signup) or "notification" (a new notification
+  // address from settings)
+  async sendVerificationEmail(email, name, verifyUrl, purpose) {
+    return this.sendEmail(
+      email,
+      "Confirm your email for MindStreamer",
+      "verify-email",
+      {
+        name: name || "there",
+        verifyUrl,
+        isNotificationAddress: purpose === "notification",
+        expiration: "24 hours",
+      },
+      { sensitive: true }
+    );
   }
 
   async sendWelcomeEmail(email, name) {
     return this.sendEmail(email, "Welcome to MindStreamer!", "welcome", {
       name,
+      appUrl: process.env.APP_URL,
     });
   }
 
+  // details: see describeReminder in utils/reminderUtils.js
+  async sendReminderEmail(email, name, details) {
+    return this.sendEmail(
+      email,
+      `Reminder: ${details.label} is approaching`,
+      "reminder",
+      {
+        name: name || "there",
+        ...details,
+      }
+    );
+  }
+
   async sendStudyPlanReminder(email, name, planDetails) {
     return this.sendEmail(
       email,
       `Reminder: ${planDetails.subject} Study Session`,
       "study-reminder",
       {
-        name,
+        name: name || "there",
         ...planDetails,
       }
     );
   }
+
+  // digest: { period: "daily" | "weekly", rangeLabel, reminders, todos,
+  // plans, streak } — see template/samples.json for the shape
+  async sendDigestEmail(email, name, digest) {
+    const hasItems = Boolean(
+      digest.reminders?.length || digest.todos?.length || digest.plans?.length
+    );
+    return this.sendEmail(
+      email,
+      `Your MindStreamer ${digest.period} summary`,
+      "digest",
+      {
+        name: name || "there",
+        hasItems,
+        ...digest,
+      }
+    );
+  }
 }
 
 module.exports = new EmailService();
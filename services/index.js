@@ -1,6 +1,64 @@
 const EmailService = require("./emailService");
 const SMSService = require("./smsService");
 const PushService = require("./pushService");
+const mongoose = require("mongoose");
+const NotificationDelivery = require("../models/NotificationDelivery");
+const { describeReminder } = require("../utils/reminderUtils");
+const { retryDelayMs } = require("../utils/backoff");
+const clock = require("../utils/clock");
+
+const CHANNELS = ["email", "sms", "push"];
+
+// Per-channel outcome recorded by sendUserNotification
+const STATUS = {
+  SENT: "sent",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+  EXPIRED: "expired",
+};
+
+// Channel services answer true / false / "expired"
+const toStatus = (outcome) => {
+  if (outcome === "expired") return STATUS.EXPIRED;
+  return outcome ? STATUS.SENT : STATUS.FAILED;
+};
+
+// Worth another attempt later. Password reset codes and Pomodoro phase
+// changes are only useful right now; the user retries those themselves.
+const RETRYABLE_TYPES = ["reminder", "studyReminder", "welcome", "digest"];
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS =
+  (Number(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 60) * 1000;
+
+// Line shown in the delivery history
+function summarize(notificationType, data) {
+  switch (notificationType) {
+    case "reminder":
+      return data.reminder?.label || "Reminder";
+    case "studyReminder":
+      return `Study session: ${data.planDetails?.subject || "plan"}`;
+    case "passwordReset":
+      return "Password reset code";
+    case "welcome":
+      return "Welcome email";
+    case "pomodoroPhase":
+      return data.pomodoro?.title || "Pomodoro";
+    case "digest":
+      return `${data.digest?.period || ""} digest`.trim();
+    default:
+      return notificationType;
+  }
+}
+
+// The parts of `data` needed to send the same notification again
+function retryPayload(notificationType, data) {
+  if (notificationType !== "reminder") return data;
+  const reminder = data.reminder?.toObject
+    ? data.reminder.toObject()
+    : data.reminder;
+  return { ...data, reminder };
+}
 
 class NotificationService {
   constructor() {
@@ -9,64 +67,233 @@ class NotificationService {
     this.push = PushService;
   }
 
-  async sendUserNotification(user, notificationType, data) {
+  // options.channels limits which channels are tried (default: all);
+  // options.record: false skips the delivery log (used by retries, which
+  // update their own record)
+  async sendUserNotification(user, notificationType, data, options = {}) {
+    const { channels = CHANNELS, record = true } = options;
     const results = {
-      email: false,
-      sms: false,
-      push: false,
+      email: STATUS.SKIPPED,
+      sms: STATUS.SKIPPED,
+      push: STATUS.SKIPPED,
     };
 
-    // Email notifications
-    if (user.emailNotifications && user.email) {
+    // Only confirmed addresses get notifications. notificationEmail is only
+    // set once confirmed; accounts from before email verification have no
+    // emailVerified flag and count as confirmed.
+    const notificationEmail =
+      user.notificationEmail ||
+      (user.emailVerified !== false ? user.email : null);
+    const reminderDetails =
+      notificationType === "reminder"
+        ? {
+            ...describeReminder(data.reminder, {
+              now: clock.now(),
+              timezone: user.timezone,
+            }),
+            ...data.links,
+          }
+        : null;
+
+    // Email notifications. Password resets are transactional: they always go
+    // to the account address, whatever the notification preferences say.
+    const wantsEmail = channels.includes("email");
+    if (wantsEmail && notificationType === "passwordReset" && user.email) {
+      results.email = toStatus(
+        await this.email.sendPasswordReset(user.email, data.code, user.name)
+      );
+    } else if (wantsEmail && notificationType === "digest") {
+      // The digest is its own opt-in, so it still goes out for users who
+      // turned individual reminder emails off in favour of it
+      if (notificationEmail) {
+        results.email = toStatus(
+          await this.email.sendDigestEmail(
+            notificationEmail,
+            user.name,
+            data.digest
+          )
+        );
+      }
+    } else if (
+      wantsEmail &&
+      user.emailNotifications !== false &&
+      notificationEmail
+    ) {
       switch (notificationType) {
-        case "passwordReset":
-          results.email = await this.email.sendPasswordReset(
-            user.email,
-            data.code
+        case "reminder":
+          results.email = toStatus(
+            await this.email.sendReminderEmail(
+              notificationEmail,
+              user.name,
+              reminderDetails
+            )
           );
           break;
         case "studyReminder":
-          results.email = await this.email.sendStudyPlanReminder(
-            user.email,
-            user.name,
-            data.planDetails
+          results.email = toStatus(
+            await this.email.sendStudyPlanReminder(
+              notificationEmail,
+              user.name,
+              data.planDetails
+            )
           );
           break;
         case "welcome":
-          results.email = await this.email.sendWelcomeEmail(user.email, user.name);
+          results.email = toStatus(
+            await this.email.sendWelcomeEmail(notificationEmail, user.name)
+          );
           break;
       }
     }
 
     // SMS notifications
-    if (user.mobileNotifications && user.phone) {
+    if (channels.includes("sms") && user.mobileNotifications && user.phone) {
       switch (notificationType) {
         case "passwordReset":
-          results.sms = await this.sms.sendPasswordResetSMS(user.phone, data.code);
+          results.sms = toStatus(
+            await this.sms.sendPasswordResetSMS(user.phone, data.code)
+          );
           break;
-        case "studyReminder":
-          results.sms = await this.sms.sendStudyReminderSMS(
-            user.phone,
-            data.planDetails
+        case "reminder":
+          results.sms = toStatus(
+            await this.sms.sendReminderSMS(user.phone, reminderDetails)
           );
           break;
-      }
-    }
-
-    // Push notifications
-    if (user.pushSubscription) {
-      switch (notificationType) {
         case "studyReminder":
-          results.push = await this.push.sendStudyReminderPush(
-            user.pushSubscription,
-            data.planDetails
+          results.sms = toStatus(
+            await this.sms.sendStudyReminderSMS(user.phone, data.planDetails)
           );
           break;
       }
     }
 
+    // Push notifications, fanned out to every registered device
+    const subscriptions = user.pushSubscriptions || [];
+    let sendPush = null;
+    switch (notificationType) {
+      case "reminder":
+        sendPush = (subscription) =>
+          this.push.sendReminderPush(subscription, reminderDetails);
+        break;
+      case "studyReminder":
+        sendPush = (subscription) =>
+          this.push.sendStudyReminderPush(subscription, data.planDetails);
+        break;
+      // Phase changes are frequent; they only go out as push
+      case "pomodoroPhase":
+        sendPush = (subscription) =>
+          this.push.sendPomodoroPush(subscription, data.pomodoro);
+        break;
+    }
+
+    if (channels.includes("push") && sendPush && subscriptions.length) {
+      const outcomes = await Promise.all(
+        subscriptions.map((subscription) =>
+          sendPush({
+            endpoint: subscription.endpoint,
+            keys: {
+              p256dh: subscription.keys.p256dh,
+              auth: subscription.keys.auth,
+            },
+          })
+        )
+      );
+
+      // Endpoints the push service reported gone; callers prune them
+      results.expiredSubscriptions = subscriptions
+        .filter((subscription, i) => outcomes[i] === "expired")
+        .map((subscription) => subscription.endpoint);
+
+      if (outcomes.includes(true)) results.push = STATUS.SENT;
+      else if (outcomes.every((outcome) => outcome === "expired"))
+        results.push = STATUS.EXPIRED;
+      else results.push = STATUS.FAILED;
+    }
+
+    if (record) await this.recordDeliveries(user, notificationType, data, results);
     return results;
   }
+
+  // One NotificationDelivery per attempted channel. Like the email outbox,
+  // the log never gets in the way of sending, and is skipped without a
+  // database connection.
+  async recordDeliveries(user, notificationType, data, results) {
+    if (mongoose.connection.readyState !== 1) return;
+
+    const now = clock.now();
+    const retryable = RETRYABLE_TYPES.includes(notificationType);
+    const deliveries = CHANNELS.filter(
+      (channel) => results[channel] !== STATUS.SKIPPED
+    ).map((channel) => ({
+      owner: user._id,
+      type: notificationType,
+      channel,
+      summary: summarize(notificationType, data),
+      reminderId: data.reminder?.id,
+      attempts: 1,
+      ...this.outcome(results[channel], 1, retryable, now),
+      payload: retryable ? retryPayload(notificationType, data) : undefined,
+    }));
+
+    try {
+      if (deliveries.length) await NotificationDelivery.insertMany(deliveries);
+    } catch (error) {
+      console.error("Notification delivery log error:", error.message);
+    }
+  }
+
+  // Record fields for a channel status after `attempts` tries
+  outcome(status, attempts, retryable, now = clock.now()) {
+    if (status === STATUS.SENT) {
+      return { status: "sent", sentAt: now, nextAttemptAt: null };
+    }
+
+    const lastError =
+      status === STATUS.EXPIRED
+        ? "Push subscription expired"
+        : `Delivery failed (attempt ${attempts})`;
+    if (status === STATUS.EXPIRED || !retryable || attempts >= MAX_ATTEMPTS) {
+      return { status: "dead", lastError, nextAttemptAt: null };
+    }
+    return {
+      status: "retrying",
+      lastError,
+      nextAttemptAt: new Date(
+        now.getTime() + retryDelayMs(attempts, { baseMs: RETRY_BASE_MS })
+      ),
+    };
+  }
+
+  // Tries a "retrying" delivery once more on its own channel. The caller
+  // claims the delivery first and loads it with its payload.
+  async retryDelivery(user, delivery, now = clock.now()) {
+    const results = await this.sendUserNotification(
+      user,
+      delivery.type,
+      delivery.payload || {},
+      { channels: [delivery.channel], record: false }
+    );
+
+    // The user turned the channel off (or removed the phone/devices) since
+    const status =
+      results[delivery.channel] === STATUS.SKIPPED
+        ? null
+        : results[delivery.channel];
+    const attempts = delivery.attempts + 1;
+    const update = status
+      ? { attempts, ...this.outcome(status, attempts, true, now) }
+      : {
+          status: "dead",
+          lastError: "Channel no longer enabled",
+          nextAttemptAt: null,
+        };
+
+    await NotificationDelivery.updateOne({ _id: delivery._id }, { $set: update });
+    return { results, update };
+  }
 }
 
-module.exports = new NotificationService();
\ No newline at end of file
+module.exports = new NotificationService();
+module.exports.STATUS = STATUS;
+module.exports.CHANNELS = CHANNELS;
+module.exports.RETRYABLE_TYPES = RETRYABLE_TYPES;
@@ -0,0 +1,77 @@
+const User = require("../models/User");
+const Reminder = require("../models/Reminder");
+const PomodoroTimer = require("../models/PomodoroTimer");
+const scheduler = require("./scheduler");
+const { JOBS } = require("./scheduler");
+const {
+  newReminderResults,
+  fireIfDue,
+  saveReminder,
+  checkDueReminders,
+  retryFailedDeliveries,
+} = require("./reminderEngine");
+const { checkDueDigests } = require("./digests");
+const { rescheduleMissedSessions } = require("./studyPlans");
+const { reconcilePomodoro, checkDuePomodoros } = require("./pomodoroTimers");
+const { cleanupGuestAccounts } = require("./accounts");
+const clock = require("../utils/clock");
+
+// What the job scheduler runs, and the same checks in one go for
+// deployments without it (the cron trigger, POST /api/reminders/check)
+const jobHandlers = {
+  [JOBS.REMINDER]: async ({ userId, reminderId }) => {
+    const [user, reminder] = await Promise.all([
+      User.findById(userId),
+      Reminder.findOne({ owner: userId, id: reminderId }),
+    ]);
+    if (!user || !reminder) return;
+
+    const results = newReminderResults();
+    if (await fireIfDue(user, reminder, clock.now(), results)) {
+      await saveReminder(user, reminder);
+    }
+  },
+  [JOBS.REMINDER_SWEEP]: async () => {
+    await checkDueReminders();
+    await checkDuePomodoros();
+  },
+  [JOBS.POMODORO_PHASE_END]: async ({ userId }) => {
+    const [user, timer] = await Promise.all([
+      User.findById(userId),
+      PomodoroTimer.findOne({ owner: userId }),
+    ]);
+    if (user && timer) await reconcilePomodoro(user, timer);
+  },
+  [JOBS.NOTIFICATION_RETRY]: () => retryFailedDeliveries(),
+  [JOBS.DIGEST_SWEEP]: () => checkDueDigests(),
+  [JOBS.SCHEDULE_REFRESH]: () => rescheduleMissedSessions(),
+  [JOBS.GUEST_CLEANUP]: () => cleanupGuestAccounts(),
+};
+
+function startScheduler(mongo) {
+  scheduler
+    .start(jobHandlers, mongo)
+    .catch((err) => console.error("Job scheduler error:", err.message));
+}
+
+// Everything the cron trigger runs; also available to admins
+async function runScheduledChecks() {
+  const results = await checkDueReminders();
+  // No scheduler on Vercel: Pomodoro phase ends ride on the same cron
+  const pomodoros = await checkDuePomodoros();
+  const retried = await retryFailedDeliveries();
+  const digests = await checkDueDigests();
+  const rescheduled = await rescheduleMissedSessions();
+  console.log(
+    `[reminders/check] ${new Date().toISOString()} — checked ${results.checked}, triggered ${results.triggered}, emails sent ${results.emailsSent}, sms sent ${results.smsSent}, push sent ${results.pushSent}, pomodoros advanced ${pomodoros}, deliveries retried ${retried}, digests sent ${digests}, schedules rebuilt ${rescheduled}`,
+  );
+  return {
+    ...results,
+    pomodorosAdvanced: pomodoros,
+    deliveriesRetried: retried,
+    digestsSent: digests,
+    schedulesRebuilt: rescheduled,
+  };
+}
+
+module.exports = { jobHandlers, startScheduler, runScheduledChecks };
@@ -0,0 +1,93 @@
+const nodemailer = require("nodemailer");
+const fs = require("fs/promises");
+const path = require("path");
+
+// MAIL_TRANSPORT picks where email goes:
+//   smtp     SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD
+//   service  a nodemailer well-known service (EMAIL_SERVICE, default gmail)
+//            with EMAIL_USER / EMAIL_PASSWORD
+//   file     nothing is sent; each message is written as JSON to
+//            MAIL_OUTBOX_DIR (default ./outbox) — for local development/tests
+//   log      nothing is sent; a summary and the text part go to the console
+// Unset, it's "service" when EMAIL_USER/EMAIL_PASSWORD are present, "log"
+// outside production, and no transport at all otherwise.
+const TRANSPORTS = ["smtp", "service", "file", "log"];
+
+function resolveTransportName(env = process.env) {
+  if (env.MAIL_TRANSPORT) return env.MAIL_TRANSPORT.toLowerCase();
+  if (env.EMAIL_USER && env.EMAIL_PASSWORD) return "service";
+  return env.NODE_ENV === "production" ? null : "log";
+}
+
+// Every transport is { name, send(message, options) -> { messageId } }.
+// options.sensitive marks mail carrying a secret (reset codes, verification
+// links), which the log transport leaves out of the log.
+function createTransport(env = process.env) {
+  const name = resolveTransportName(env);
+  if (!name) return null;
+
+  switch (name) {
+    case "smtp": {
+      if (!env.SMTP_HOST)
+        throw new Error("MAIL_TRANSPORT=smtp needs SMTP_HOST");
+      const transporter = nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === "true",
+        auth: env.SMTP_USER
+          ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD }
+          : undefined,
+      });
+      return { name, send: (message) => transporter.sendMail(message) };
+    }
+
+    case "service": {
+      const transporter = nodemailer.createTransport({
+        service: env.EMAIL_SERVICE || "gmail",
+        auth: { user: env.EMAIL_USER, pass: env.EMAIL_PASSWORD },
+      });
+      return { name, send: (message) => transporter.sendMail(message) };
+    }
+
+    case "file": {
+      const dir = path.resolve(env.MAIL_OUTBOX_DIR || "outbox");
+      const transporter = nodemailer.createTransport({ jsonTransport: true });
+      return {
+        name,
+        dir,
+        async send(message) {
+          const info = await transporter.sendMail(message);
+          const id = info.messageId.replace(/[<>]/g, "").split("@")[0];
+          await fs.mkdir(dir, { recursive: true });
+          await fs.writeFile(
+            path.join(dir, `${Date.now()}-${id}.json`),
+            JSON.stringify(JSON.parse(info.message), null, 2),
+          );
+          return info;
+        },
+      };
+    }
+
+    case "log": {
+      const transporter = nodemailer.createTransport({ jsonTransport: true });
+      return {
+        name,
+        async send(message, options = {}) {
+          const info = await transporter.sendMail(message);
+          const body = options.sensitive
+            ? "(body not logged: contains a one-time secret)"
+            : message.text || "";
+          console.log(`[mail] to ${message.to} — ${message.subject}\n${body}`);
+          return info;
+        },
+      };
+    }
+
+    default:
+      throw new Error(
+        `Unknown MAIL_TRANSPORT "${name}" (expected ${TRANSPORTS.join(", ")})`,
+      );
+  }
+}
+
+module.exports = { TRANSPORTS, resolveTransportName, createTransport };
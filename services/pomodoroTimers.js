@@ -0,0 +1,161 @@
+const User = require("../models/User");
+const PomodoroTimer = require("../models/PomodoroTimer");
+const StudyPlan = require("../models/StudyPlan");
+const StudySession = require("../models/StudySession");
+const Todo = require("../models/Todo");
+const NotificationService = require("./index");
+const scheduler = require("./scheduler");
+const { pruneExpiredSubscriptions } = require("./reminderEngine");
+const { applySessionToPlan } = require("./studyPlans");
+const clock = require("../utils/clock");
+const { toDateString } = require("../utils/timezone");
+const { nextPhase, remainingMs, enterPhase } = require("../utils/pomodoro");
+
+// Pomodoro timers: phase ends, crediting finished work intervals and the
+// notification when a phase is over
+const PHASE_LABELS = {
+  work: "Focus",
+  shortBreak: "Short break",
+  longBreak: "Long break",
+};
+
+// The user's timer, created with default settings on first use
+const loadPomodoro = (userId) =>
+  PomodoroTimer.findOneAndUpdate(
+    { owner: userId },
+    { $setOnInsert: { owner: userId } },
+    { upsert: true, new: true, setDefaultsOnInsert: true },
+  );
+
+// Applies a state change only if nobody changed the timer since it was read;
+// null means we lost a race (another tab, the phase-end job)
+const updateTimer = (timer, state) =>
+  PomodoroTimer.findOneAndUpdate(
+    { _id: timer._id, updatedAt: timer.updatedAt },
+    { $set: state },
+    { new: true },
+  );
+
+async function syncPomodoroJob(timer) {
+  try {
+    if (timer.status === "running") {
+      await scheduler.schedulePomodoro(timer.owner, timer.phaseEndsAt);
+    } else {
+      await scheduler.cancelPomodoro(timer.owner);
+    }
+  } catch (err) {
+    console.error("Error scheduling Pomodoro phase end:", err.message);
+  }
+}
+
+// A finished work interval counts as study time on the chosen plan (as a
+// completed session) and/or as focus time on the chosen todo
+async function creditWorkInterval(user, timer, endedAt) {
+  const minutes = timer.settings.workMinutes;
+  const startedAt =
+    timer.phaseStartedAt || new Date(endedAt.getTime() - minutes * 60000);
+
+  if (
+    timer.plan &&
+    (await StudyPlan.exists({ _id: timer.plan, owner: user._id }))
+  ) {
+    const session = await StudySession.create({
+      owner: user._id,
+      plan: timer.plan,
+      status: "completed",
+      source: "pomodoro",
+      open: false,
+      startedAt,
+      endedAt,
+      accumulatedMs: minutes * 60000,
+      durationMinutes: minutes,
+      day: toDateString(startedAt, user.timezone),
+    });
+    await applySessionToPlan(user, timer.plan, session.day);
+  }
+
+  if (timer.todoId) {
+    await Todo.updateOne(
+      { owner: user._id, id: timer.todoId },
+      { $inc: { pomodoros: 1, focusMinutes: minutes } },
+    );
+  }
+}
+
+async function notifyPhaseEnd(user, endedPhase, timer) {
+  const minutes = Math.round(remainingMs(timer, clock.now()) / 60000);
+  const results = await NotificationService.sendUserNotification(
+    user,
+    "pomodoroPhase",
+    {
+      pomodoro: {
+        title: `${PHASE_LABELS[endedPhase]} finished`,
+        body:
+          timer.status === "running"
+            ? `${PHASE_LABELS[timer.phase]} started — ${minutes} min`
+            : `Up next: ${PHASE_LABELS[timer.phase]}`,
+      },
+    },
+  );
+  await pruneExpiredSubscriptions(user, results);
+}
+
+// Completes every phase whose end has passed. With autoStart a long outage
+// can cover several phases; only the latest is announced.
+async function reconcilePomodoro(user, timer, now = clock.now()) {
+  let lastEnded = null;
+
+  for (let i = 0; i < 50; i++) {
+    if (timer.status !== "running" || timer.phaseEndsAt > now) break;
+
+    const endedAt = timer.phaseEndsAt;
+    const { phase, cycle } = nextPhase(timer);
+    const updated = await updateTimer(timer, {
+      ...enterPhase(timer.settings, phase, cycle, {
+        start: timer.settings.autoStart,
+        now: endedAt,
+      }),
+      completedWorkIntervals:
+        timer.completedWorkIntervals + (timer.phase === "work" ? 1 : 0),
+    });
+
+    if (!updated) {
+      // Someone else completed it; carry on from their state
+      timer = await PomodoroTimer.findById(timer._id);
+      continue;
+    }
+
+    if (timer.phase === "work") await creditWorkInterval(user, timer, endedAt);
+    lastEnded = timer.phase;
+    timer = updated;
+  }
+
+  if (lastEnded) {
+    await notifyPhaseEnd(user, lastEnded, timer);
+    await syncPomodoroJob(timer);
+  }
+  return timer;
+}
+
+// Fallback for deployments without the scheduler; returns how many timers
+// were moved on
+async function checkDuePomodoros(now = clock.now()) {
+  const due = await PomodoroTimer.find({
+    status: "running",
+    phaseEndsAt: { $lte: now },
+  });
+
+  for (const timer of due) {
+    const user = await User.findById(timer.owner);
+    if (user) await reconcilePomodoro(user, timer, now);
+  }
+  return due.length;
+}
+
+module.exports = {
+  loadPomodoro,
+  updateTimer,
+  syncPomodoroJob,
+  reconcilePomodoro,
+  checkDuePomodoros,
+};
@@ -2,14 +2,26 @@ const webpush = require("web-push");
 
 class PushService {
   constructor() {
-    webpush.setVapidDetails(
-      `mailto:${process.env.EMAIL_USER}`,
-      process.env.VAPID_PUBLIC_KEY,
-      process.env.VAPID_PRIVATE_KEY
+    // setVapidDetails throws on missing keys; leave push disabled instead
+    // so the rest of the notification stack still loads
+    if (this.isConfigured()) {
+      webpush.setVapidDetails(
+        `mailto:${process.env.EMAIL_USER}`,
+        process.env.VAPID_PUBLIC_KEY,
+        process.env.VAPID_PRIVATE_KEY
+      );
+    }
+  }
+
+  isConfigured() {
+    return Boolean(
+      process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY
     );
   }
 
   async sendPushNotification(subscription, payload) {
+    if (!this.isConfigured()) return false;
+
     try {
       await webpush.sendNotification(subscription, JSON.stringify(payload));
       return true;
@@ -24,13 +36,60 @@ class PushService {
     }
   }
 
+  // Notification actions the service worker can wire to the signed links
+  actionsFor(details) {
+    if (!details.snoozeUrl) return {};
+    return {
+      actions: [
+        { action: "snooze", title: "Snooze" },
+        { action: "dismiss", title: "Dismiss" },
+      ],
+      snoozeUrl: details.snoozeUrl,
+      dismissUrl: details.dismissUrl,
+    };
+  }
+
+  async sendReminderPush(subscription, details) {
+    const { actions, ...links } = this.actionsFor(details);
+    const payload = {
+      title: `Reminder: ${details.label}`,
+      body: `${details.remaining} · ${details.displayDateTime}`,
+      icon: "/icons/icon-192x192.png",
+      actions,
+      data: {
+        url: "/reminders",
+        ...links,
+      },
+    };
+
+    return this.sendPushNotification(subscription, payload);
+  }
+
   async sendStudyReminderPush(subscription, planDetails) {
+    const { actions, ...links } = this.actionsFor(planDetails);
     const payload = {
       title: `Study Reminder: ${planDetails.subject}`,
       body: `Time to study ${planDetails.topic} for ${planDetails.hours} hour(s)`,
       icon: "/icons/icon-192x192.png",
+      actions,
       data: {
         url: `/plans/${planDetails._id}`,
+        ...links,
+      },
+    };
+
+    return this.sendPushNotification(subscription, payload);
+  }
+
+  // Sent when a Pomodoro phase ends
+  async sendPomodoroPush(subscription, details) {
+    const payload = {
+      title: details.title,
+      body: details.body,
+      icon: "/icons/icon-192x192.png",
+      tag: "pomodoro",
+      data: {
+        url: "/pomodoro",
       },
     };
 
@@ -38,4 +97,4 @@ class PushService {
   }
 }
 
-module.exports = new PushService();
\ No newline at end of file
+module.exports = new PushService();
@@ -0,0 +1,92 @@
+const RateCounter = require("../models/RateCounter");
+
+// RATE_LIMIT_STORE picks where rate-limit counters live:
+//   memory  a Map in this process; fine for a single long-running server,
+//           but each serverless instance would keep its own counts
+//   mongo   the RateCounter collection, shared by every instance
+// Unset, it's "mongo" when MONGODB_URI is set and "memory" otherwise.
+const STORES = ["memory", "mongo"];
+
+function resolveStoreName(env = process.env) {
+  if (env.RATE_LIMIT_STORE) return env.RATE_LIMIT_STORE.toLowerCase();
+  return env.MONGODB_URI ? "mongo" : "memory";
+}
+
+// Every store is { name, hit(key, windowMs, now), peek(key, now), clear(key) }.
+// hit counts one request in the key's fixed window (starting a new window
+// once the last has run out); hit and peek resolve to { count, resetAt }.
+function createMemoryStore() {
+  const counters = new Map();
+  let nextSweep = 0;
+
+  // Finished windows are dropped now and then so the map can't grow forever
+  const sweep = (now) => {
+    if (now.getTime() < nextSweep) return;
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+    nextSweep = now.getTime() + 60 * 1000;
+  };
+
+  return {
+    name: "memory",
+    async hit(key, windowMs, now = new Date()) {
+      sweep(now);
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: new Date(now.getTime() + windowMs) };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { ...counter };
+    },
+    async peek(key, now = new Date()) {
+      const counter = counters.get(key);
+      return counter && counter.resetAt > now
+        ? { ...counter }
+        : { count: 0, resetAt: null };
+    },
+    async clear(key) {
+      counters.delete(key);
+    },
+  };
+}
+
+function createMongoStore() {
+  return {
+    name: "mongo",
+    async hit(key, windowMs, now = new Date()) {
+      const counter = await RateCounter.hit(key, windowMs, now);
+      return { count: counter.count, resetAt: counter.expiresAt };
+    },
+    async peek(key, now = new Date()) {
+      const counter = await RateCounter.peek(key, now);
+      return { count: counter.count, resetAt: counter.expiresAt || null };
+    },
+    async clear(key) {
+      await RateCounter.clear(key);
+    },
+  };
+}
+
+function createStore(env = process.env) {
+  const name = resolveStoreName(env);
+  switch (name) {
+    case "memory":
+      return createMemoryStore();
+    case "mongo":
+      return createMongoStore();
+    default:
+      throw new Error(
+        `Unknown RATE_LIMIT_STORE "${name}" (expected ${STORES.join(", ")})`,
+      );
+  }
+}
+
+module.exports = {
+  STORES,
+  resolveStoreName,
+  createMemoryStore,
+  createMongoStore,
+  createStore,
+};
@@ -0,0 +1,115 @@
+const { createStore, createMemoryStore } = require("./rateLimitStore");
+const {
+  parseLimit,
+  envName,
+  secondsUntil,
+  rateLimitHeaders,
+} = require("../utils/rateLimit");
+
+// Who a limit counts requests against
+const SUBJECTS = {
+  ip: (req) => req.ip,
+  // The signed-in account; use after authenticate
+  user: (req) => req.user?._id?.toString(),
+  // The account named in the body, e.g. sign-in attempts for an email
+  email: (req) =>
+    typeof req.body?.email === "string"
+      ? req.body.email.trim().toLowerCase()
+      : null,
+  // Everyone at once: a cap on the route as a whole
+  route: () => "all",
+};
+
+// Fixed-window request limits. Counters live in the store picked by
+// RATE_LIMIT_STORE (see rateLimitStore.js), so with the MongoDB store every
+// serverless instance counts against the same limits.
+class RateLimiter {
+  constructor() {
+    try {
+      this.store = createStore();
+    } catch (error) {
+      console.error("Rate limit store error:", error.message);
+      this.store = createMemoryStore();
+    }
+  }
+
+  // RATE_LIMIT_ENABLED=false turns every limit off
+  isEnabled() {
+    return process.env.RATE_LIMIT_ENABLED !== "false";
+  }
+
+  // Swap the store at runtime, e.g. for a fresh in-memory one in tests
+  useStore(store) {
+    this.store = store;
+  }
+
+  hit(key, windowMs, now) {
+    return this.store.hit(key, windowMs, now);
+  }
+
+  peek(key, now) {
+    return this.store.peek(key, now);
+  }
+
+  clear(key) {
+    return this.store.clear(key);
+  }
+
+  // 429 for a limit that has run out, with Retry-After in seconds
+  reject(res, resetAt, message = "Too many requests. Please try again later.") {
+    return res
+      .set("Retry-After", String(secondsUntil(resetAt)))
+      .status(429)
+      .json({ error: message });
+  }
+
+  // Middleware allowing `limit` ("max/window", e.g. "10/15m") requests per
+  // subject; `by` is a SUBJECTS name or a function of the request. Requests
+  // without a subject (say, no email in the body) aren't counted.
+  // RATE_LIMIT_<NAME> (e.g. RATE_LIMIT_LOGIN_IP=50/15m) overrides the limit.
+  limit({ name, limit, by = "ip", message }) {
+    const configured = process.env[envName(name)];
+    const parsed = parseLimit(configured ?? limit);
+    if (!parsed) {
+      throw new Error(
+        configured !== undefined
+          ? `${envName(name)} must look like "10/15m"`
+          : `Invalid limit "${limit}" for ${name}`,
+      );
+    }
+    const { max, windowMs } = parsed;
+    const subjectOf = typeof by === "function" ? by : SUBJECTS[by];
+    if (!subjectOf) throw new Error(`Unknown rate limit subject "${by}"`);
+
+    return async (req, res, next) => {
+      if (!this.isEnabled()) return next();
+      const subject = subjectOf(req);
+      if (!subject) return next();
+
+      let counter;
+      try {
+        counter = await this.hit(`${name}:${subject}`, windowMs);
+      } catch (err) {
+        // An unreachable store shouldn't take the API down with it
+        console.error(`Rate limit error (${name}):`, err.message);
+        return next();
+      }
+
+      // With several limits on a route, the headers describe the one
+      // closest to running out
+      const remaining = max - counter.count;
+      if (!(res.locals.rateLimitRemaining <= remaining)) {
+        res.locals.rateLimitRemaining = remaining;
+        res.set(rateLimitHeaders({ max, windowMs, ...counter }));
+      }
+
+      if (counter.count > max) {
+        return this.reject(res, counter.resetAt, message);
+      }
+      next();
+    };
+  }
+}
+
+module.exports = new RateLimiter();
+module.exports.SUBJECTS = SUBJECTS;
@@ -0,0 +1,413 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const StudyPlan = require("../models/StudyPlan");
+const Reminder = require("../models/Reminder");
+const NotificationDelivery = require("../models/NotificationDelivery");
+const NotificationService = require("./index");
+const { STATUS, CHANNELS } = require("./index");
+const scheduler = require("./scheduler");
+const clock = require("../utils/clock");
+const { getTriggerTime } = require("../utils/reminderUtils");
+const { buildActionLinks } = require("../utils/reminderLinks");
+const { normalizeRecurrence, nextOccurrence } = require("../utils/recurrence");
+
+// The reminder engine: finds reminders that are due, sends them, moves
+// repeating ones on, and keeps each reminder's scheduled job in step.
+// Time comes from utils/clock.js, so tests can drive it.
+
+// Ids for reminders/todos the client didn't name itself
+const newClientId = () => new mongoose.Types.ObjectId().toString();
+
+// Fans a due reminder out to every channel the user has enabled and records
+// the per-channel outcome on the reminder itself. Reminders linked to a study
+// plan go out as study-plan reminders carrying the plan's details.
+async function deliverReminder(user, reminder) {
+  // Stamped before sending: the one-click links are tied to this occurrence
+  reminder.notifiedAt = clock.now();
+  const links = buildActionLinks(user, reminder);
+
+  let notificationType = "reminder";
+  let data = { reminder, links };
+
+  if (reminder.planId) {
+    const plan = await StudyPlan.findOne({
+      _id: reminder.planId,
+      owner: user._id,
+    });
+    if (plan) {
+      notificationType = "studyReminder";
+      data = { planDetails: { ...plan.toObject(), ...links } };
+    }
+  }
+
+  const results = await NotificationService.sendUserNotification(
+    user,
+    notificationType,
+    data,
+  );
+  await pruneExpiredSubscriptions(user, results);
+
+  reminder.notificationResults = {
+    email: results.email,
+    sms: results.sms,
+    push: results.push,
+  };
+  return results;
+}
+
+// Drops push subscriptions the push service answered 404/410 for, both in
+// the database and on the loaded document so later sends skip them too.
+async function pruneExpiredSubscriptions(user, results) {
+  const expired = results.expiredSubscriptions || [];
+  if (!expired.length) return;
+
+  await User.updateOne(
+    { _id: user._id },
+    { $pull: { pushSubscriptions: { endpoint: { $in: expired } } } },
+  );
+  user.pushSubscriptions = user.pushSubscriptions.filter(
+    (subscription) => !expired.includes(subscription.endpoint),
+  );
+}
+
+// Adds one delivery's per-channel outcome to the checkDueReminders summary
+function tallyDelivery(results, reminder, delivery) {
+  if (delivery.email === STATUS.SENT) results.emailsSent++;
+  if (delivery.sms === STATUS.SENT) results.smsSent++;
+  if (delivery.push === STATUS.SENT) results.pushSent++;
+
+  for (const channel of CHANNELS) {
+    if (delivery[channel] === STATUS.FAILED) {
+      results.errors.push(
+        `Reminder ${reminder.id}: ${channel} delivery failed`,
+      );
+    }
+  }
+}
+
+const newReminderResults = () => ({
+  checked: 0,
+  triggered: 0,
+  emailsSent: 0,
+  smsSent: 0,
+  pushSent: 0,
+  errors: [],
+});
+
+// Fires the reminder if its trigger time has passed. Returns true when the
+// reminder changed and needs saving.
+async function fireIfDue(user, reminder, now, results) {
+  if (!reminder.isActive || reminder.triggered) return false;
+  if (user.disabledAt) return false;
+  if (getTriggerTime(reminder, user.timezone) > now) return false;
+
+  // Claim it first so an overlapping sweep or job can't send it twice
+  const claim = await Reminder.updateOne(
+    { _id: reminder._id, isActive: true, triggered: { $ne: true } },
+    { $set: { triggered: true } },
+  );
+  if (!claim.modifiedCount) return false;
+
+  // A snoozed repeat of an occurrence that already fired; for repeating
+  // reminders the series has already moved on to the next date
+  const wasSnoozed = Boolean(reminder.triggerAt);
+
+  reminder.triggered = true;
+  results.triggered++;
+
+  // Whatever happens to the delivery, the claim stands and the reminder is
+  // moved on below: the caller must still get to save it, or it would stay
+  // triggered for good. Channel failures are retried from the delivery log.
+  try {
+    const delivery = await deliverReminder(user, reminder);
+    tallyDelivery(results, reminder, delivery);
+  } catch (err) {
+    console.error(`Error delivering reminder ${reminder.id}:`, err);
+    results.errors.push(`Reminder ${reminder.id}: ${err.message}`);
+  }
+
+  if (wasSnoozed) {
+    reminder.triggerAt = undefined;
+    reminder.snoozedUntil = undefined;
+    if (reminder.recurrence?.freq) reminder.triggered = false;
+  } else {
+    reminder.snoozeCount = 0;
+    reminder.acknowledgedAt = undefined;
+    advanceRecurrence(reminder, now, user.timezone);
+  }
+  return true;
+}
+
+// Moves a repeating reminder on to its next occurrence once it has fired.
+// One-shot reminders, and series that have run out, stay triggered.
+// Occurrences already in the past (server was down) are skipped rather
+// than fired in a burst.
+function advanceRecurrence(reminder, now, timezone) {
+  if (!reminder.recurrence?.freq) return false;
+
+  let date = reminder.date;
+  let occurrences = reminder.occurrenceCount || 0;
+
+  do {
+    occurrences++;
+    date = nextOccurrence(reminder.recurrence, date, occurrences);
+  } while (
+    date &&
+    getTriggerTime(
+      { ...reminder.toObject(), date, triggerAt: null },
+      timezone,
+    ) <= now
+  );
+
+  reminder.occurrenceCount = occurrences;
+  if (!date) return false;
+
+  reminder.date = date;
+  reminder.triggered = false;
+  reminder.triggerAt = undefined;
+  reminder.snoozedUntil = undefined;
+  // Browser-computed for the first occurrence only; fall back to date/time
+  reminder.eventAt = undefined;
+  reminder.displayDateTime = undefined;
+  return true;
+}
+
+const MAX_SNOOZE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Re-arms a reminder that has gone off to fire again at `until`. Returns an
+// { status, error } pair when the snooze isn't allowed.
+function snoozeReminder(user, reminder, until, now = clock.now()) {
+  if (!reminder.notifiedAt && !reminder.triggered) {
+    return { status: 409, error: "Reminder hasn't gone off yet" };
+  }
+  if (isNaN(until) || until <= now || until - now > MAX_SNOOZE_MS) {
+    return {
+      status: 400,
+      error: "Snooze must end in the future and within 7 days",
+    };
+  }
+
+  const limit = user.maxSnoozes ?? 3;
+  if (limit > 0 && (reminder.snoozeCount || 0) >= limit) {
+    return { status: 409, error: `Snooze limit of ${limit} reached` };
+  }
+
+  reminder.snoozedUntil = until;
+  reminder.triggerAt = until.toISOString();
+  reminder.snoozeCount = (reminder.snoozeCount || 0) + 1;
+  reminder.isActive = true;
+  if (!reminder.recurrence?.freq) reminder.triggered = false;
+  return null;
+}
+
+// Acknowledges the reminder: drops any pending snooze. One-shot reminders
+// stay finished; repeating ones wait for their next occurrence.
+function dismissReminder(reminder, now = clock.now()) {
+  reminder.triggerAt = undefined;
+  reminder.snoozedUntil = undefined;
+  reminder.snoozeCount = 0;
+  reminder.acknowledgedAt = now;
+  if (!reminder.recurrence?.freq) reminder.triggered = true;
+}
+
+// What the engine tracks about a reminder, as it is before its first
+// occurrence. Clients can't write these (see utils/requestSchemas.js).
+const FRESH_STATE = {
+  triggered: false,
+  triggerAt: undefined,
+  snoozedUntil: undefined,
+  snoozeCount: 0,
+  notifiedAt: undefined,
+  acknowledgedAt: undefined,
+  notificationResults: undefined,
+  occurrenceCount: 0,
+};
+// The client's fields that decide when a reminder goes off
+const TIMING_FIELDS = [
+  "date",
+  "time",
+  "advanceNotice",
+  "advanceUnit",
+  "recurrence",
+];
+
+const valueKey = (value) =>
+  JSON.stringify(value?.toObject ? value.toObject() : (value ?? null));
+const sameFields = (a, b, fields) =>
+  fields.every((field) => valueKey(a[field]) === valueKey(b[field]));
+
+// Gives `reminder`, the client's new version of `previous` (the stored
+// reminder, as a document or plain object), the engine's state from before.
+// A reminder that now goes off at another time starts afresh: armed, with no
+// snoozes. A changed repeat rule also starts its count again.
+function carryReminderState(previous, reminder) {
+  const rescheduled = !sameFields(previous, reminder, TIMING_FIELDS);
+  const sameRule = sameFields(previous, reminder, ["recurrence"]);
+
+  for (const [field, fresh] of Object.entries(FRESH_STATE)) {
+    const keep = !rescheduled || (field === "occurrenceCount" && sameRule);
+    reminder.set(field, keep ? previous[field] : fresh);
+  }
+}
+
+// Validates the recurrence sent by the client, if any. Returns the canonical
+// rule, null to clear it, or undefined when the field wasn't sent.
+function parseRecurrenceInput(recurrence) {
+  if (recurrence === undefined) return undefined;
+  if (!recurrence) return null;
+  return normalizeRecurrence(recurrence);
+}
+
+async function checkDueReminders(now = clock.now()) {
+  const results = newReminderResults();
+
+  // Armed reminders whose time has come — a range scan on the partial
+  // nextTriggerAt index
+  const due = await Reminder.find({
+    isActive: true,
+    triggered: false,
+    nextTriggerAt: { $lte: now },
+  });
+
+  const ownerIds = [...new Set(due.map((r) => r.owner.toString()))];
+  const owners = await User.find({ _id: { $in: ownerIds } });
+  const ownersById = new Map(owners.map((u) => [u._id.toString(), u]));
+
+  for (const reminder of due) {
+    results.checked++;
+    const user = ownersById.get(reminder.owner.toString());
+    if (!user) continue;
+
+    if (await fireIfDue(user, reminder, now, results)) {
+      await saveReminder(user, reminder);
+    }
+  }
+
+  return results;
+}
+
+// A delivery stuck in "sending" this long was interrupted (crash, deploy)
+// and is picked up again
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+// Gives failed notification deliveries their next attempt once their
+// backoff has passed. Returns how many were retried.
+async function retryFailedDeliveries(now = clock.now()) {
+  const due = await NotificationDelivery.find(
+    {
+      $or: [
+        { status: "retrying", nextAttemptAt: { $lte: now } },
+        {
+          status: "sending",
+          updatedAt: { $lt: new Date(now.getTime() - STALE_SENDING_MS) },
+        },
+      ],
+    },
+    "_id status",
+  ).limit(100);
+
+  let retried = 0;
+  for (const { _id, status } of due) {
+    // Claim it so an overlapping sweep doesn't send it twice
+    const delivery = await NotificationDelivery.findOneAndUpdate(
+      { _id, status },
+      { $set: { status: "sending" } },
+      { new: true },
+    ).select("+payload");
+    if (!delivery) continue;
+
+    const deadLetter = (lastError) =>
+      NotificationDelivery.updateOne(
+        { _id },
+        { $set: { status: "dead", lastError, nextAttemptAt: null } },
+      );
+
+    try {
+      const user = await User.findById(delivery.owner);
+      if (!user || user.disabledAt) {
+        await deadLetter(
+          user ? "Account is disabled" : "Account no longer exists",
+        );
+        continue;
+      }
+
+      if (delivery.reminderId) {
+        const reminder = await Reminder.findOne({
+          owner: user._id,
+          id: delivery.reminderId,
+        });
+        if (!reminder?.isActive) {
+          await deadLetter("Reminder was removed or turned off");
+          continue;
+        }
+      }
+
+      const { results } = await NotificationService.retryDelivery(
+        user,
+        delivery,
+        now,
+      );
+      await pruneExpiredSubscriptions(user, results);
+      retried++;
+    } catch (err) {
+      console.error(`Retry of delivery ${_id} failed:`, err);
+      // Back in the queue; the stale-"sending" rule picks it up later
+    }
+  }
+
+  return retried;
+}
+
+// Persists a reminder with its trigger time recomputed for the owner's
+// timezone, and brings its scheduled job in line
+async function saveReminder(user, reminder) {
+  reminder.updateTriggerTime(user.timezone);
+  await reminder.save();
+  await syncReminderJob(user, reminder);
+}
+
+// Keeps the reminder's scheduled job in step with its state. Scheduling
+// problems are logged, never surfaced: the periodic sweep still catches the
+// reminder.
+async function syncReminderJob(user, reminder) {
+  if (!reminder.id) return;
+
+  try {
+    const triggerTime = reminder.nextTriggerAt;
+    if (reminder.isActive && !reminder.triggered && triggerTime) {
+      await scheduler.scheduleReminder(user._id, reminder.id, triggerTime);
+    } else {
+      await scheduler.cancelReminder(user._id, reminder.id);
+    }
+  } catch (err) {
+    console.error(`Error scheduling reminder ${reminder.id}:`, err.message);
+  }
+}
+
+// Cancels one reminder's job, or all of the user's when no id is given
+async function cancelReminderJobs(userId, reminderId) {
+  try {
+    if (reminderId) await scheduler.cancelReminder(userId, reminderId);
+    else await scheduler.cancelAllReminders(userId);
+  } catch (err) {
+    console.error("Error cancelling reminder jobs:", err.message);
+  }
+}
+
+module.exports = {
+  newClientId,
+  deliverReminder,
+  pruneExpiredSubscriptions,
+  newReminderResults,
+  fireIfDue,
+  advanceRecurrence,
+  snoozeReminder,
+  dismissReminder,
+  carryReminderState,
+  parseRecurrenceInput,
+  checkDueReminders,
+  retryFailedDeliveries,
+  saveReminder,
+  syncReminderJob,
+  cancelReminderJobs,
+};
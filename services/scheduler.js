@@ -0,0 +1,142 @@
+const Agenda = require("agenda");
+
+const JOBS = {
+  REMINDER: "reminder:fire",
+  GUEST_CLEANUP: "guests:cleanup",
+  REMINDER_SWEEP: "reminders:sweep",
+  POMODORO_PHASE_END: "pomodoro:phase-end",
+  NOTIFICATION_RETRY: "notifications:retry",
+  DIGEST_SWEEP: "digests:send",
+  SCHEDULE_REFRESH: "schedules:refresh",
+};
+
+// MongoDB-backed job queue, kept in the app's own database. Every reminder
+// gets its own job at its trigger time; housekeeping runs as recurring jobs.
+// On serverless deployments (Vercel) there is no long-lived process to run
+// jobs, so the scheduler stays off and POST /api/reminders/check remains the
+// trigger.
+class Scheduler {
+  constructor() {
+    this.agenda = null;
+  }
+
+  isEnabled() {
+    if (process.env.SCHEDULER_ENABLED !== undefined) {
+      return process.env.SCHEDULER_ENABLED === "true";
+    }
+    return !process.env.VERCEL;
+  }
+
+  isRunning() {
+    return this.agenda !== null;
+  }
+
+  // handlers: { [jobName]: async (data) => {} }; `mongo` is the connected
+  // database (mongoose.connection.db) the jobs are stored in
+  async start(handlers, mongo) {
+    if (this.agenda || !this.isEnabled()) return false;
+
+    const agenda = new Agenda({
+      mongo,
+      db: { collection: process.env.SCHEDULER_COLLECTION || "agendaJobs" },
+      processEvery: process.env.SCHEDULER_PROCESS_EVERY || "30 seconds",
+    });
+
+    for (const [name, handler] of Object.entries(handlers)) {
+      agenda.define(name, async (job) => handler(job.attrs.data || {}));
+    }
+
+    agenda.on("fail", (err, job) => {
+      console.error(`Job ${job.attrs.name} failed:`, err.message);
+    });
+
+    await agenda.start();
+    this.agenda = agenda;
+
+    await agenda.every(
+      process.env.GUEST_CLEANUP_EVERY || "1 day",
+      JOBS.GUEST_CLEANUP,
+    );
+    // Safety net for reminders whose job was lost or never created
+    // (e.g. saved while the scheduler was down)
+    await agenda.every(
+      process.env.REMINDER_SWEEP_EVERY || "15 minutes",
+      JOBS.REMINDER_SWEEP,
+    );
+    await agenda.every(
+      process.env.NOTIFICATION_RETRY_EVERY || "1 minute",
+      JOBS.NOTIFICATION_RETRY,
+    );
+    // Digests go out at the user's chosen minute, give or take this interval
+    await agenda.every(
+      process.env.DIGEST_SWEEP_EVERY || "5 minutes",
+      JOBS.DIGEST_SWEEP,
+    );
+    // Rebuilds study schedules that have a missed day in them
+    await agenda.every(
+      process.env.SCHEDULE_REFRESH_EVERY || "1 hour",
+      JOBS.SCHEDULE_REFRESH,
+    );
+
+    console.log("Job scheduler started");
+    return true;
+  }
+
+  async stop() {
+    if (!this.agenda) return;
+    await this.agenda.stop();
+    this.agenda = null;
+  }
+
+  // Replaces any pending job for this reminder with one at `when`
+  async scheduleReminder(userId, reminderId, when) {
+    if (!this.agenda) return null;
+
+    await this.cancelReminder(userId, reminderId);
+    return this.agenda.schedule(when, JOBS.REMINDER, {
+      userId: userId.toString(),
+      reminderId,
+    });
+  }
+
+  async cancelReminder(userId, reminderId) {
+    if (!this.agenda) return 0;
+
+    return this.agenda.cancel({
+      name: JOBS.REMINDER,
+      "data.userId": userId.toString(),
+      "data.reminderId": reminderId,
+    });
+  }
+
+  async cancelAllReminders(userId) {
+    if (!this.agenda) return 0;
+
+    return this.agenda.cancel({
+      name: JOBS.REMINDER,
+      "data.userId": userId.toString(),
+    });
+  }
+
+  // One pending phase-end job per user's Pomodoro timer
+  async schedulePomodoro(userId, when) {
+    if (!this.agenda) return null;
+
+    await this.cancelPomodoro(userId);
+    return this.agenda.schedule(when, JOBS.POMODORO_PHASE_END, {
+      userId: userId.toString(),
+    });
+  }
+
+  async cancelPomodoro(userId) {
+    if (!this.agenda) return 0;
+
+    return this.agenda.cancel({
+      name: JOBS.POMODORO_PHASE_END,
+      "data.userId": userId.toString(),
+    });
+  }
+}
+
+module.exports = new Scheduler();
+module.exports.JOBS = JOBS;
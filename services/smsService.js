@@ -2,15 +2,23 @@ const twilio = require("twilio");
 
 class SMSService {
   constructor() {
-    this.client = twilio(
-      process.env.TWILIO_ACCOUNT_SID,
-      process.env.TWILIO_AUTH_TOKEN
+    // twilio() throws without credentials, so SMS is simply unavailable
+    // until TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN are set
+    this.client = this.isConfigured()
+      ? twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN)
+      : null;
+  }
+
+  isConfigured() {
+    return Boolean(
+      process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN
     );
   }
 
   async sendSMS(to, body) {
     try {
       if (process.env.NODE_ENV === "test") return true;
+      if (!this.client) return false;
 
       await this.client.messages.create({
         body,
@@ -29,6 +37,11 @@ class SMSService {
     return this.sendSMS(phone, message);
   }
 
+  async sendReminderSMS(phone, details) {
+    const message = `Reminder: ${details.label} (${details.displayDateTime}) - ${details.remaining}.`;
+    return this.sendSMS(phone, message);
+  }
+
   async sendStudyReminderSMS(phone, planDetails) {
     const message = `Reminder: ${planDetails.subject} study session today for ${planDetails.hours} hour(s). Topic: ${planDetails.topic}`;
     return this.sendSMS(phone, message);
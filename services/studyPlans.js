@@ -0,0 +1,249 @@
+const User = require("../models/User");
+const StudyPlan = require("../models/StudyPlan");
+const StudySession = require("../models/StudySession");
+const PlannedSession = require("../models/PlannedSession");
+const Reminder = require("../models/Reminder");
+const Target = require("../models/Target");
+const { saveReminder, cancelReminderJobs } = require("./reminderEngine");
+const clock = require("../utils/clock");
+const { buildSchedule } = require("../utils/studySchedule");
+const { getTriggerTime } = require("../utils/reminderUtils");
+const {
+  addDays,
+  todayInZone,
+  toDateString,
+  zonedTimeToUtc,
+} = require("../utils/timezone");
+
+// Study progress and generated schedules: planned sessions, the reminders
+// made for them, and crediting studied time back to the plan
+const SCHEDULE_REMINDER_PREFIX = "sched-";
+const isoDay = (date) => date.toISOString().slice(0, 10);
+
+// Past sessions still marked planned become done (the day was studied) or
+// missed
+async function settlePastSessions(user, today) {
+  const past = await PlannedSession.find({
+    owner: user._id,
+    status: "planned",
+    day: { $lt: today },
+  });
+  if (!past.length) return 0;
+
+  const plans = await StudyPlan.find(
+    { _id: { $in: [...new Set(past.map((s) => s.plan.toString()))] } },
+    "studiedDays",
+  );
+  const studied = new Map(
+    plans.map((plan) => [plan._id.toString(), new Set(plan.studiedDays)]),
+  );
+
+  await PlannedSession.bulkWrite(
+    past.map((session) => ({
+      updateOne: {
+        filter: { _id: session._id },
+        update: {
+          $set: {
+            status: studied.get(session.plan.toString())?.has(session.day)
+              ? "done"
+              : "missed",
+          },
+        },
+      },
+    })),
+  );
+  return past.length;
+}
+
+// Removes planned sessions from today on (optionally only for some plans)
+// together with the reminders created for them
+async function dropFutureSessions(user, today, planIds) {
+  const filter = { owner: user._id, status: "planned", day: { $gte: today } };
+  if (planIds) filter.plan = { $in: planIds };
+
+  const sessions = await PlannedSession.find(filter, "reminderId");
+  const reminderIds = sessions.map((s) => s.reminderId).filter(Boolean);
+
+  await PlannedSession.deleteMany(filter);
+  if (reminderIds.length) {
+    await Reminder.deleteMany({ owner: user._id, id: { $in: reminderIds } });
+    for (const reminderId of reminderIds) {
+      await cancelReminderJobs(user._id, reminderId);
+    }
+  }
+}
+
+// Rebuilds the user's schedule from today: every plan with scheduling on is
+// balanced against the others (see utils/studySchedule.js). Run whenever
+// something it depends on changes — plans, blackout dates, targets, missed
+// days.
+async function regenerateSchedules(user, now = clock.now()) {
+  const timezone = user.timezone;
+  const today = todayInZone(timezone, now);
+
+  await settlePastSessions(user, today);
+  await dropFutureSessions(user, today);
+
+  const plans = await StudyPlan.find({
+    owner: user._id,
+    "schedule.enabled": true,
+  });
+  const targets = await Target.find({
+    owner: user._id,
+    _id: { $in: plans.map((plan) => plan.targetId).filter(Boolean) },
+  });
+  const targetDay = new Map(
+    targets.map((target) => [
+      target._id.toString(),
+      // Study up to the day before the exam
+      addDays(toDateString(target.date, timezone), -1),
+    ]),
+  );
+
+  const inputs = plans
+    .filter((plan) => !plan.completed)
+    .map((plan) => {
+      const deadlines = [
+        plan.endDate && isoDay(plan.endDate),
+        plan.targetId && targetDay.get(plan.targetId.toString()),
+      ].filter(Boolean);
+
+      return {
+        id: plan._id.toString(),
+        priority: plan.priority,
+        remainingMinutes: (plan.hours || 0) * 60 - (plan.loggedMinutes || 0),
+        startDay: plan.startDate ? isoDay(plan.startDate) : today,
+        endDay: deadlines.sort()[0],
+        daysPerWeek: plan.daysPerWeek,
+        weekdays: plan.schedule.weekdays || [],
+      };
+    });
+
+  const { sessions, shortfalls } = buildSchedule(inputs, {
+    today,
+    blackoutDates: user.blackoutDates,
+    dailyCapacityMinutes: user.dailyStudyMinutes,
+  });
+
+  const plansById = new Map(plans.map((plan) => [plan._id.toString(), plan]));
+  const docs = sessions.map(({ planId, day, minutes }) => {
+    const session = new PlannedSession({
+      owner: user._id,
+      plan: planId,
+      day,
+      minutes,
+      endsAt: zonedTimeToUtc(addDays(day, 1), "00:00", timezone),
+    });
+    if (plansById.get(planId).schedule.reminders) {
+      session.reminderId = `${SCHEDULE_REMINDER_PREFIX}${session._id}`;
+    }
+    return session;
+  });
+  await PlannedSession.insertMany(docs);
+
+  for (const session of docs) {
+    if (!session.reminderId) continue;
+    const plan = plansById.get(session.plan.toString());
+    const reminder = new Reminder({
+      owner: user._id,
+      id: session.reminderId,
+      label: `Study ${plan.subject || "session"} (${session.minutes} min)`,
+      date: session.day,
+      time: plan.schedule.sessionTime,
+      advanceNotice: 0,
+      planId: plan._id,
+      targetId: plan.targetId,
+      isActive: true,
+      triggered: false,
+      createdAt: now,
+    });
+    // Today's session time may already be behind us
+    if (getTriggerTime(reminder, timezone) <= now) continue;
+    await saveReminder(user, reminder);
+  }
+
+  for (const plan of plans) {
+    plan.schedule.shortfallMinutes = shortfalls[plan._id.toString()] || 0;
+    plan.schedule.generatedAt = now;
+    await plan.save();
+  }
+
+  return { sessions: docs, shortfalls };
+}
+
+// Regenerates after a change, for users who use the generator at all.
+// Failures are logged: the change itself has already been saved.
+async function refreshSchedules(user) {
+  try {
+    if (await StudyPlan.exists({ owner: user._id, "schedule.enabled": true })) {
+      await regenerateSchedules(user);
+    }
+  } catch (err) {
+    console.error("Schedule regeneration error:", err);
+  }
+}
+
+// Users with a planned session whose day has ended without being studied get
+// their schedule rebuilt, so the missed time is spread over the days left.
+// Returns how many users were rescheduled.
+async function rescheduleMissedSessions(now = clock.now()) {
+  const owners = await PlannedSession.distinct("owner", {
+    status: "planned",
+    endsAt: { $lte: now },
+  });
+
+  for (const ownerId of owners) {
+    const user = await User.findById(ownerId);
+    if (!user) {
+      await PlannedSession.deleteMany({ owner: ownerId });
+      continue;
+    }
+    try {
+      await regenerateSchedules(user, now);
+    } catch (err) {
+      console.error(`Rescheduling for user ${ownerId} failed:`, err);
+    }
+  }
+  return owners.length;
+}
+
+// Planned sessions for that day count as done once the day is studied
+const markPlannedDone = (planId, day) =>
+  PlannedSession.updateMany(
+    { plan: planId, day, status: "planned" },
+    { $set: { status: "done" } },
+  );
+
+// Re-sums the plan's logged time from its completed sessions and, when a
+// session has just been credited, marks its day as studied
+async function applySessionToPlan(user, planId, studiedDay) {
+  const [totals] = await StudySession.aggregate([
+    { $match: { plan: planId, status: "completed" } },
+    { $group: { _id: null, minutes: { $sum: "$durationMinutes" } } },
+  ]);
+
+  const update = { $set: { loggedMinutes: totals?.minutes || 0 } };
+  if (studiedDay) update.$addToSet = { studiedDays: studiedDay };
+
+  const plan = await StudyPlan.findOneAndUpdate(
+    { _id: planId, owner: user._id },
+    update,
+    { new: true },
+  );
+  if (plan) {
+    plan.refreshProgress(user.timezone);
+    await plan.save();
+    if (studiedDay) await markPlannedDone(plan._id, studiedDay);
+  }
+  return plan;
+}
+
+module.exports = {
+  SCHEDULE_REMINDER_PREFIX,
+  dropFutureSessions,
+  regenerateSchedules,
+  refreshSchedules,
+  rescheduleMissedSessions,
+  markPlannedDone,
+  applySessionToPlan,
+};
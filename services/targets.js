@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Target = require("../models/Target");
+const StudyPlan = require("../models/StudyPlan");
+const Reminder = require("../models/Reminder");
+const Todo = require("../models/Todo");
+const { refreshSchedules } = require("./studyPlans");
+const clock = require("../utils/clock");
+const { calendarDaysUntil } = require("../utils/timezone");
+
+// Moves a pre-targets user's targetDate/targetName into a Target. Clearing
+// the legacy fields first doubles as a claim, so concurrent requests can't
+// create the target twice.
+async function migrateLegacyTarget(user) {
+  if (!user.targetDate) return;
+
+  const { targetDate, targetName } = user;
+  const claimed = await User.updateOne(
+    { _id: user._id, targetDate },
+    { $unset: { targetDate: "", targetName: "" } },
+  );
+  user.targetDate = undefined;
+  user.targetName = undefined;
+  if (!claimed.modifiedCount) return;
+
+  try {
+    await Target.create({
+      owner: user._id,
+      name: targetName || "My target",
+      date: targetDate,
+      primary: !(await Target.exists({ owner: user._id, primary: true })),
+    });
+  } catch (err) {
+    // Put the old fields back so the next request tries again
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { targetDate, targetName } },
+    );
+    throw err;
+  }
+}
+
+// Run once at startup so users who don't log in (digest recipients) are
+// migrated too
+async function migrateLegacyTargets() {
+  try {
+    const users = await User.find({ targetDate: { $exists: true, $ne: null } });
+    for (const user of users) await migrateLegacyTarget(user);
+    if (users.length) console.log(`Migrated ${users.length} legacy targets`);
+  } catch (err) {
+    console.error("Target migration error:", err);
+  }
+}
+
+const primaryTarget = (userId) =>
+  Target.findOne({ owner: userId, primary: true });
+
+// A targetId on a reminder, todo or plan must be one of the user's targets;
+// returns an error message or null. Empty values clear the link.
+async function checkTargetRef(userId, targetId) {
+  if (targetId === undefined || targetId === null || targetId === "") {
+    return null;
+  }
+  if (
+    !mongoose.isValidObjectId(targetId) ||
+    !(await Target.exists({ _id: targetId, owner: userId }))
+  ) {
+    return "Target not found";
+  }
+  return null;
+}
+
+// Targets with the ids of their linked plans and the calendar days left in
+// the user's timezone
+async function presentTargets(user, targets, now = clock.now()) {
+  const plans = await StudyPlan.find(
+    { owner: user._id, targetId: { $in: targets.map((t) => t._id) } },
+    "_id targetId",
+  );
+
+  return targets.map((target) => ({
+    ...target.toObject(),
+    plans: plans
+      .filter((plan) => plan.targetId.equals(target._id))
+      .map((plan) => plan._id),
+    daysLeft: calendarDaysUntil(target.date, user.timezone, now),
+  }));
+}
+
+// Makes `target` the user's only primary target
+async function makePrimary(user, target) {
+  await Target.updateMany(
+    { owner: user._id, primary: true, _id: { $ne: target._id } },
+    { $set: { primary: false } },
+  );
+  target.primary = true;
+  await target.save();
+}
+
+// After the primary target is deleted, the next upcoming one takes over
+async function promoteNextTarget(user) {
+  const upcoming = await Target.findOne({
+    owner: user._id,
+    date: { $gte: clock.now() },
+  }).sort({ date: 1 });
+  const next =
+    upcoming || (await Target.findOne({ owner: user._id }).sort({ date: -1 }));
+  if (next) await makePrimary(user, next);
+}
+
+// Deletes the target and unlinks everything that pointed at it
+async function removeTarget(user, target) {
+  await Target.deleteOne({ _id: target._id });
+
+  const unlink = { $unset: { targetId: "" } };
+  const linked = { owner: user._id, targetId: target._id };
+  await Promise.all([
+    StudyPlan.updateMany(linked, unlink),
+    Reminder.updateMany(linked, unlink),
+    Todo.updateMany(linked, unlink),
+  ]);
+  if (target.primary) await promoteNextTarget(user);
+  await refreshSchedules(user);
+}
+
+module.exports = {
+  migrateLegacyTarget,
+  migrateLegacyTargets,
+  primaryTarget,
+  checkTargetRef,
+  presentTargets,
+  makePrimary,
+  promoteNextTarget,
+  removeTarget,
+};
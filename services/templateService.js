@@ -0,0 +1,77 @@
+const Handlebars = require("handlebars");
+const fs = require("fs");
+const path = require("path");
+const { htmlToText } = require("../utils/htmlToText");
+
+const TEMPLATE_DIR = path.join(__dirname, "../template");
+
+// Email templates live in template/: one <name>.hbs per email, wrapped in the
+// shared layout ({{#> layout heading="..."}}) and built from template/partials.
+// Everything is compiled once and cached; the plain-text part is derived from
+// the rendered HTML.
+class TemplateService {
+  constructor() {
+    this.templates = null;
+    this.samples = {};
+  }
+
+  load() {
+    const hbs = Handlebars.create();
+    hbs.registerHelper("concat", (...args) => args.slice(0, -1).join(""));
+
+    const read = (...parts) =>
+      fs.readFileSync(path.join(TEMPLATE_DIR, ...parts), "utf8");
+    const hbsFiles = (...parts) =>
+      fs
+        .readdirSync(path.join(TEMPLATE_DIR, ...parts))
+        .filter((file) => file.endsWith(".hbs"));
+
+    hbs.registerPartial("layout", read("layouts", "main.hbs"));
+    for (const file of hbsFiles("partials")) {
+      hbs.registerPartial(path.basename(file, ".hbs"), read("partials", file));
+    }
+
+    const samples = JSON.parse(read("samples.json"));
+    const templates = {};
+    for (const file of hbsFiles()) {
+      const name = path.basename(file, ".hbs");
+      templates[name] = hbs.compile(read(file));
+      // Handlebars compiles lazily; a first render surfaces template errors
+      // at startup rather than on the first real send
+      templates[name](samples[name] || {});
+    }
+
+    this.templates = templates;
+    this.samples = samples;
+    return Object.keys(templates);
+  }
+
+  // Pick up edited template files without restarting (used by the preview)
+  reload() {
+    this.templates = null;
+    return this.load();
+  }
+
+  names() {
+    if (!this.templates) this.load();
+    return Object.keys(this.templates);
+  }
+
+  sample(name) {
+    if (!this.templates) this.load();
+    return this.samples[name] || {};
+  }
+
+  // { html, text }; throws for an unknown template
+  render(name, context = {}) {
+    if (!this.templates) this.load();
+
+    const template = this.templates[name];
+    if (!template) throw new Error(`Unknown email template "${name}"`);
+
+    const html = template(context);
+    return { html, text: htmlToText(html) };
+  }
+}
+
+module.exports = new TemplateService();
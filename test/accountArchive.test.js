@@ -0,0 +1,184 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+const {
+  ARCHIVE_FORMAT,
+  SCHEMA_VERSION,
+  validateArchive,
+  remapIds,
+} = require("../utils/accountArchive");
+const schemas = require("../utils/requestSchemas");
+
+describe("validateArchive", () => {
+  const archive = (collections) => ({
+    format: ARCHIVE_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    ...collections,
+  });
+
+  it("accepts items the routes would accept", () => {
+    const problems = validateArchive(
+      archive({
+        targets: [{ ref: "t1", name: "Finals", date: "2030-06-01" }],
+        reminders: [
+          {
+            id: "r1",
+            label: "Revise",
+            date: "2030-01-08",
+            time: "09:00",
+            targetRef: "t1",
+            occurrenceCount: 2,
+          },
+        ],
+      }),
+      schemas.archive,
+    );
+    assert.deepEqual(problems, []);
+  });
+
+  it("checks every item against its collection's schema", () => {
+    const problems = validateArchive(
+      archive({
+        reminders: [{ id: "r1", date: "next week" }],
+        todos: [{ text: "Past papers", priority: "urgent" }],
+        studySessions: [{ planRef: "p1" }],
+      }),
+      schemas.archive,
+    );
+    assert.deepEqual(problems, [
+      "reminders[0].label is required",
+      "reminders[0].date must be a date (YYYY-MM-DD)",
+      "todos[0].priority must be one of low, medium, high",
+      "studySessions[0].startedAt is required",
+    ]);
+  });
+});
+
+describe("remapIds", () => {
+  it("keeps free ids and renames taken or missing ones", () => {
+    const taken = new Set(["r1"]);
+    const { items, changed } = remapIds(
+      [{ id: "r1" }, { id: "r2" }, { label: "no id" }],
+      taken,
+    );
+
+    assert.equal(items[1].id, "r2");
+    assert.match(items[0].id, /^imp-/);
+    assert.match(items[2].id, /^imp-/);
+    assert.deepEqual(changed, { r1: items[0].id });
+    assert.equal(taken.size, 4);
+  });
+});
+
+describe("account export and import", () => {
+  let t;
+  let user;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+  beforeEach(async () => {
+    await t.reset();
+    user = await t.signUp();
+  });
+  after(() => t?.stop());
+
+  const exportArchive = async () =>
+    (await t.request("GET", "/api/user/export", { token: user.token })).body;
+
+  const importArchive = (archive, mode = "replace") =>
+    t.request("POST", `/api/user/import?mode=${mode}`, {
+      token: user.token,
+      body: archive,
+    });
+
+  it("moves everything into another account, links intact", async () => {
+    const target = await t.request("POST", "/api/targets", {
+      token: user.token,
+      body: { name: "Finals", date: "2030-06-01" },
+    });
+    const plan = await t.request("POST", "/api/plans", {
+      token: user.token,
+      body: { subject: "Maths", hours: 5, targetId: target.body._id },
+    });
+    await t.request("POST", "/api/reminders/add", {
+      token: user.token,
+      body: {
+        id: "r1",
+        label: "Past paper",
+        date: "2030-01-09",
+        planId: plan.body._id,
+      },
+    });
+    await t.request("POST", "/api/todos", {
+      token: user.token,
+      body: { text: "Formula sheet" },
+    });
+    const archive = await exportArchive();
+
+    user = await t.signUp({ email: "new@example.com" });
+    const res = await importArchive(archive);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.imported, {
+      targets: 1,
+      studyPlans: 1,
+      reminders: 1,
+      todos: 1,
+      studySessions: 0,
+    });
+
+    const { body: me } = await t.request("GET", "/api/user", {
+      token: user.token,
+    });
+    const [movedPlan] = me.studyPlans;
+    assert.equal(movedPlan.targetId, me.targets[0]._id);
+    const reminder = me.reminders.find((r) => r.id === "r1");
+    assert.equal(reminder.planId, movedPlan._id);
+    assert.equal(me.todos[0].text, "Formula sheet");
+  });
+
+  it("renames colliding reminder ids when merging", async () => {
+    await t.request("POST", "/api/reminders/add", {
+      token: user.token,
+      body: { id: "r1", label: "Past paper", date: "2030-01-09" },
+    });
+    const archive = await exportArchive();
+
+    const res = await importArchive(archive, "merge");
+    assert.equal(res.status, 200);
+    const newId = res.body.idMap.reminders.r1;
+    assert.match(newId, /^imp-/);
+
+    const { body: reminders } = await t.request("GET", "/api/reminders", {
+      token: user.token,
+    });
+    assert.deepEqual(reminders.map((r) => r.id).sort(), [newId, "r1"].sort());
+  });
+
+  it("asks for confirmation of an imported notification address", async () => {
+    const archive = await exportArchive();
+    archive.profile.notificationEmail = "elsewhere@example.com";
+
+    const res = await importArchive(archive);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.pendingNotificationEmail, "elsewhere@example.com");
+
+    const me = await t.request("GET", "/api/user", { token: user.token });
+    assert.equal(me.body.notificationEmail, user.email);
+    assert.equal(me.body.pendingNotificationEmail, "elsewhere@example.com");
+    assert.equal(t.mailer.to("elsewhere@example.com").length, 1);
+  });
+
+  it("rejects an archive with an invalid item before importing any", async () => {
+    const archive = await exportArchive();
+    archive.todos = [{ text: "Fine" }, { text: "", dueDate: "someday" }];
+
+    const res = await importArchive(archive, "merge");
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Invalid export file");
+    assert.ok(res.body.details.includes("todos[1].text is required"));
+
+    const todos = await t.request("GET", "/api/todos", { token: user.token });
+    assert.deepEqual(todos.body, []);
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+const User = require("../models/User");
+
+describe("admin", () => {
+  let t;
+  let admin;
+  let student;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+  beforeEach(async () => {
+    await t.reset();
+    admin = await t.signUp({ email: "admin@example.com" });
+    await User.updateOne({ email: admin.email }, { role: "admin" });
+    student = await t.signUp({ email: "student@example.com" });
+  });
+  after(() => t?.stop());
+
+  it("keeps the admin API to admins", async () => {
+    const denied = await t.request("GET", "/api/admin/users", {
+      token: student.token,
+    });
+    assert.equal(denied.status, 403);
+
+    const allowed = await t.request("GET", "/api/admin/users", {
+      token: admin.token,
+    });
+    assert.equal(allowed.status, 200);
+  });
+
+  it("disables an account, signing it out, and logs who did it", async () => {
+    const res = await t.request(
+      "POST",
+      `/api/admin/users/${student.user._id}/disable`,
+      { token: admin.token, body: { reason: "Spam" } },
+    );
+    assert.equal(res.status, 200);
+
+    const locked = await t.request("GET", "/api/user", {
+      token: student.token,
+    });
+    assert.equal(locked.status, 403);
+
+    const { body } = await t.request(
+      "GET",
+      `/api/admin/audit?action=user.disable`,
+      { token: admin.token },
+    );
+    assert.equal(body.entries.length, 1);
+    assert.equal(String(body.entries[0].actor), String(admin.user._id));
+  });
+
+  it("won't let admins change their own role", async () => {
+    const res = await t.request(
+      "PUT",
+      `/api/admin/users/${admin.user._id}/role`,
+      { token: admin.token, body: { role: "user" } },
+    );
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,216 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+describe("auth", () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+  beforeEach(() => t.reset());
+  after(() => t?.stop());
+
+  it("registers, confirms the email and signs in", async () => {
+    const registered = await t.request("POST", "/api/register", {
+      body: {
+        name: "Ada",
+        email: "ada@example.com",
+        password: "correct horse battery",
+      },
+    });
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.user.emailVerified, false);
+    assert.ok(registered.body.token);
+    assert.ok(registered.body.refreshToken);
+    assert.equal(registered.body.user.password, undefined);
+
+    const [email] = t.mailer.to("ada@example.com");
+    const [, token] = email.text.match(/verify-email\/([\w-]+)/);
+    const verified = await t.request("GET", `/api/auth/verify-email/${token}`);
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.outcome, "verified");
+
+    const login = await t.request("POST", "/api/login", {
+      body: { email: "ada@example.com", password: "correct horse battery" },
+    });
+    assert.equal(login.status, 200);
+
+    const me = await t.request("GET", "/api/user", { token: login.body.token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.email, "ada@example.com");
+    assert.equal(me.body.emailVerified, true);
+  });
+
+  it("rejects an invalid registration with field errors", async () => {
+    const res = await t.request("POST", "/api/register", {
+      body: { email: "not-an-email" },
+    });
+    assert.equal(res.status, 400);
+    const fields = res.body.fields.map(({ field }) => field);
+    assert.ok(fields.includes("email"));
+    assert.ok(fields.includes("password"));
+  });
+
+  it("refuses a second account with the same email", async () => {
+    await t.signUp({ email: "taken@example.com" });
+    const res = await t.request("POST", "/api/register", {
+      body: {
+        name: "Again",
+        email: "taken@example.com",
+        password: "another password",
+      },
+    });
+    assert.equal(res.status, 400);
+  });
+
+  it("locks the account after repeated wrong passwords", async () => {
+    const { email, password } = await t.signUp();
+
+    for (let i = 0; i < 4; i++) {
+      const res = await t.request("POST", "/api/login", {
+        body: { email, password: "wrong password" },
+      });
+      assert.equal(res.status, 401);
+    }
+    const locked = await t.request("POST", "/api/login", {
+      body: { email, password: "wrong password" },
+    });
+    assert.equal(locked.status, 429);
+    assert.ok(locked.headers.get("retry-after"));
+
+    // Even the right password waits out the lockout
+    const right = await t.request("POST", "/api/login", {
+      body: { email, password },
+    });
+    assert.equal(right.status, 429);
+  });
+
+  // Asks for a reset code and reads it from the email
+  const requestResetCode = async (email) => {
+    const res = await t.request("POST", "/api/forgot-password", {
+      body: { email },
+    });
+    assert.equal(res.status, 200);
+    const message = t.mailer.to(email).at(-1);
+    return message.text.match(/\b(\d{6})\b/)[1];
+  };
+
+  const resetPassword = (email, code, newPassword = "a brand new password") =>
+    t.request("POST", "/api/reset-password", {
+      body: { email, code, newPassword },
+    });
+
+  it("answers a reset request the same whether or not the account exists", async () => {
+    const { email } = await t.signUp();
+    const known = await t.request("POST", "/api/forgot-password", {
+      body: { email },
+    });
+    const unknown = await t.request("POST", "/api/forgot-password", {
+      body: { email: "nobody@example.com" },
+    });
+
+    assert.equal(known.status, 200);
+    assert.equal(unknown.status, 200);
+    assert.deepEqual(unknown.body, known.body);
+  });
+
+  it("resets the password with the emailed code, once", async () => {
+    const { email } = await t.signUp();
+    const code = await requestResetCode(email);
+
+    assert.equal((await resetPassword(email, code)).status, 200);
+    assert.equal((await resetPassword(email, code)).status, 400);
+
+    const login = await t.request("POST", "/api/login", {
+      body: { email, password: "a brand new password" },
+    });
+    assert.equal(login.status, 200);
+  });
+
+  it("voids a reset code after five wrong guesses", async () => {
+    const { email, password } = await t.signUp();
+    const code = await requestResetCode(email);
+
+    // Real codes run from 100000 up
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await resetPassword(email, "000000")).status, 400);
+    }
+    const late = await resetPassword(email, code);
+    assert.equal(late.status, 400);
+    assert.equal(late.body.error, "Invalid or expired reset code");
+
+    const login = await t.request("POST", "/api/login", {
+      body: { email, password },
+    });
+    assert.equal(login.status, 200);
+  });
+
+  it("rotates refresh tokens and revokes a replayed one", async () => {
+    const { refreshToken } = await t.signUp();
+
+    const refreshed = await t.request("POST", "/api/auth/refresh", {
+      body: { refreshToken },
+    });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refreshToken, refreshToken);
+
+    const replayed = await t.request("POST", "/api/auth/refresh", {
+      body: { refreshToken },
+    });
+    assert.equal(replayed.status, 401);
+
+    // The replay ended the whole session, rotated token included
+    const rotated = await t.request("POST", "/api/auth/refresh", {
+      body: { refreshToken: refreshed.body.refreshToken },
+    });
+    assert.equal(rotated.status, 401);
+  });
+
+  it("logs out the current session", async () => {
+    const { token, refreshToken } = await t.signUp();
+
+    const res = await t.request("POST", "/api/auth/logout", {
+      body: { refreshToken },
+    });
+    assert.equal(res.status, 200);
+
+    const me = await t.request("GET", "/api/user", { token });
+    assert.equal(me.status, 401);
+  });
+
+  it("signs a revoked device out straight away", async () => {
+    const first = await t.signUp();
+    const second = await t.request("POST", "/api/login", {
+      body: { email: first.email, password: first.password },
+    });
+
+    const { body } = await t.request("GET", "/api/auth/sessions", {
+      token: first.token,
+    });
+    assert.equal(body.sessions.length, 2);
+    const other = body.sessions.find((session) => !session.current);
+
+    const revoked = await t.request(
+      "DELETE",
+      `/api/auth/sessions/${other._id}`,
+      { token: first.token },
+    );
+    assert.equal(revoked.status, 200);
+
+    // Its access token hasn't expired, but the session behind it has gone
+    const locked = await t.request("GET", "/api/user", {
+      token: second.body.token,
+    });
+    assert.equal(locked.status, 401);
+    const refreshed = await t.request("POST", "/api/auth/refresh", {
+      body: { refreshToken: second.body.refreshToken },
+    });
+    assert.equal(refreshed.status, 401);
+  });
+
+  it("keeps other routes behind a token", async () => {
+    const res = await t.request("GET", "/api/reminders");
+    assert.equal(res.status, 401);
+  });
+});
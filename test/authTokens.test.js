@@ -0,0 +1,43 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const {
+  newRefreshToken,
+  hashToken,
+  refreshExpiry,
+  signAccessToken,
+  accessTokenLifetime,
+} = require("../utils/authTokens");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("auth tokens", () => {
+  const now = new Date("2030-01-07T08:00:00Z");
+
+  it("slides refresh expiry out by 30 days, never past the cap", () => {
+    assert.equal(refreshExpiry(now).getTime(), now.getTime() + 30 * DAY);
+
+    const guestExpiry = new Date(now.getTime() + DAY);
+    assert.equal(
+      refreshExpiry(now, guestExpiry).getTime(),
+      guestExpiry.getTime(),
+    );
+  });
+
+  it("stores refresh tokens only as hashes", () => {
+    const token = newRefreshToken();
+    assert.notEqual(newRefreshToken(), token);
+    assert.match(hashToken(token), /^[0-9a-f]{64}$/);
+    assert.equal(hashToken(token), hashToken(token));
+  });
+
+  it("ties access tokens to their session", () => {
+    process.env.JWT_SECRET ??= "test-jwt-secret";
+    const token = signAccessToken("user-1", "session-1");
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+
+    assert.equal(payload._id, "user-1");
+    assert.equal(payload.sid, "session-1");
+    assert.equal(accessTokenLifetime(token), 15 * 60);
+  });
+});
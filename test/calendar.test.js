@@ -0,0 +1,125 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+const calendar = (...events) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    ...events.flatMap(({ uid, summary, start, rrule }) => [
+      "BEGIN:VEVENT",
+      `UID:${uid}`,
+      `SUMMARY:${summary}`,
+      `DTSTART:${start}`,
+      ...(rrule ? [`RRULE:${rrule}`] : []),
+      "END:VEVENT",
+    ]),
+    "END:VCALENDAR",
+  ].join("\r\n");
+
+describe("calendar", () => {
+  let t;
+  let user;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+  beforeEach(async () => {
+    await t.reset();
+    user = await t.signUp();
+  });
+  after(() => t?.stop());
+
+  // The clock stands at 2030-01-07 08:00 UTC, a Monday
+  const importIcs = async (ics, query = "advanceNotice=0") => {
+    const res = await t.request("POST", `/api/calendar/import?${query}`, {
+      token: user.token,
+      body: { ics },
+    });
+    assert.equal(res.status, 200);
+    return res.body;
+  };
+
+  const reminders = async () =>
+    (await t.request("GET", "/api/reminders", { token: user.token })).body;
+
+  it("imports upcoming events as reminders and skips past ones", async () => {
+    const result = await importIcs(
+      calendar(
+        { uid: "exam", summary: "Exam", start: "20300110T090000Z" },
+        { uid: "old", summary: "Old exam", start: "20291201T090000Z" },
+      ),
+    );
+    assert.equal(result.created.length, 1);
+    assert.deepEqual(
+      result.skipped.map((event) => event.reason),
+      ["Event is in the past"],
+    );
+
+    const [reminder] = await reminders();
+    assert.equal(reminder.label, "Exam");
+    assert.equal(reminder.date, "2030-01-10");
+    assert.equal(reminder.time, "09:00");
+  });
+
+  it("starts a series from the past at its next occurrence", async () => {
+    await importIcs(
+      calendar({
+        uid: "lecture",
+        summary: "Lecture",
+        start: "20291001T090000Z",
+        rrule: "FREQ=WEEKLY",
+      }),
+    );
+
+    const [reminder] = await reminders();
+    assert.equal(reminder.date, "2030-01-07");
+    assert.equal(reminder.nextTriggerAt, "2030-01-07T09:00:00.000Z");
+
+    // Nothing fires for the weeks that have gone by
+    const check = await t.request("POST", "/api/reminders/check", {
+      headers: { "x-cron-secret": process.env.CRON_SECRET },
+    });
+    assert.equal(check.body.triggered, 0);
+  });
+
+  it("skips a series that has already finished", async () => {
+    const result = await importIcs(
+      calendar({
+        uid: "course",
+        summary: "Short course",
+        start: "20291001T090000Z",
+        rrule: "FREQ=DAILY;COUNT=3",
+      }),
+    );
+    assert.equal(result.created.length, 0);
+    assert.equal(result.skipped.length, 1);
+    assert.deepEqual(await reminders(), []);
+  });
+
+  it("updates events on a second import instead of duplicating them", async () => {
+    const ics = (start) => calendar({ uid: "exam", summary: "Exam", start });
+    await importIcs(ics("20300110T090000Z"));
+    const second = await importIcs(ics("20300112T090000Z"));
+
+    assert.equal(second.updated.length, 1);
+    const list = await reminders();
+    assert.equal(list.length, 1);
+    assert.equal(list[0].date, "2030-01-12");
+  });
+
+  it("serves the reminders in the calendar feed", async () => {
+    await importIcs(
+      calendar({ uid: "exam", summary: "Exam", start: "20300110T090000Z" }),
+    );
+    const { body } = await t.request("GET", "/api/calendar", {
+      token: user.token,
+    });
+    const feedPath = new URL(body.url).pathname;
+
+    const feed = await t.request("GET", feedPath);
+    assert.equal(feed.status, 200);
+    assert.match(feed.body, /BEGIN:VCALENDAR/);
+    assert.match(feed.body, /SUMMARY:Exam/);
+  });
+});
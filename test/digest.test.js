@@ -0,0 +1,69 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+const { nextDigestAt } = require("../utils/digest");
+
+describe("nextDigestAt", () => {
+  // A Monday
+  const now = new Date("2030-01-07T08:00:00Z");
+
+  it("sends a daily digest later today, or tomorrow once the time has gone", () => {
+    const digest = { cadence: "daily", sendTime: "18:00" };
+    assert.equal(
+      nextDigestAt(digest, "UTC", now).toISOString(),
+      "2030-01-07T18:00:00.000Z",
+    );
+    assert.equal(
+      nextDigestAt({ ...digest, sendTime: "07:00" }, "UTC", now).toISOString(),
+      "2030-01-08T07:00:00.000Z",
+    );
+  });
+
+  it("sends a weekly digest on its weekday, in the user's zone", () => {
+    const digest = { cadence: "weekly", sendTime: "07:00", weekday: "MO" };
+    // 07:00 Monday has passed in UTC: next week
+    assert.equal(
+      nextDigestAt(digest, "UTC", now).toISOString(),
+      "2030-01-14T07:00:00.000Z",
+    );
+    // ...but it's still 03:00 on Monday in New York
+    assert.equal(
+      nextDigestAt(digest, "America/New_York", now).toISOString(),
+      "2030-01-07T12:00:00.000Z",
+    );
+  });
+});
+
+describe("digest emails", () => {
+  let t;
+  let user;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+  beforeEach(async () => {
+    await t.reset();
+    user = await t.signUp();
+    t.mailer.sent.length = 0;
+  });
+  after(() => t?.stop());
+
+  const runChecks = () =>
+    t.request("POST", "/api/reminders/check", {
+      headers: { "x-cron-secret": process.env.CRON_SECRET },
+    });
+
+  it("sends an enabled digest once at its time", async () => {
+    const settings = await t.request("PUT", "/api/user/settings", {
+      token: user.token,
+      body: { digest: { enabled: true, cadence: "daily", sendTime: "18:00" } },
+    });
+    assert.equal(settings.status, 200);
+
+    assert.equal((await runChecks()).body.digestsSent, 0);
+    t.clock.set("2030-01-07T18:00:00Z");
+    assert.equal((await runChecks()).body.digestsSent, 1);
+    assert.equal((await runChecks()).body.digestsSent, 0);
+    assert.equal(t.mailer.to(user.email).length, 1);
+  });
+});
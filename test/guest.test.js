@@ -0,0 +1,78 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+const { guestStatus, quotaError, GUEST_LIMITS } = require("../utils/guest");
+
+const HOUR = 60 * 60 * 1000;
+
+describe("guestStatus", () => {
+  const now = new Date("2030-01-07T08:00:00Z");
+  const guest = (hoursLeft) => ({
+    isGuest: true,
+    guestExpiresAt: new Date(now.getTime() + hoursLeft * HOUR),
+  });
+
+  it("warns a guest once deletion is close", () => {
+    assert.equal(guestStatus(guest(10), now).warning, null);
+    assert.match(guestStatus(guest(1), now).warning, /will be deleted at/);
+    assert.equal(guestStatus({ isGuest: false }, now), null);
+  });
+
+  it("holds guests to their quota", () => {
+    assert.equal(quotaError("plans", GUEST_LIMITS.plans), null);
+    assert.match(quotaError("plans", GUEST_LIMITS.plans + 1), /up to/);
+  });
+});
+
+describe("guest accounts", () => {
+  let t;
+  let guest;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+  beforeEach(async () => {
+    await t.reset();
+    const res = await t.request("POST", "/api/guest-login", { body: {} });
+    assert.equal(res.status, 200);
+    guest = res.body;
+  });
+  after(() => t?.stop());
+
+  it("keeps a guest's data when they register", async () => {
+    await t.request("POST", "/api/reminders/add", {
+      token: guest.token,
+      body: { id: "r1", label: "Essay", date: "2030-01-09" },
+    });
+
+    const upgraded = await t.request("POST", "/api/guest/upgrade", {
+      token: guest.token,
+      body: {
+        name: "Grace",
+        email: "grace@example.com",
+        password: "correct horse battery",
+      },
+    });
+    assert.equal(upgraded.status, 200);
+    assert.equal(upgraded.body.user.isGuest, false);
+    assert.equal(t.mailer.to("grace@example.com").length, 1);
+
+    const { body: me } = await t.request("GET", "/api/user", {
+      token: upgraded.body.token,
+    });
+    assert.equal(me.guest, null);
+    assert.deepEqual(
+      me.reminders.map((reminder) => reminder.label),
+      ["Essay"],
+    );
+  });
+
+  it("won't take an email someone else has", async () => {
+    await t.signUp({ email: "taken@example.com" });
+    const res = await t.request("POST", "/api/guest/upgrade", {
+      token: guest.token,
+      body: { email: "taken@example.com", password: "correct horse battery" },
+    });
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,132 @@
+// test/helpers.js
+// Boots the app against a throwaway in-memory MongoDB with a fake mailer and
+// a clock the tests move by hand. Each test file starts its own app:
+//
+//   const t = await startTestApp();
+//   beforeEach(() => t.reset());
+//   after(() => t.stop());
+
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = "test-jwt-secret";
+process.env.CRON_SECRET = "test-cron-secret";
+process.env.SCHEDULER_ENABLED = "false";
+process.env.RATE_LIMIT_STORE = "memory";
+delete process.env.APP_URL;
+delete process.env.API_URL;
+delete process.env.ADMIN_EMAILS;
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const { createApp } = require("../app");
+const rateLimiter = require("../services/rateLimiter");
+const { createMemoryStore } = require("../services/rateLimitStore");
+
+// Keeps every message instead of sending it
+function fakeMailer() {
+  return {
+    name: "fake",
+    sent: [],
+    async send(message) {
+      this.sent.push(message);
+      return { messageId: `fake-${this.sent.length}` };
+    },
+    to(email) {
+      return this.sent.filter((message) => message.to === email);
+    },
+  };
+}
+
+// Stands still until set() or advance() moves it
+function fakeClock(start = "2030-01-07T08:00:00Z") {
+  let current = new Date(start).getTime();
+  return {
+    now: () => current,
+    set(date) {
+      current = new Date(date).getTime();
+    },
+    advance(ms) {
+      current += ms;
+    },
+  };
+}
+
+async function startTestApp() {
+  const mongod = await MongoMemoryServer.create();
+  const mailer = fakeMailer();
+  const clock = fakeClock();
+  const app = createApp({ db: mongod.getUri(), mailer, clock });
+  await app.locals.ready;
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // fetch with a JSON body and an optional bearer token; resolves to
+  // { status, headers, body } with the body parsed when it's JSON
+  async function request(method, path, { body, token, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      redirect: "manual",
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const type = res.headers.get("content-type") || "";
+    return {
+      status: res.status,
+      headers: res.headers,
+      body: type.includes("json") ? await res.json() : await res.text(),
+    };
+  }
+
+  // Registers and confirms an account through the emailed link
+  async function signUp({
+    name = "Test User",
+    email = "student@example.com",
+    password = "correct horse battery",
+    timezone = "UTC",
+  } = {}) {
+    const registered = await request("POST", "/api/register", {
+      body: { name, email, password, timezone },
+    });
+    if (registered.status !== 201) {
+      throw new Error(`Sign-up failed: ${JSON.stringify(registered.body)}`);
+    }
+
+    const link = mailer
+      .to(email)
+      .map((message) => message.text.match(/verify-email\/([\w-]+)/))
+      .find(Boolean);
+    if (!link) throw new Error(`No verification email for ${email}`);
+    await request("GET", `/api/auth/verify-email/${link[1]}`);
+
+    return { ...registered.body, email, password };
+  }
+
+  return {
+    app,
+    mailer,
+    clock,
+    request,
+    signUp,
+    // Fresh database, inbox, clock and rate limits for the next test
+    async reset() {
+      const collections = await mongoose.connection.db.collections();
+      await Promise.all(collections.map((c) => c.deleteMany({})));
+      mailer.sent.length = 0;
+      clock.set("2030-01-07T08:00:00Z");
+      rateLimiter.useStore(createMemoryStore());
+    },
+    async stop() {
+      await new Promise((resolve) => server.close(resolve));
+      await mongoose.disconnect();
+      await mongod.stop();
+    },
+  };
+}
+
+module.exports = { startTestApp, fakeMailer, fakeClock };
@@ -0,0 +1,85 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { formatCalendar, parseEvents, foldLine } = require("../utils/ics");
+
+const calendar = (...events) =>
+  ["BEGIN:VCALENDAR", "VERSION:2.0", ...events.flat(), "END:VCALENDAR"].join(
+    "\r\n",
+  );
+
+describe("ics", () => {
+  it("reads timed, zoned and all-day events", () => {
+    const [utc, zoned, allDay] = parseEvents(
+      calendar(
+        ["BEGIN:VEVENT", "UID:a", "SUMMARY:Exam", "DTSTART:20300107T090000Z"],
+        ["END:VEVENT"],
+        ["BEGIN:VEVENT", "UID:b", "SUMMARY:Lab"],
+        ["DTSTART;TZID=Asia/Colombo:20300107T090000", "END:VEVENT"],
+        ["BEGIN:VEVENT", "UID:c", "SUMMARY:Holiday"],
+        ["DTSTART;VALUE=DATE:20300110", "END:VEVENT"],
+      ),
+      { timezone: "UTC" },
+    );
+
+    assert.equal(utc.start.at.toISOString(), "2030-01-07T09:00:00.000Z");
+    assert.equal(zoned.start.at.toISOString(), "2030-01-07T03:30:00.000Z");
+    assert.equal(allDay.start.day, "2030-01-10");
+    assert.equal(allDay.start.time, undefined);
+  });
+
+  it("unfolds lines, unescapes text and skips alarms", () => {
+    const [event] = parseEvents(
+      calendar(
+        "BEGIN:VEVENT",
+        "UID:a",
+        "SUMMARY:Chapters 1\\, 2",
+        " and 3",
+        "DTSTART:20300107T090000Z",
+        "RRULE:FREQ=WEEKLY;BYDAY=MO",
+        "BEGIN:VALARM",
+        "DESCRIPTION:Not the summary",
+        "END:VALARM",
+        "END:VEVENT",
+      ),
+    );
+    assert.equal(event.summary, "Chapters 1, 2and 3");
+    assert.equal(event.rrule, "FREQ=WEEKLY;BYDAY=MO");
+  });
+
+  it("returns events it can't read with an error", () => {
+    const [event] = parseEvents(
+      calendar("BEGIN:VEVENT", "UID:a", "SUMMARY:No start", "END:VEVENT"),
+    );
+    assert.equal(event.error, "Event has no start");
+  });
+
+  it("reads back the feed it writes", () => {
+    const ics = formatCalendar(
+      {
+        name: "Study",
+        timezone: "UTC",
+        events: [
+          {
+            uid: "r1@test",
+            summary: "Revise; then rest",
+            start: { day: "2030-01-07", time: "09:00", timezone: "UTC" },
+            rrule: "FREQ=DAILY;COUNT=3",
+            alarmMinutes: 15,
+          },
+        ],
+      },
+      new Date("2030-01-01T00:00:00Z"),
+    );
+
+    const [event] = parseEvents(ics);
+    assert.equal(event.uid, "r1@test");
+    assert.equal(event.summary, "Revise; then rest");
+    assert.equal(event.start.at.toISOString(), "2030-01-07T09:00:00.000Z");
+    assert.equal(event.rrule, "FREQ=DAILY;COUNT=3");
+  });
+
+  it("folds long lines at 75 octets", () => {
+    const folded = foldLine(`SUMMARY:${"x".repeat(100)}`);
+    assert.ok(folded.split("\r\n").every((line) => line.length <= 75));
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const {
+  resolveTransportName,
+  createTransport,
+} = require("../services/mailTransport");
+
+const message = {
+  from: "MindStreamer <noreply@example.com>",
+  to: "ada@example.com",
+  subject: "Your reset code",
+  text: "Code: 428913",
+};
+
+describe("mail transport", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("picks a transport from the environment", () => {
+    assert.equal(resolveTransportName({ MAIL_TRANSPORT: "SMTP" }), "smtp");
+    assert.equal(
+      resolveTransportName({ EMAIL_USER: "u", EMAIL_PASSWORD: "p" }),
+      "service",
+    );
+    assert.equal(resolveTransportName({}), "log");
+    assert.equal(resolveTransportName({ NODE_ENV: "production" }), null);
+  });
+
+  it("refuses transports it doesn't know or can't set up", () => {
+    assert.throws(
+      () => createTransport({ MAIL_TRANSPORT: "pigeon" }),
+      /Unknown MAIL_TRANSPORT/,
+    );
+    assert.throws(
+      () => createTransport({ MAIL_TRANSPORT: "smtp" }),
+      /needs SMTP_HOST/,
+    );
+  });
+
+  it("writes each message to the outbox directory", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "outbox-"));
+    try {
+      const transport = createTransport({
+        MAIL_TRANSPORT: "file",
+        MAIL_OUTBOX_DIR: dir,
+      });
+      await transport.send(message);
+
+      const [file] = await fs.readdir(dir);
+      const saved = JSON.parse(await fs.readFile(path.join(dir, file), "utf8"));
+      assert.equal(saved.subject, "Your reset code");
+      assert.equal(saved.text, "Code: 428913");
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("keeps one-time secrets out of the log", async () => {
+    const log = mock.method(console, "log", () => {});
+    const transport = createTransport({ MAIL_TRANSPORT: "log" });
+    await transport.send(message, { sensitive: true });
+
+    const [line] = log.mock.calls[0].arguments;
+    assert.match(line, /Your reset code/);
+    assert.doesNotMatch(line, /428913/);
+  });
+});
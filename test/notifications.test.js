@@ -0,0 +1,199 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const NotificationService = require("../services");
+const { STATUS } = require("../services");
+const clock = require("../utils/clock");
+
+// No database here, so nothing goes to the delivery log
+const user = (fields) => ({
+  _id: "64b7f0c2a1b2c3d4e5f60718",
+  name: "Ada",
+  email: "ada@example.com",
+  emailVerified: true,
+  timezone: "UTC",
+  mobileNotifications: true,
+  phone: "+15555550100",
+  pushSubscriptions: [
+    { endpoint: "https://push.example/1", keys: { p256dh: "k", auth: "a" } },
+  ],
+  ...fields,
+});
+
+const reminder = { id: "r1", label: "Mock exam", date: "2030-01-07" };
+
+describe("sendUserNotification", () => {
+  afterEach(() => mock.restoreAll());
+
+  const channels = () => ({
+    email: mock.method(
+      NotificationService.email,
+      "sendReminderEmail",
+      async () => true,
+    ),
+    sms: mock.method(
+      NotificationService.sms,
+      "sendReminderSMS",
+      async () => false,
+    ),
+    push: mock.method(
+      NotificationService.push,
+      "sendReminderPush",
+      async () => true,
+    ),
+  });
+
+  it("sends a reminder on every channel and reports each one", async () => {
+    const sent = channels();
+    const results = await NotificationService.sendUserNotification(
+      user(),
+      "reminder",
+      { reminder },
+    );
+
+    assert.equal(results.email, STATUS.SENT);
+    assert.equal(results.sms, STATUS.FAILED);
+    assert.equal(results.push, STATUS.SENT);
+    assert.equal(sent.email.mock.calls[0].arguments[0], "ada@example.com");
+    assert.equal(sent.sms.mock.calls[0].arguments[0], "+15555550100");
+  });
+
+  it("skips the channels the user turned off", async () => {
+    const sent = channels();
+    const results = await NotificationService.sendUserNotification(
+      user({ emailNotifications: false, mobileNotifications: false }),
+      "reminder",
+      { reminder },
+    );
+
+    assert.equal(results.email, STATUS.SKIPPED);
+    assert.equal(results.sms, STATUS.SKIPPED);
+    assert.equal(results.push, STATUS.SENT);
+    assert.equal(sent.email.mock.callCount(), 0);
+    assert.equal(sent.sms.mock.callCount(), 0);
+  });
+
+  it("only tries the channels asked for", async () => {
+    const sent = channels();
+    const results = await NotificationService.sendUserNotification(
+      user(),
+      "reminder",
+      { reminder },
+      { channels: ["email"] },
+    );
+
+    assert.equal(results.email, STATUS.SENT);
+    assert.equal(results.push, STATUS.SKIPPED);
+    assert.equal(sent.push.mock.callCount(), 0);
+  });
+});
+
+describe("reminder emails", () => {
+  const transport = () => {
+    const sent = [];
+    return { sent, name: "test", send: async (message) => sent.push(message) };
+  };
+
+  const configured = NotificationService.email.transport;
+  afterEach(() => {
+    clock.useClock(null);
+    NotificationService.email.useTransport(configured);
+  });
+
+  it("counts the days remaining on the app clock", async () => {
+    clock.useClock({ now: () => new Date("2030-01-07T08:00:00Z") });
+    const mail = transport();
+    NotificationService.email.useTransport(mail);
+
+    await NotificationService.sendUserNotification(
+      user(),
+      "reminder",
+      { reminder: { ...reminder, eventAt: "2030-01-10T09:00:00Z" } },
+      { channels: ["email"] },
+    );
+
+    assert.equal(mail.sent.length, 1);
+    assert.match(mail.sent[0].text, /3 days remaining/);
+  });
+});
+
+describe("push fan-out", () => {
+  afterEach(() => mock.restoreAll());
+
+  const devices = (...endpoints) =>
+    endpoints.map((endpoint) => ({
+      endpoint,
+      keys: { p256dh: "k", auth: "a" },
+    }));
+
+  it("counts as sent when any device takes it, and reports gone ones", async () => {
+    mock.method(NotificationService.push, "sendReminderPush", async (sub) =>
+      sub.endpoint.endsWith("/gone") ? "expired" : true,
+    );
+    const results = await NotificationService.sendUserNotification(
+      user({
+        pushSubscriptions: devices(
+          "https://push.example/gone",
+          "https://push.example/ok",
+        ),
+      }),
+      "reminder",
+      { reminder },
+      { channels: ["push"] },
+    );
+
+    assert.equal(results.push, STATUS.SENT);
+    assert.deepEqual(results.expiredSubscriptions, [
+      "https://push.example/gone",
+    ]);
+  });
+
+  it("reports push as expired when every device is gone", async () => {
+    mock.method(
+      NotificationService.push,
+      "sendReminderPush",
+      async () => "expired",
+    );
+    const results = await NotificationService.sendUserNotification(
+      user({ pushSubscriptions: devices("https://push.example/gone") }),
+      "reminder",
+      { reminder },
+      { channels: ["push"] },
+    );
+    assert.equal(results.push, STATUS.EXPIRED);
+  });
+});
+
+describe("delivery outcomes", () => {
+  const now = new Date("2030-01-07T09:00:00Z");
+
+  it("retries a failed reminder later, backing off", () => {
+    const first = NotificationService.outcome(STATUS.FAILED, 1, true, now);
+    const second = NotificationService.outcome(STATUS.FAILED, 2, true, now);
+    assert.equal(first.status, "retrying");
+    assert.ok(first.nextAttemptAt > now);
+    assert.ok(second.nextAttemptAt - now > first.nextAttemptAt - now);
+  });
+
+  it("gives up after the last attempt, or straight away when not retryable", () => {
+    assert.equal(
+      NotificationService.outcome(STATUS.FAILED, 5, true, now).status,
+      "dead",
+    );
+    assert.equal(
+      NotificationService.outcome(STATUS.FAILED, 1, false, now).status,
+      "dead",
+    );
+    assert.equal(
+      NotificationService.outcome(STATUS.EXPIRED, 1, true, now).lastError,
+      "Push subscription expired",
+    );
+  });
+
+  it("records when a delivery went out", () => {
+    assert.deepEqual(NotificationService.outcome(STATUS.SENT, 2, true, now), {
+      status: "sent",
+      sentAt: now,
+      nextAttemptAt: null,
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_SETTINGS,
+  nextPhase,
+  remainingMs,
+  enterPhase,
+} = require("../utils/pomodoro");
+
+const MINUTE = 60 * 1000;
+
+describe("pomodoro", () => {
+  const timer = (fields) => ({
+    settings: DEFAULT_SETTINGS,
+    phase: "work",
+    cycle: 0,
+    status: "idle",
+    ...fields,
+  });
+
+  it("takes a long break after every fourth work interval", () => {
+    assert.deepEqual(nextPhase(timer({ cycle: 0 })), {
+      phase: "shortBreak",
+      cycle: 1,
+    });
+    assert.deepEqual(nextPhase(timer({ cycle: 3 })), {
+      phase: "longBreak",
+      cycle: 4,
+    });
+  });
+
+  it("starts counting again after the long break", () => {
+    assert.deepEqual(nextPhase(timer({ phase: "longBreak", cycle: 4 })), {
+      phase: "work",
+      cycle: 0,
+    });
+    assert.deepEqual(nextPhase(timer({ phase: "shortBreak", cycle: 2 })), {
+      phase: "work",
+      cycle: 2,
+    });
+  });
+
+  it("runs a started phase for its length", () => {
+    const now = new Date("2030-01-07T09:00:00Z");
+    const state = enterPhase(DEFAULT_SETTINGS, "work", 0, {
+      start: true,
+      now,
+    });
+    assert.equal(state.status, "running");
+    assert.equal(state.phaseEndsAt.toISOString(), "2030-01-07T09:25:00.000Z");
+
+    const later = new Date(now.getTime() + 10 * MINUTE);
+    assert.equal(
+      remainingMs({ ...state, settings: DEFAULT_SETTINGS }, later),
+      15 * MINUTE,
+    );
+  });
+
+  it("keeps the time left while paused", () => {
+    const paused = timer({ status: "paused", remainingMs: 7 * MINUTE });
+    assert.equal(remainingMs(paused, new Date("2031-01-01")), 7 * MINUTE);
+    assert.equal(remainingMs(timer()), 25 * MINUTE);
+  });
+});
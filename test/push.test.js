@@ -0,0 +1,62 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+const subscription = (endpoint = "https://push.example/device-1") => ({
+  endpoint,
+  keys: { p256dh: "public-key", auth: "auth-secret" },
+});
+
+describe("push subscriptions", () => {
+  let t;
+  let user;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+  beforeEach(async () => {
+    await t.reset();
+    user = await t.signUp();
+  });
+  after(() => t?.stop());
+
+  const subscribe = (token, body) =>
+    t.request("POST", "/api/push/subscribe", { token, body });
+
+  const devices = async (token) =>
+    (await t.request("GET", "/api/push/subscriptions", { token })).body;
+
+  it("registers a device once, however often it subscribes", async () => {
+    assert.equal((await subscribe(user.token, subscription())).status, 201);
+    const again = await subscribe(user.token, {
+      subscription: subscription(),
+    });
+    assert.equal(again.status, 201);
+    assert.equal(again.body.devices, 1);
+  });
+
+  it("moves a device to whoever subscribed on it last", async () => {
+    const other = await t.signUp({ email: "other@example.com" });
+    await subscribe(user.token, subscription());
+    await subscribe(other.token, subscription());
+
+    assert.deepEqual(await devices(user.token), []);
+    assert.equal((await devices(other.token)).length, 1);
+  });
+
+  it("removes a device by endpoint", async () => {
+    await subscribe(user.token, subscription());
+    const removed = await t.request("POST", "/api/push/unsubscribe", {
+      token: user.token,
+      body: { endpoint: subscription().endpoint },
+    });
+    assert.equal(removed.status, 200);
+    assert.deepEqual(await devices(user.token), []);
+
+    const missing = await t.request("POST", "/api/push/unsubscribe", {
+      token: user.token,
+      body: { endpoint: subscription().endpoint },
+    });
+    assert.equal(missing.status, 404);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { lockoutMs, parseLimit } = require("../utils/rateLimit");
+const rateLimiter = require("../services/rateLimiter");
+const { createMemoryStore } = require("../services/rateLimitStore");
+
+const MINUTE = 60 * 1000;
+
+describe("lockoutMs", () => {
+  it("doesn't lock before the fifth failure in a row", () => {
+    for (let failures = 0; failures < 5; failures++) {
+      assert.equal(lockoutMs(failures), 0);
+    }
+  });
+
+  it("doubles the lock with each further failure, up to an hour", () => {
+    assert.equal(lockoutMs(5), MINUTE);
+    assert.equal(lockoutMs(6), 2 * MINUTE);
+    assert.equal(lockoutMs(7), 4 * MINUTE);
+    assert.equal(lockoutMs(11), 60 * MINUTE);
+    assert.equal(lockoutMs(30), 60 * MINUTE);
+  });
+});
+
+describe("parseLimit", () => {
+  it("reads max/window limits", () => {
+    assert.deepEqual(parseLimit("10/15m"), { max: 10, windowMs: 15 * MINUTE });
+    assert.deepEqual(parseLimit("3/1h"), { max: 3, windowMs: 60 * MINUTE });
+  });
+
+  it("returns null for limits it can't read", () => {
+    assert.equal(parseLimit("ten/15m"), null);
+    assert.equal(parseLimit("10/15 weeks"), null);
+    assert.equal(parseLimit("10"), null);
+  });
+});
+
+describe("rateLimiter.limit", () => {
+  beforeEach(() => rateLimiter.useStore(createMemoryStore()));
+
+  // Just enough of Express's req/res for the middleware
+  const call = (middleware, ip = "203.0.113.7") =>
+    new Promise((resolve) => {
+      const res = {
+        locals: {},
+        headers: {},
+        set(headers, value) {
+          if (typeof headers === "string") this.headers[headers] = value;
+          else Object.assign(this.headers, headers);
+          return this;
+        },
+        status(code) {
+          this.statusCode = code;
+          return this;
+        },
+        json(body) {
+          resolve({ status: this.statusCode, headers: this.headers, body });
+        },
+      };
+      middleware({ ip }, res, () =>
+        resolve({ status: "next", headers: res.headers }),
+      );
+    });
+
+  it("turns requests away once the limit is used up", async () => {
+    const limit = rateLimiter.limit({ name: "test-ip", limit: "2/1m" });
+
+    assert.equal((await call(limit)).status, "next");
+    const last = await call(limit);
+    assert.equal(last.status, "next");
+    assert.equal(last.headers["RateLimit-Remaining"], "0");
+
+    const refused = await call(limit);
+    assert.equal(refused.status, 429);
+    assert.ok(Number(refused.headers["Retry-After"]) > 0);
+
+    // Each address has its own count
+    assert.equal((await call(limit, "198.51.100.1")).status, "next");
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseRRule,
+  normalizeRecurrence,
+  nextOccurrence,
+} = require("../utils/recurrence");
+const Reminder = require("../models/Reminder");
+const { advanceRecurrence } = require("../services/reminderEngine");
+
+const OWNER = "64b7f0c2a1b2c3d4e5f60718";
+
+describe("recurrence rules", () => {
+  it("parses the supported RRULE parts", () => {
+    assert.deepEqual(
+      normalizeRecurrence("RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20300630"),
+      {
+        freq: "weekly",
+        interval: 1,
+        byWeekday: ["MO", "WE"],
+        byMonthDay: [],
+        until: "2030-06-30",
+        count: undefined,
+        rrule: "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20300630",
+      },
+    );
+  });
+
+  it("rejects malformed and unsupported parts with a readable error", () => {
+    assert.throws(() => parseRRule("FREQ"), /Invalid RRULE part "FREQ"/);
+    assert.throws(() => parseRRule("FREQ=DAILY;COUNT="), /Invalid RRULE part/);
+    assert.throws(() => parseRRule("FREQ=DAILY;BYSETPOS=1"), /Unsupported/);
+    assert.throws(() => normalizeRecurrence({ freq: "hourly" }), /frequency/);
+  });
+
+  it("steps weekly rules through the chosen weekdays", () => {
+    const rule = normalizeRecurrence({
+      freq: "weekly",
+      byWeekday: ["MO", "FR"],
+    });
+    // 2030-01-07 is a Monday
+    assert.equal(nextOccurrence(rule, "2030-01-07"), "2030-01-11");
+    assert.equal(nextOccurrence(rule, "2030-01-11"), "2030-01-14");
+  });
+
+  it("skips months too short for the day", () => {
+    const rule = normalizeRecurrence({ freq: "monthly" });
+    assert.equal(nextOccurrence(rule, "2030-01-31"), "2030-03-31");
+  });
+
+  it("ends the series at UNTIL and COUNT", () => {
+    const until = normalizeRecurrence("FREQ=DAILY;UNTIL=20300102");
+    assert.equal(nextOccurrence(until, "2030-01-01"), "2030-01-02");
+    assert.equal(nextOccurrence(until, "2030-01-02"), null);
+
+    const count = normalizeRecurrence("FREQ=DAILY;COUNT=2");
+    assert.equal(nextOccurrence(count, "2030-01-01", 1), "2030-01-02");
+    assert.equal(nextOccurrence(count, "2030-01-02", 2), null);
+  });
+});
+
+describe("advanceRecurrence", () => {
+  const reminder = (fields) =>
+    new Reminder({
+      owner: OWNER,
+      id: "r1",
+      time: "09:00",
+      isActive: true,
+      triggered: true,
+      ...fields,
+    });
+
+  it("re-arms a fired reminder for its next occurrence", () => {
+    const fired = reminder({
+      date: "2030-01-07",
+      recurrence: normalizeRecurrence({ freq: "daily" }),
+    });
+    assert.equal(
+      advanceRecurrence(fired, new Date("2030-01-07T09:00:00Z"), "UTC"),
+      true,
+    );
+    assert.equal(fired.date, "2030-01-08");
+    assert.equal(fired.triggered, false);
+    assert.equal(fired.occurrenceCount, 1);
+  });
+
+  it("skips occurrences that passed while nothing was running", () => {
+    const fired = reminder({
+      date: "2030-01-01",
+      recurrence: normalizeRecurrence({ freq: "daily" }),
+    });
+    advanceRecurrence(fired, new Date("2030-01-05T12:00:00Z"), "UTC");
+    assert.equal(fired.date, "2030-01-06");
+  });
+
+  it("leaves a finished series triggered", () => {
+    const fired = reminder({
+      date: "2030-01-01",
+      recurrence: normalizeRecurrence("FREQ=DAILY;COUNT=1"),
+    });
+    assert.equal(
+      advanceRecurrence(fired, new Date("2030-01-01T09:00:00Z"), "UTC"),
+      false,
+    );
+    assert.equal(fired.triggered, true);
+    assert.equal(fired.date, "2030-01-01");
+  });
+
+  it("does nothing for one-shot reminders", () => {
+    const fired = reminder({ date: "2030-01-01" });
+    assert.equal(advanceRecurrence(fired, new Date(), "UTC"), false);
+    assert.equal(fired.triggered, true);
+  });
+});
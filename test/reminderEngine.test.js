@@ -0,0 +1,187 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const Reminder = require("../models/Reminder");
+const NotificationService = require("../services");
+const {
+  fireIfDue,
+  newReminderResults,
+  carryReminderState,
+  snoozeReminder,
+} = require("../services/reminderEngine");
+const { normalizeRecurrence } = require("../utils/recurrence");
+
+const user = { _id: "64b7f0c2a1b2c3d4e5f60718", timezone: "UTC" };
+
+const reminder = (fields) =>
+  new Reminder({
+    owner: user._id,
+    id: "r1",
+    label: "Flashcards",
+    time: "09:00",
+    isActive: true,
+    triggered: false,
+    ...fields,
+  });
+
+describe("fireIfDue", () => {
+  afterEach(() => mock.restoreAll());
+
+  // No database here: every claim succeeds
+  const claimSucceeds = () =>
+    mock.method(Reminder, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  it("leaves a reminder that isn't due alone", async () => {
+    const claim = claimSucceeds();
+    const results = newReminderResults();
+    const due = reminder({ date: "2030-01-07" });
+
+    const fired = await fireIfDue(
+      user,
+      due,
+      new Date("2030-01-07T08:59:00Z"),
+      results,
+    );
+    assert.equal(fired, false);
+    assert.equal(claim.mock.callCount(), 0);
+  });
+
+  it("still moves the reminder on when delivery throws", async () => {
+    claimSucceeds();
+    mock.method(NotificationService, "sendUserNotification", async () => {
+      throw new Error("connection reset");
+    });
+    mock.method(console, "error", () => {});
+
+    const results = newReminderResults();
+    const due = reminder({
+      date: "2030-01-07",
+      recurrence: normalizeRecurrence({ freq: "daily" }),
+    });
+
+    const fired = await fireIfDue(
+      user,
+      due,
+      new Date("2030-01-07T09:00:00Z"),
+      results,
+    );
+    assert.equal(fired, true);
+    assert.equal(results.triggered, 1);
+    assert.match(results.errors[0], /connection reset/);
+    // Re-armed for tomorrow rather than stuck as triggered
+    assert.equal(due.date, "2030-01-08");
+    assert.equal(due.triggered, false);
+  });
+
+  it("doesn't send a reminder another sweep already claimed", async () => {
+    mock.method(Reminder, "updateOne", async () => ({ modifiedCount: 0 }));
+    const send = mock.method(NotificationService, "sendUserNotification");
+
+    const fired = await fireIfDue(
+      user,
+      reminder({ date: "2030-01-07" }),
+      new Date("2030-01-07T09:00:00Z"),
+      newReminderResults(),
+    );
+    assert.equal(fired, false);
+    assert.equal(send.mock.callCount(), 0);
+  });
+});
+
+describe("carryReminderState", () => {
+  const fired = () =>
+    reminder({
+      date: "2030-01-07",
+      triggered: true,
+      notifiedAt: new Date("2030-01-07T09:00:00Z"),
+      snoozeCount: 3,
+      recurrence: normalizeRecurrence({ freq: "daily", count: 5 }),
+      occurrenceCount: 2,
+    });
+
+  it("keeps the engine's state through an edit of the label", () => {
+    const stored = fired();
+    const previous = stored.toObject();
+    stored.set({ label: "Past papers", snoozeCount: 0, triggered: false });
+    carryReminderState(previous, stored);
+
+    assert.equal(stored.label, "Past papers");
+    assert.equal(stored.triggered, true);
+    assert.equal(stored.snoozeCount, 3);
+    assert.equal(stored.occurrenceCount, 2);
+  });
+
+  it("re-arms a reminder moved to another time", () => {
+    const stored = fired();
+    const moved = reminder({
+      date: "2030-01-09",
+      recurrence: normalizeRecurrence({ freq: "daily", count: 5 }),
+    });
+    carryReminderState(stored, moved);
+
+    assert.equal(moved.triggered, false);
+    assert.equal(moved.snoozeCount, 0);
+    assert.equal(moved.notifiedAt, undefined);
+    // Same series, so it has still used up two of its five
+    assert.equal(moved.occurrenceCount, 2);
+  });
+
+  it("counts a changed series from the start", () => {
+    const stored = fired();
+    const previous = stored.toObject();
+    stored.set({ recurrence: normalizeRecurrence({ freq: "weekly" }) });
+    carryReminderState(previous, stored);
+
+    assert.equal(stored.occurrenceCount, 0);
+    assert.equal(stored.triggered, false);
+  });
+});
+
+describe("snoozeReminder", () => {
+  const now = new Date("2030-01-07T09:05:00Z");
+  const inMinutes = (minutes) => new Date(now.getTime() + minutes * 60000);
+  const goneOff = () =>
+    reminder({
+      date: "2030-01-07",
+      triggered: true,
+      notifiedAt: new Date("2030-01-07T09:00:00Z"),
+    });
+
+  it("holds a one-off reminder back until the snooze ends", () => {
+    const due = goneOff();
+    assert.equal(snoozeReminder(user, due, inMinutes(10), now), null);
+    assert.equal(due.triggered, false);
+    assert.equal(due.snoozeCount, 1);
+    assert.equal(due.triggerAt, "2030-01-07T09:15:00.000Z");
+  });
+
+  it("stops at the user's snooze limit", () => {
+    const due = goneOff();
+    const limited = { ...user, maxSnoozes: 2 };
+    assert.equal(snoozeReminder(limited, due, inMinutes(10), now), null);
+    assert.equal(snoozeReminder(limited, due, inMinutes(20), now), null);
+    assert.deepEqual(snoozeReminder(limited, due, inMinutes(30), now), {
+      status: 409,
+      error: "Snooze limit of 2 reached",
+    });
+    assert.equal(due.snoozeCount, 2);
+  });
+
+  it("has no limit when maxSnoozes is 0", () => {
+    const due = goneOff();
+    due.snoozeCount = 50;
+    assert.equal(
+      snoozeReminder({ ...user, maxSnoozes: 0 }, due, inMinutes(5), now),
+      null,
+    );
+  });
+
+  it("refuses snoozes in the past or more than a week out", () => {
+    const due = goneOff();
+    assert.equal(snoozeReminder(user, due, inMinutes(-1), now).status, 400);
+    assert.equal(
+      snoozeReminder(user, due, inMinutes(8 * 24 * 60), now).status,
+      400,
+    );
+    assert.equal(due.snoozeCount, 0);
+  });
+});
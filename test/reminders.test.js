@@ -0,0 +1,225 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+const MINUTE = 60 * 1000;
+
+describe("reminders", () => {
+  let t;
+  let user;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+  beforeEach(async () => {
+    await t.reset();
+    user = await t.signUp();
+    t.mailer.sent.length = 0;
+  });
+  after(() => t?.stop());
+
+  // The cron trigger runs the same sweep the job scheduler would
+  const runChecks = async () => {
+    const res = await t.request("POST", "/api/reminders/check", {
+      headers: { "x-cron-secret": process.env.CRON_SECRET },
+    });
+    assert.equal(res.status, 200);
+    return res.body;
+  };
+
+  const addReminder = async (fields) => {
+    const res = await t.request("POST", "/api/reminders/add", {
+      token: user.token,
+      body: { isActive: true, ...fields },
+    });
+    assert.equal(res.status, 200);
+    return res.body.reminder;
+  };
+
+  const getReminder = async (id) => {
+    const res = await t.request("GET", "/api/reminders", { token: user.token });
+    return res.body.find((reminder) => reminder.id === id);
+  };
+
+  it("emails a reminder once its time comes", async () => {
+    // The clock starts at 08:00 UTC
+    const reminder = await addReminder({
+      label: "Physics mock exam",
+      date: "2030-01-07",
+      time: "09:00",
+    });
+    assert.equal(reminder.nextTriggerAt, "2030-01-07T09:00:00.000Z");
+
+    let results = await runChecks();
+    assert.equal(results.triggered, 0);
+    assert.equal(t.mailer.sent.length, 0);
+
+    t.clock.advance(61 * MINUTE);
+    results = await runChecks();
+    assert.equal(results.triggered, 1);
+    assert.equal(results.emailsSent, 1);
+
+    const [email] = t.mailer.to(user.email);
+    assert.match(email.text, /Physics mock exam/);
+    assert.equal((await getReminder(reminder.id)).triggered, true);
+
+    // Nothing goes out twice
+    results = await runChecks();
+    assert.equal(results.triggered, 0);
+    assert.equal(t.mailer.sent.length, 1);
+  });
+
+  it("fires early by the advance notice", async () => {
+    await addReminder({
+      label: "Essay due",
+      date: "2030-01-07",
+      time: "12:00",
+      advanceNotice: 2,
+      advanceUnit: "hours",
+    });
+
+    t.clock.set("2030-01-07T09:59:00Z");
+    assert.equal((await runChecks()).triggered, 0);
+    t.clock.set("2030-01-07T10:00:00Z");
+    assert.equal((await runChecks()).triggered, 1);
+  });
+
+  it("moves a repeating reminder on to its next occurrence", async () => {
+    const reminder = await addReminder({
+      label: "Flashcards",
+      date: "2030-01-07",
+      time: "09:00",
+      recurrence: { freq: "daily" },
+    });
+
+    t.clock.set("2030-01-07T09:00:00Z");
+    assert.equal((await runChecks()).triggered, 1);
+
+    const next = await getReminder(reminder.id);
+    assert.equal(next.triggered, false);
+    assert.equal(next.date, "2030-01-08");
+    assert.equal(next.occurrenceCount, 1);
+
+    t.clock.set("2030-01-08T09:00:00Z");
+    assert.equal((await runChecks()).triggered, 1);
+    assert.equal(t.mailer.to(user.email).length, 2);
+  });
+
+  it("sends a snoozed reminder again when the snooze ends", async () => {
+    const reminder = await addReminder({
+      label: "Revise chapter 4",
+      date: "2030-01-07",
+      time: "08:00",
+    });
+    assert.equal((await runChecks()).triggered, 1);
+
+    const snoozed = await t.request(
+      "POST",
+      `/api/reminders/${reminder.id}/snooze`,
+      { token: user.token, body: { minutes: 15 } },
+    );
+    assert.equal(snoozed.status, 200);
+    assert.equal(snoozed.body.reminder.triggered, false);
+
+    t.clock.advance(14 * MINUTE);
+    assert.equal((await runChecks()).triggered, 0);
+    t.clock.advance(MINUTE);
+    assert.equal((await runChecks()).triggered, 1);
+    assert.equal(t.mailer.to(user.email).length, 2);
+  });
+
+  it("stops snoozing at the user's limit, whatever the client sends", async () => {
+    await t.request("PUT", "/api/user/settings", {
+      token: user.token,
+      body: { maxSnoozes: 1 },
+    });
+    const reminder = await addReminder({
+      label: "Past paper",
+      date: "2030-01-07",
+      time: "08:00",
+    });
+    await runChecks();
+
+    const snooze = () =>
+      t.request("POST", `/api/reminders/${reminder.id}/snooze`, {
+        token: user.token,
+        body: { minutes: 5 },
+      });
+    assert.equal((await snooze()).status, 200);
+    t.clock.advance(5 * MINUTE);
+    await runChecks();
+
+    // The engine's count isn't the client's to reset
+    const edited = await t.request("PUT", `/api/reminders/${reminder.id}`, {
+      token: user.token,
+      body: { label: "Past paper 2", snoozeCount: 0, triggered: false },
+    });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.reminder.snoozeCount, 1);
+
+    const refused = await snooze();
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.error, "Snooze limit of 1 reached");
+  });
+
+  it("won't snooze a reminder that hasn't gone off", async () => {
+    const reminder = await addReminder({
+      label: "Later",
+      date: "2030-01-08",
+      time: "09:00",
+    });
+    const res = await t.request(
+      "POST",
+      `/api/reminders/${reminder.id}/snooze`,
+      { token: user.token, body: { minutes: 15 } },
+    );
+    assert.equal(res.status, 409);
+  });
+
+  it("doesn't email an unconfirmed address", async () => {
+    const registered = await t.request("POST", "/api/register", {
+      body: {
+        name: "Unconfirmed",
+        email: "unconfirmed@example.com",
+        password: "correct horse battery",
+        timezone: "UTC",
+      },
+    });
+    t.mailer.sent.length = 0;
+
+    await t.request("POST", "/api/reminders/add", {
+      token: registered.body.token,
+      body: {
+        label: "Quiet",
+        date: "2030-01-07",
+        time: "08:00",
+        isActive: true,
+      },
+    });
+    const results = await runChecks();
+    assert.equal(results.triggered, 1);
+    assert.equal(t.mailer.sent.length, 0);
+  });
+
+  it("keeps each user's reminders to themselves", async () => {
+    const other = await t.signUp({ email: "other@example.com" });
+    await addReminder({ id: "r1", label: "Mine", date: "2030-01-08" });
+    // Client ids only need to be unique per user
+    const theirs = await t.request("POST", "/api/reminders/add", {
+      token: other.token,
+      body: { id: "r1", label: "Theirs", date: "2030-01-09" },
+    });
+    assert.equal(theirs.status, 200);
+
+    const removed = await t.request("DELETE", "/api/reminders/r1", {
+      token: other.token,
+    });
+    assert.equal(removed.status, 200);
+    assert.equal((await getReminder("r1")).label, "Mine");
+  });
+
+  it("turns the cron trigger away without the secret", async () => {
+    const res = await t.request("POST", "/api/reminders/check");
+    assert.equal(res.status, 401);
+  });
+});
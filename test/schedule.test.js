@@ -0,0 +1,78 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+describe("study schedules", () => {
+  let t;
+  let user;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+  beforeEach(async () => {
+    await t.reset();
+    user = await t.signUp();
+  });
+  after(() => t?.stop());
+
+  // A 10-hour plan due in two weeks, scheduled with session reminders
+  const schedulePlan = async (body = {}) => {
+    const plan = await t.request("POST", "/api/plans", {
+      token: user.token,
+      body: { subject: "Biology", hours: 10, endDate: "2030-01-20" },
+    });
+    const res = await t.request(
+      "POST",
+      `/api/plans/${plan.body._id}/schedule`,
+      { token: user.token, body: { reminders: true, ...body } },
+    );
+    assert.equal(res.status, 200);
+    return res.body;
+  };
+
+  const reminderIds = async () =>
+    (await t.request("GET", "/api/reminders", { token: user.token })).body.map(
+      (reminder) => reminder.id,
+    );
+
+  it("spreads the plan's hours over the days before the end date", async () => {
+    const { sessions, shortfallMinutes } = await schedulePlan();
+    const total = sessions.reduce((sum, session) => sum + session.minutes, 0);
+
+    assert.equal(total, 600);
+    assert.equal(shortfallMinutes, 0);
+    assert.ok(sessions.every((s) => s.day >= "2030-01-07"));
+    assert.ok(sessions.every((s) => s.day <= "2030-01-20"));
+  });
+
+  it("only plans sessions on the chosen weekdays", async () => {
+    const { sessions } = await schedulePlan({ weekdays: ["MO", "WE"] });
+    const weekday = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+    assert.ok(sessions.every((s) => [1, 3].includes(weekday(s.day))));
+  });
+
+  it("keeps schedule reminders when the client replaces its reminders", async () => {
+    await schedulePlan();
+    const scheduled = (await reminderIds()).filter((id) =>
+      id.startsWith("sched-"),
+    );
+    assert.ok(scheduled.length > 0);
+
+    const res = await t.request("POST", "/api/reminders", {
+      token: user.token,
+      body: {
+        reminders: [
+          { id: "own", label: "Own", date: "2030-01-09", time: "10:00" },
+          // Sent back from an earlier GET; ignored
+          { id: scheduled[0], label: "Edited", date: "2030-01-09" },
+        ],
+      },
+    });
+    assert.equal(res.status, 200);
+
+    const ids = await reminderIds();
+    assert.ok(ids.includes("own"));
+    for (const id of scheduled) assert.ok(ids.includes(id));
+    assert.equal(ids.length, scheduled.length + 1);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const scheduler = require("../services/scheduler");
+const Reminder = require("../models/Reminder");
+const { syncReminderJob } = require("../services/reminderEngine");
+
+const user = { _id: "64b7f0c2a1b2c3d4e5f60718", timezone: "UTC" };
+
+describe("scheduler", () => {
+  const saved = {
+    SCHEDULER_ENABLED: process.env.SCHEDULER_ENABLED,
+    VERCEL: process.env.VERCEL,
+  };
+  afterEach(() => {
+    mock.restoreAll();
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  it("stays off on Vercel unless turned on", () => {
+    delete process.env.SCHEDULER_ENABLED;
+    process.env.VERCEL = "1";
+    assert.equal(scheduler.isEnabled(), false);
+
+    process.env.SCHEDULER_ENABLED = "true";
+    assert.equal(scheduler.isEnabled(), true);
+  });
+
+  it("does nothing for reminders until it has started", async () => {
+    assert.equal(scheduler.isRunning(), false);
+    assert.equal(
+      await scheduler.scheduleReminder(user._id, "r1", new Date()),
+      null,
+    );
+    assert.equal(await scheduler.cancelReminder(user._id, "r1"), 0);
+  });
+
+  describe("syncReminderJob", () => {
+    const reminder = (fields) => {
+      const doc = new Reminder({
+        owner: user._id,
+        id: "r1",
+        label: "Flashcards",
+        date: "2030-01-07",
+        time: "09:00",
+        isActive: true,
+        ...fields,
+      });
+      doc.updateTriggerTime(user.timezone);
+      return doc;
+    };
+
+    it("queues an armed reminder's job at its trigger time", async () => {
+      const schedule = mock.method(
+        scheduler,
+        "scheduleReminder",
+        async () => {},
+      );
+      await syncReminderJob(user, reminder());
+
+      const [userId, id, when] = schedule.mock.calls[0].arguments;
+      assert.equal(userId, user._id);
+      assert.equal(id, "r1");
+      assert.equal(when.toISOString(), "2030-01-07T09:00:00.000Z");
+    });
+
+    it("cancels the job of a reminder that is off or has fired", async () => {
+      const cancel = mock.method(scheduler, "cancelReminder", async () => 1);
+      const schedule = mock.method(scheduler, "scheduleReminder");
+
+      await syncReminderJob(user, reminder({ isActive: false }));
+      await syncReminderJob(user, reminder({ triggered: true }));
+      assert.equal(cancel.mock.callCount(), 2);
+      assert.equal(schedule.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+const MINUTE = 60 * 1000;
+
+describe("study sessions", () => {
+  let t;
+  let user;
+  let plan;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+  beforeEach(async () => {
+    await t.reset();
+    user = await t.signUp();
+    plan = (
+      await t.request("POST", "/api/plans", {
+        token: user.token,
+        body: { subject: "History", hours: 2 },
+      })
+    ).body;
+  });
+  after(() => t?.stop());
+
+  const start = () =>
+    t.request("POST", `/api/plans/${plan._id}/sessions/start`, {
+      token: user.token,
+      body: {},
+    });
+
+  const act = (session, action) =>
+    t.request(
+      "POST",
+      `/api/plans/${plan._id}/sessions/${session._id}/${action}`,
+      { token: user.token },
+    );
+
+  it("times a session without the paused stretch", async () => {
+    const { body: session } = await start();
+
+    t.clock.advance(20 * MINUTE);
+    assert.equal((await act(session, "pause")).status, 200);
+    t.clock.advance(30 * MINUTE);
+    assert.equal((await act(session, "resume")).status, 200);
+    t.clock.advance(10 * MINUTE);
+
+    const stopped = await act(session, "stop");
+    assert.equal(stopped.status, 200);
+    assert.equal(stopped.body.session.durationMinutes, 30);
+    assert.equal(stopped.body.loggedMinutes, 30);
+    assert.equal(stopped.body.hoursCompletion, 25);
+
+    const { body: me } = await t.request("GET", "/api/user", {
+      token: user.token,
+    });
+    assert.deepEqual(me.studyPlans[0].studiedDays, ["2030-01-07"]);
+  });
+
+  it("counts a session left running for at most a day", async () => {
+    const { body: session } = await start();
+    t.clock.advance(3 * 24 * 60 * MINUTE);
+
+    const stopped = await act(session, "stop");
+    assert.equal(stopped.status, 200);
+    assert.equal(stopped.body.session.durationMinutes, 24 * 60);
+    assert.equal(stopped.body.loggedMinutes, 24 * 60);
+  });
+
+  it("allows one open session at a time", async () => {
+    assert.equal((await start()).status, 201);
+    assert.equal((await start()).status, 409);
+  });
+
+  it("won't pause a session twice", async () => {
+    const { body: session } = await start();
+    assert.equal((await act(session, "pause")).status, 200);
+    assert.equal((await act(session, "pause")).status, 409);
+  });
+});
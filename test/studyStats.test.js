@@ -0,0 +1,68 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  computeStreaks,
+  periodCounts,
+  planCompletion,
+  weekStart,
+} = require("../utils/studyStats");
+
+describe("study stats", () => {
+  const today = "2030-01-09";
+
+  it("keeps the streak alive until the day is over", () => {
+    const days = ["2030-01-06", "2030-01-07", "2030-01-08"];
+    assert.deepEqual(computeStreaks(days, today), { current: 3, longest: 3 });
+    assert.deepEqual(computeStreaks([...days, today], today), {
+      current: 4,
+      longest: 4,
+    });
+  });
+
+  it("breaks the streak after a missed day but remembers the longest", () => {
+    const days = ["2030-01-01", "2030-01-02", "2030-01-03", "2030-01-07"];
+    assert.deepEqual(computeStreaks(days, today), { current: 0, longest: 3 });
+  });
+
+  it("ignores duplicates, malformed and future days", () => {
+    const days = ["2030-01-08", "2030-01-08", "not a day", "2030-01-20"];
+    assert.deepEqual(computeStreaks(days, today), { current: 1, longest: 1 });
+  });
+
+  it("counts studied days per Monday-based week and per month", () => {
+    const days = ["2029-12-31", "2030-01-02", "2030-01-08"];
+    const { weekly, monthly } = periodCounts(days, today, {
+      weeks: 2,
+      months: 2,
+    });
+    assert.deepEqual(weekly, [
+      { weekStart: "2029-12-31", days: 2 },
+      { weekStart: "2030-01-07", days: 1 },
+    ]);
+    assert.deepEqual(monthly, [
+      { month: "2029-12", days: 1 },
+      { month: "2030-01", days: 2 },
+    ]);
+    assert.equal(weekStart("2030-01-13"), "2030-01-07");
+  });
+
+  it("measures a plan against its days per week", () => {
+    // Two weeks at three days a week: six days expected
+    const plan = {
+      startDate: new Date("2030-01-07T00:00:00Z"),
+      endDate: new Date("2030-01-20T00:00:00Z"),
+      daysPerWeek: 3,
+      studiedDays: ["2030-01-07", "2030-01-08", "2030-01-09"],
+    };
+    assert.deepEqual(planCompletion(plan, today), {
+      studiedDays: 3,
+      expectedDays: 6,
+      expectedToDate: 2,
+      completion: 50,
+    });
+    assert.equal(
+      planCompletion({ ...plan, completed: true }, today).completion,
+      100,
+    );
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+const User = require("../models/User");
+
+describe("targets", () => {
+  let t;
+  let user;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+  beforeEach(async () => {
+    await t.reset();
+    user = await t.signUp();
+  });
+  after(() => t?.stop());
+
+  const listTargets = async () =>
+    (await t.request("GET", "/api/targets", { token: user.token })).body;
+
+  it("keeps only one primary target", async () => {
+    const first = await t.request("POST", "/api/targets", {
+      token: user.token,
+      body: { name: "Mocks", date: "2030-02-01" },
+    });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.primary, true);
+
+    const second = await t.request("POST", "/api/targets", {
+      token: user.token,
+      body: { name: "Finals", date: "2030-06-01", primary: true },
+    });
+    assert.equal(second.body.primary, true);
+
+    const primaries = (await listTargets()).filter((target) => target.primary);
+    assert.deepEqual(
+      primaries.map((target) => target.name),
+      ["Finals"],
+    );
+  });
+
+  it("moves an account's legacy target into its targets", async () => {
+    await User.updateOne(
+      { email: user.email },
+      { $set: { targetDate: new Date("2030-03-01"), targetName: "Old exam" } },
+    );
+
+    const [target] = await listTargets();
+    assert.equal(target.name, "Old exam");
+    assert.equal(target.primary, true);
+
+    const stored = await User.findOne({ email: user.email });
+    assert.equal(stored.targetDate, undefined);
+  });
+
+  it("reschedules plans when the legacy target date moves", async () => {
+    await t.request("POST", "/api/target-date", {
+      token: user.token,
+      body: { targetName: "Exam", targetDate: "2030-01-21" },
+    });
+    const [target] = await listTargets();
+
+    const plan = await t.request("POST", "/api/plans", {
+      token: user.token,
+      body: { subject: "Chemistry", hours: 20, targetId: target._id },
+    });
+    const scheduled = await t.request(
+      "POST",
+      `/api/plans/${plan.body._id}/schedule`,
+      { token: user.token, body: {} },
+    );
+    assert.equal(scheduled.status, 200);
+    const lastDay = (sessions) =>
+      sessions
+        .map((s) => s.day)
+        .sort()
+        .pop();
+    assert.ok(lastDay(scheduled.body.sessions) <= "2030-01-20");
+
+    const moved = await t.request("PUT", "/api/target-date", {
+      token: user.token,
+      body: { targetName: "Exam", targetDate: "2030-02-28" },
+    });
+    assert.equal(moved.status, 200);
+
+    const schedule = await t.request(
+      "GET",
+      `/api/plans/${plan.body._id}/schedule`,
+      { token: user.token },
+    );
+    assert.ok(lastDay(schedule.body.sessions) > "2030-01-20");
+  });
+});
@@ -0,0 +1,27 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const templates = require("../services/templateService");
+
+describe("email templates", () => {
+  it("renders every template with its sample data", () => {
+    for (const name of templates.names()) {
+      const { html, text } = templates.render(name, templates.sample(name));
+      assert.match(html, /<html/i, name);
+      assert.ok(text.trim().length > 0, name);
+    }
+  });
+
+  it("fills in and escapes the context", () => {
+    const { html, text } = templates.render("reminder", {
+      ...templates.sample("reminder"),
+      label: "Lab report <draft>",
+    });
+    assert.match(html, /Lab report &lt;draft&gt;/);
+    assert.match(text, /Lab report <draft>/);
+    assert.doesNotMatch(text, /<(div|td|span)/);
+  });
+
+  it("refuses templates that don't exist", () => {
+    assert.throws(() => templates.render("nope"), /Unknown email template/);
+  });
+});
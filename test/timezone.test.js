@@ -0,0 +1,60 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  todayInZone,
+  calendarDaysUntil,
+} = require("../utils/timezone");
+const { getTriggerTime } = require("../utils/reminderUtils");
+
+describe("timezone", () => {
+  it("reads a wall-clock time in the user's zone", () => {
+    assert.equal(
+      zonedTimeToUtc("2030-01-07", "09:00", "Asia/Colombo").toISOString(),
+      "2030-01-07T03:30:00.000Z",
+    );
+    assert.equal(
+      zonedTimeToUtc("2030-07-01", "09:00", "Europe/London").toISOString(),
+      "2030-07-01T08:00:00.000Z",
+    );
+  });
+
+  it("shifts a time skipped by the spring-forward gap by its size", () => {
+    // Clocks in New York jump from 02:00 to 03:00 on 2030-03-10; 02:30
+    // comes out as 01:30 EST
+    assert.equal(
+      zonedTimeToUtc("2030-03-10", "02:30", "America/New_York").toISOString(),
+      "2030-03-10T06:30:00.000Z",
+    );
+  });
+
+  it("takes the day from the user's zone, not the server's", () => {
+    const now = new Date("2030-01-07T23:30:00Z");
+    assert.equal(todayInZone("UTC", now), "2030-01-07");
+    assert.equal(todayInZone("Asia/Tokyo", now), "2030-01-08");
+    assert.equal(todayInZone("America/Los_Angeles", now), "2030-01-07");
+  });
+
+  it("counts calendar days rather than 24-hour periods", () => {
+    const now = new Date("2030-01-07T23:00:00Z");
+    assert.equal(
+      calendarDaysUntil(new Date("2030-01-08T01:00:00Z"), "UTC", now),
+      1,
+    );
+  });
+
+  it("fires reminders at their time in the owner's zone", () => {
+    const reminder = { date: "2030-01-07", time: "09:00", advanceNotice: "0" };
+    assert.equal(
+      getTriggerTime(reminder, "America/New_York").toISOString(),
+      "2030-01-07T14:00:00.000Z",
+    );
+  });
+
+  it("rejects names that aren't IANA zones", () => {
+    assert.equal(isValidTimeZone("Europe/Paris"), true);
+    assert.equal(isValidTimeZone("Mars/Olympus"), false);
+    assert.equal(isValidTimeZone(""), false);
+  });
+});
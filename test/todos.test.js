@@ -0,0 +1,72 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers");
+
+describe("todos", () => {
+  let t;
+  let user;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+  beforeEach(async () => {
+    await t.reset();
+    user = await t.signUp();
+  });
+  after(() => t?.stop());
+
+  it("adds, updates, toggles and deletes a todo", async () => {
+    const created = await t.request("POST", "/api/todos", {
+      token: user.token,
+      body: { text: "Past papers", priority: "high" },
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.completed, false);
+    const { id } = created.body;
+
+    const updated = await t.request("PUT", `/api/todos/${id}`, {
+      token: user.token,
+      body: { text: "Past papers 2019-2023" },
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.text, "Past papers 2019-2023");
+    assert.equal(updated.body.priority, "high");
+
+    const toggled = await t.request("PATCH", `/api/todos/${id}/toggle`, {
+      token: user.token,
+    });
+    assert.equal(toggled.body.completed, true);
+
+    const deleted = await t.request("DELETE", `/api/todos/${id}`, {
+      token: user.token,
+    });
+    assert.equal(deleted.status, 200);
+
+    const list = await t.request("GET", "/api/todos", { token: user.token });
+    assert.deepEqual(list.body, []);
+  });
+
+  it("requires the todo text", async () => {
+    const res = await t.request("POST", "/api/todos", {
+      token: user.token,
+      body: { priority: "low" },
+    });
+    assert.equal(res.status, 400);
+  });
+
+  it("keeps each user's todos to themselves", async () => {
+    const created = await t.request("POST", "/api/todos", {
+      token: user.token,
+      body: { text: "Mine" },
+    });
+    const other = await t.signUp({ email: "other@example.com" });
+
+    const list = await t.request("GET", "/api/todos", { token: other.token });
+    assert.deepEqual(list.body, []);
+
+    const res = await t.request("DELETE", `/api/todos/${created.body.id}`, {
+      token: other.token,
+    });
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { validate, optional } = require("../utils/validate");
+const schemas = require("../utils/requestSchemas");
+
+// Runs the middleware on a bare request; resolves to the 400 body, or to
+// the request once it passes
+const run = (schema, fields) =>
+  new Promise((resolve) => {
+    const req = { params: {}, query: {}, ...fields };
+    const res = {
+      status: () => res,
+      json: (body) => resolve({ rejected: body }),
+    };
+    validate(schema)(req, res, () => resolve({ passed: req }));
+  });
+
+describe("validate", () => {
+  it("drops fields the schema doesn't declare", async () => {
+    const body = {
+      label: "Essay",
+      date: "2030-01-09",
+      snoozeCount: 0,
+      triggered: false,
+      owner: "someone else",
+    };
+    const { passed } = await run(schemas.reminders.add, { body });
+    assert.deepEqual(passed.body, { label: "Essay", date: "2030-01-09" });
+  });
+
+  it("reports every bad field with its path", async () => {
+    const { rejected } = await run(schemas.reminders.replace, {
+      body: {
+        reminders: [
+          { label: "", date: "2030-02-30" },
+          { label: "Fine", date: "2030-01-09", advanceUnit: "weeks" },
+        ],
+      },
+    });
+    assert.equal(rejected.error, "Validation failed");
+    assert.deepEqual(
+      rejected.fields.map((field) => field.field),
+      ["reminders[0].label", "reminders[0].date", "reminders[1].advanceUnit"],
+    );
+  });
+
+  it("coerces query strings but not JSON bodies", async () => {
+    const schema = {
+      query: { limit: { type: "integer", min: 1 } },
+      body: { hours: { type: "number" } },
+    };
+    const { passed } = await run(schema, {
+      query: { limit: "20" },
+      body: { hours: 3 },
+    });
+    assert.equal(passed.body.hours, 3);
+
+    const { rejected } = await run(schema, { body: { hours: "3" } });
+    assert.deepEqual(rejected.fields, [
+      { field: "hours", message: "must be a number" },
+    ]);
+  });
+
+  it("makes every field optional for partial updates", () => {
+    const fields = optional({ name: { type: "string", required: true } });
+    assert.equal(fields.name.required, false);
+  });
+});
@@ -0,0 +1,114 @@
+// utils/accountArchive.js
+// The account export format (GET /api/user/export): shape checks run before
+// anything is imported, and the remapping of client-facing `id` strings so
+// imported reminders and todos never collide with ones already there.
+
+const crypto = require("crypto");
+const { checkFields } = require("./validate");
+
+const ARCHIVE_FORMAT = "mindstreamer-export";
+// Bump when the archive layout changes; imports read this version and older
+const SCHEMA_VERSION = 1;
+const IMPORT_MODES = ["merge", "replace"];
+const COLLECTIONS = [
+  "targets",
+  "studyPlans",
+  "reminders",
+  "todos",
+  "studySessions",
+];
+const MAX_ITEMS = 5000;
+
+const isObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Problems with the archive as a list of messages (empty when it's usable).
+// `itemSchemas` maps collections to the fields schema each of their items
+// must meet (the archive group in utils/requestSchemas.js).
+function validateArchive(archive, itemSchemas = {}) {
+  if (!isObject(archive)) return ["Expected an export file (JSON object)"];
+  if (archive.format !== ARCHIVE_FORMAT) {
+    return [`Not a MindStreamer export (format must be "${ARCHIVE_FORMAT}")`];
+  }
+
+  const version = archive.schemaVersion;
+  if (!Number.isInteger(version) || version < 1) {
+    return ["schemaVersion must be a positive whole number"];
+  }
+  if (version > SCHEMA_VERSION) {
+    return [
+      `Export uses schema version ${version}; this server reads up to ` +
+        `version ${SCHEMA_VERSION}`,
+    ];
+  }
+
+  const problems = [];
+  for (const section of ["profile", "settings"]) {
+    if (archive[section] !== undefined && !isObject(archive[section])) {
+      problems.push(`${section} must be an object`);
+    }
+  }
+  for (const collection of COLLECTIONS) {
+    const items = archive[collection];
+    if (items === undefined) continue;
+    if (!Array.isArray(items)) {
+      problems.push(`${collection} must be a list`);
+    } else if (items.length > MAX_ITEMS) {
+      problems.push(`${collection} has more than ${MAX_ITEMS} entries`);
+    } else if (!items.every(isObject)) {
+      problems.push(`Every entry in ${collection} must be an object`);
+    }
+  }
+
+  const blackoutDates = archive.settings?.blackoutDates;
+  if (
+    blackoutDates !== undefined &&
+    !(
+      Array.isArray(blackoutDates) &&
+      blackoutDates.every((day) => /^\d{4}-\d{2}-\d{2}$/.test(day))
+    )
+  ) {
+    problems.push("settings.blackoutDates must be a list of YYYY-MM-DD dates");
+  }
+  if (problems.length) return problems;
+
+  const errors = [];
+  for (const collection of COLLECTIONS) {
+    if (!itemSchemas[collection]) continue;
+    (archive[collection] || []).forEach((item, i) =>
+      checkFields(itemSchemas[collection], item, `${collection}[${i}]`, errors),
+    );
+  }
+  return errors.map(({ field, message }) => `${field} ${message}`);
+}
+
+const newId = () => `imp-${crypto.randomBytes(6).toString("hex")}`;
+
+// Gives every item an `id` that isn't in `taken` (a Set, updated as ids are
+// handed out). Items keep their id when it's free; duplicates and missing
+// ids get a fresh one. Returns the items and { oldId: newId } for the ids
+// that changed.
+function remapIds(items, taken) {
+  const changed = {};
+  const remapped = items.map((item) => {
+    const original = item.id === undefined ? "" : String(item.id);
+    let id = original;
+    if (!id || taken.has(id)) {
+      do id = newId();
+      while (taken.has(id));
+      if (original) changed[original] = id;
+    }
+    taken.add(id);
+    return { ...item, id };
+  });
+  return { items: remapped, changed };
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  SCHEMA_VERSION,
+  IMPORT_MODES,
+  COLLECTIONS,
+  validateArchive,
+  remapIds,
+};
@@ -0,0 +1,45 @@
+// utils/authTokens.js
+// Short-lived JWT access tokens paired with opaque refresh tokens. Access
+// tokens carry the session id (`sid`) so revoking a session locks its device
+// out straight away, not just once the token runs out.
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const newRefreshToken = () => crypto.randomBytes(32).toString("base64url");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Sliding expiry: each refresh pushes it out again. `cap` (e.g. a guest
+// account's deletion time) is never exceeded.
+function refreshExpiry(now = new Date(), cap) {
+  const expiry = new Date(now.getTime() + REFRESH_TOKEN_DAYS * DAY_MS);
+  return cap && cap < expiry ? new Date(cap) : expiry;
+}
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign(
+    { _id: userId.toString(), sid: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL },
+  );
+}
+
+// Seconds until the access token expires, for clients scheduling a refresh
+function accessTokenLifetime(token) {
+  const { iat, exp } = jwt.decode(token);
+  return exp - iat;
+}
+
+module.exports = {
+  newRefreshToken,
+  hashToken,
+  refreshExpiry,
+  signAccessToken,
+  accessTokenLifetime,
+};
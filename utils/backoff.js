@@ -0,0 +1,14 @@
+// utils/backoff.js
+// Exponential backoff for notification retries: base, 2×base, 4×base, …
+// capped at maxMs, with up to 20% random jitter so a burst of failures
+// (e.g. a mail server outage) doesn't retry in lockstep.
+
+function retryDelayMs(
+  attempt,
+  { baseMs = 60 * 1000, maxMs = 6 * 60 * 60 * 1000, random = Math.random } = {},
+) {
+  const delay = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+  return Math.round(delay * (1 + 0.2 * random()));
+}
+
+module.exports = { retryDelayMs };
@@ -0,0 +1,18 @@
+// utils/clock.js
+// The current time for the reminder engine and the rest of the app that
+// schedules things (digests, study schedules and sessions, Pomodoro timers,
+// the calendar feed, delivery retries, guest expiry). createApp({ clock })
+// swaps in another source so tests can move time on instead of waiting for
+// it. Sign-in, tokens and rate limits always use the system clock.
+
+let source = null;
+
+const now = () => (source ? new Date(source.now()) : new Date());
+
+// `clock` is { now() } returning a Date or epoch milliseconds; null goes
+// back to the system clock
+function useClock(clock) {
+  source = clock || null;
+}
+
+module.exports = { now, useClock };
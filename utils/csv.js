@@ -0,0 +1,26 @@
+// utils/csv.js
+// Minimal RFC 4180 writer for the data exports. Cells that a spreadsheet
+// would evaluate as a formula are prefixed with a quote.
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  if (value === undefined || value === null) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ header, value: (row) => any }]
+function toCsv(columns, rows) {
+  const lines = [columns.map((column) => escapeCell(column.header))];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCell(column.value(row))));
+  }
+  return lines.map((cells) => cells.join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = { escapeCell, toCsv };
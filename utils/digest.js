@@ -0,0 +1,37 @@
+// utils/digest.js
+// When the next study digest is due. A digest goes out at sendTime (wall
+// clock in the user's timezone) every day, or once a week on `weekday`.
+
+const {
+  zonedTimeToUtc,
+  todayInZone,
+  parseDay,
+  addDays,
+} = require("./timezone");
+const { WEEKDAYS } = require("./recurrence");
+
+const CADENCES = ["daily", "weekly"];
+const isValidSendTime = (time) =>
+  typeof time === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+
+// First send time strictly after `now`
+function nextDigestAt(digest, timezone, now = new Date()) {
+  const today = todayInZone(timezone, now);
+
+  // Eight days covers a weekly digest whose slot today has just passed
+  for (let i = 0; i <= 7; i++) {
+    const day = addDays(today, i);
+    if (
+      digest.cadence === "weekly" &&
+      WEEKDAYS[parseDay(day).getUTCDay()] !== digest.weekday
+    ) {
+      continue;
+    }
+
+    const at = zonedTimeToUtc(day, digest.sendTime, timezone);
+    if (at > now) return at;
+  }
+  return null;
+}
+
+module.exports = { CADENCES, isValidSendTime, nextDigestAt };
@@ -0,0 +1,60 @@
+// utils/guest.js
+// Guest account lifetime and quotas. A guest is deleted GUEST_TTL_HOURS after
+// it's created unless it upgrades to a registered account
+// (POST /api/guest/upgrade).
+
+const clock = require("./clock");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const GUEST_TTL_HOURS = Number(process.env.GUEST_TTL_HOURS) || 24;
+// How long before deletion responses start carrying a warning
+const GUEST_WARNING_HOURS = Number(process.env.GUEST_WARNING_HOURS) || 2;
+const GUEST_LIMITS = {
+  reminders: Number(process.env.GUEST_MAX_REMINDERS) || 20,
+  plans: Number(process.env.GUEST_MAX_PLANS) || 5,
+};
+const LIMIT_LABELS = { reminders: "reminders", plans: "study plans" };
+
+const guestExpiry = (createdAt = clock.now()) =>
+  new Date(new Date(createdAt).getTime() + GUEST_TTL_HOURS * HOUR_MS);
+
+// Guests created before guestExpiresAt existed expire a TTL after creation
+const expiresAt = (user) => user.guestExpiresAt || guestExpiry(user.createdAt);
+
+// What the client shows a guest: when the account goes, the quotas, and a
+// warning once deletion is close. null for registered users.
+function guestStatus(user, now = clock.now()) {
+  if (!user.isGuest) return null;
+
+  const expiry = expiresAt(user);
+  const msLeft = expiry.getTime() - now.getTime();
+  return {
+    expiresAt: expiry,
+    limits: GUEST_LIMITS,
+    warning:
+      msLeft <= GUEST_WARNING_HOURS * HOUR_MS
+        ? `This guest account and everything in it will be deleted ` +
+          `${msLeft > 0 ? `at ${expiry.toISOString()}` : "shortly"}. ` +
+          `Create an account to keep your data.`
+        : null,
+  };
+}
+
+// Message for a guest going over the quota for `kind`, or null
+function quotaError(kind, total) {
+  const limit = GUEST_LIMITS[kind];
+  if (total <= limit) return null;
+  return (
+    `Guest accounts can have up to ${limit} ${LIMIT_LABELS[kind]}. ` +
+    `Create an account to add more.`
+  );
+}
+
+module.exports = {
+  GUEST_TTL_HOURS,
+  GUEST_LIMITS,
+  guestExpiry,
+  guestStatus,
+  quotaError,
+};
@@ -0,0 +1,54 @@
+// utils/htmlToText.js
+// Plain-text alternative for the HTML emails. Good enough for our own
+// table-based templates; not a general-purpose HTML converter.
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  "#39": "'",
+  "#x27": "'",
+  "#x3D": "=",
+  "#x60": "`",
+  nbsp: " ",
+  middot: "·",
+  mdash: "—",
+  ndash: "–",
+};
+
+const decode = (text) =>
+  text.replace(/&(#?\w+);/g, (match, name) => ENTITIES[name] ?? match);
+
+function htmlToText(html) {
+  return (
+    decode(
+      html
+        .replace(/<(head|style|script|title)[^>]*>[\s\S]*?<\/\1>/gi, "")
+        // Source formatting isn't content; line breaks come from the tags below
+        .replace(/\s+/g, " ")
+        // Links go on their own line and keep their target: "Snooze: https://..."
+        .replace(
+          /<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi,
+          (match, href, label) => {
+            const text = label.replace(/<[^>]+>/g, "").trim();
+            return `\n${!text || text === href ? href : `${text}: ${href}`}\n`;
+          },
+        )
+        .replace(/<br\s*\/?>/gi, "\n")
+        .replace(/<li[^>]*>/gi, "\n- ")
+        .replace(/<\/td>\s*<td[^>]*>/gi, ": ")
+        .replace(/<\/tr>/gi, "\n")
+        .replace(/<\/(p|div|h[1-6]|table|ul|ol)>/gi, "\n\n")
+        .replace(/<[^>]+>/g, ""),
+    )
+      .split("\n")
+      // A cell separator left in front of a link line
+      .map((line) => line.trim().replace(/^:\s*/, ""))
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim()
+  );
+}
+
+module.exports = { htmlToText };
@@ -0,0 +1,210 @@
+// utils/ics.js
+// Minimal iCalendar (RFC 5545) writer and VEVENT reader — enough for the
+// subscription feed and for importing exam timetables, not a full parser.
+
+const { zonedTimeToUtc, isValidTimeZone } = require("./timezone");
+
+// TEXT values escape backslash, semicolon, comma and newlines
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (match, char) =>
+    char === "n" || char === "N" ? "\n" : char,
+  );
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    // Don't split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(bytes.subarray(start, end).toString("utf8"));
+    start = end;
+  }
+  return parts.join("\r\n ");
+}
+
+// 20261019T062620Z
+const formatUtc = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+const formatDay = (day) => day.replace(/-/g, "");
+
+// event: { uid, summary, description?, categories?, url?,
+//   start: { day, time?, timezone? } — all-day when there's no time,
+//   durationMinutes? (timed events, default 30),
+//   rrule?, alarmMinutes? (VALARM this long before the start) }
+function formatEvent(event, stamp) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(stamp)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+
+  const { day, time, timezone } = event.start;
+  if (time) {
+    const local = `${formatDay(day)}T${time.replace(":", "")}00`;
+    lines.push(
+      timezone ? `DTSTART;TZID=${timezone}:${local}` : `DTSTART:${local}`,
+      `DURATION:PT${event.durationMinutes || 30}M`,
+    );
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatDay(day)}`);
+  }
+
+  if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.categories) {
+    lines.push(`CATEGORIES:${escapeText(event.categories)}`);
+  }
+  if (event.url) lines.push(`URL:${event.url}`);
+
+  if (event.alarmMinutes !== undefined && event.alarmMinutes !== null) {
+    lines.push(
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      `TRIGGER:-PT${Math.max(0, Math.round(event.alarmMinutes))}M`,
+      "END:VALARM",
+    );
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+function formatCalendar({ name, timezone, events }, now = new Date()) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//MindStreamer//Study calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Suggested refresh interval for subscribing clients
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+  ];
+  if (timezone) lines.push(`X-WR-TIMEZONE:${timezone}`);
+
+  for (const event of events) lines.push(...formatEvent(event, now));
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// "NAME;PARAM=x;PARAM2=y:value" -> { name, params, value }
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ":" && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(";");
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split("=");
+    params[key.toUpperCase()] = rest.join("=").replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// DTSTART/DTEND -> { day, time?, at? (instant, when it can be known) }
+function parseDateValue({ value, params }, fallbackZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(
+    value.trim(),
+  );
+  if (!match) throw new Error(`Unsupported date "${value}"`);
+
+  const [, y, m, d, hh, mm, ss, utc] = match;
+  const day = `${y}-${m}-${d}`;
+  if (params.VALUE === "DATE" || hh === undefined) return { day };
+
+  const time = `${hh}:${mm}`;
+  if (utc) {
+    return { day, time, at: new Date(Date.UTC(y, m - 1, d, hh, mm, ss || 0)) };
+  }
+  // Floating times and unknown (e.g. Windows) zone names fall back to the
+  // importing user's zone
+  const zone = isValidTimeZone(params.TZID) ? params.TZID : fallbackZone;
+  return { day, time, at: zonedTimeToUtc(day, time, zone) };
+}
+
+// VEVENTs of an .ics document as
+// [{ uid, summary, description, location, start, end, rrule }]. Events that
+// can't be read are returned with an `error` instead.
+function parseEvents(text, { timezone } = {}) {
+  const lines = String(text)
+    .replace(/\r\n/g, "\n")
+    // Unfold continuation lines
+    .replace(/\n[ \t]/g, "")
+    .split("\n");
+
+  const events = [];
+  let current = null;
+  let depth = 0;
+
+  for (const line of lines) {
+    const upper = line.trim().toUpperCase();
+    if (upper === "BEGIN:VEVENT") {
+      current = { raw: {} };
+      depth = 0;
+      continue;
+    }
+    if (!current) continue;
+
+    // Skip nested components such as VALARM
+    if (upper.startsWith("BEGIN:")) depth++;
+    else if (upper.startsWith("END:") && depth > 0) depth--;
+    else if (upper === "END:VEVENT") {
+      events.push(current.raw);
+      current = null;
+    } else if (depth === 0) {
+      const property = parseContentLine(line);
+      if (property) current.raw[property.name] = property;
+    }
+  }
+
+  return events.map((raw) => {
+    const text = (name) => raw[name] && unescapeText(raw[name].value).trim();
+    const event = {
+      uid: text("UID"),
+      summary: text("SUMMARY"),
+      description: text("DESCRIPTION"),
+      location: text("LOCATION"),
+      rrule: raw.RRULE?.value,
+    };
+    try {
+      if (!raw.DTSTART) throw new Error("Event has no start");
+      event.start = parseDateValue(raw.DTSTART, timezone);
+      if (raw.DTEND) event.end = parseDateValue(raw.DTEND, timezone);
+    } catch (err) {
+      event.error = err.message;
+    }
+    return event;
+  });
+}
+
+module.exports = { escapeText, foldLine, formatCalendar, parseEvents };
@@ -0,0 +1,81 @@
+// utils/pomodoro.js
+// Pure Pomodoro state transitions; the timer document in models/PomodoroTimer.js
+// holds the state, services/pomodoroTimers.js persists it and runs the side
+// effects.
+
+const PHASES = ["work", "shortBreak", "longBreak"];
+
+const DEFAULT_SETTINGS = {
+  workMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  cyclesBeforeLongBreak: 4,
+  autoStart: false,
+};
+
+// Allowed [min, max] for each numeric setting
+const POMODORO_LIMITS = {
+  workMinutes: [1, 180],
+  shortBreakMinutes: [1, 60],
+  longBreakMinutes: [1, 120],
+  cyclesBeforeLongBreak: [1, 12],
+};
+
+function phaseDurationMs(settings, phase) {
+  const minutes = {
+    work: settings.workMinutes,
+    shortBreak: settings.shortBreakMinutes,
+    longBreak: settings.longBreakMinutes,
+  }[phase];
+  return minutes * 60 * 1000;
+}
+
+// Phase after `timer.phase` completes, and the work-interval count that goes
+// with it (reset after a long break)
+function nextPhase(timer) {
+  if (timer.phase === "work") {
+    const cycle = (timer.cycle || 0) + 1;
+    return {
+      phase:
+        cycle >= timer.settings.cyclesBeforeLongBreak
+          ? "longBreak"
+          : "shortBreak",
+      cycle,
+    };
+  }
+  return {
+    phase: "work",
+    cycle: timer.phase === "longBreak" ? 0 : timer.cycle,
+  };
+}
+
+// Milliseconds left in the current phase at `now`
+function remainingMs(timer, now = new Date()) {
+  if (timer.status === "running") {
+    return Math.max(0, new Date(timer.phaseEndsAt) - now);
+  }
+  return timer.remainingMs ?? phaseDurationMs(timer.settings, timer.phase);
+}
+
+// State for entering `phase`, started straight away or left ready to start
+function enterPhase(settings, phase, cycle, { start, now = new Date() }) {
+  const duration = phaseDurationMs(settings, phase);
+  return {
+    phase,
+    cycle,
+    status: start ? "running" : "idle",
+    phaseStartedAt: start ? now : null,
+    phaseEndsAt: start ? new Date(now.getTime() + duration) : null,
+    remainingMs: duration,
+  };
+}
+
+module.exports = {
+  PHASES,
+  DEFAULT_SETTINGS,
+  POMODORO_LIMITS,
+  phaseDurationMs,
+  nextPhase,
+  remainingMs,
+  enterPhase,
+};
@@ -0,0 +1,68 @@
+// utils/rateLimit.js
+// Limit strings, RateLimit-* headers and the failed-login lockout schedule
+// used by services/rateLimiter.js and the login route.
+
+const { retryDelayMs } = require("./backoff");
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 86400000 };
+
+// "30s", "15m", "1h", "1d" -> milliseconds (null when unreadable)
+function parseDuration(value) {
+  const match = /^(\d+)\s*([smhd])$/.exec(String(value).trim());
+  return match ? Number(match[1]) * UNIT_MS[match[2]] : null;
+}
+
+// "10/15m" -> { max: 10, windowMs: 900000 } (null when unreadable)
+function parseLimit(value) {
+  const [max, window] = String(value).split("/");
+  const windowMs = parseDuration(window);
+  if (!/^\d+$/.test(max?.trim()) || !windowMs) return null;
+  return { max: Number(max), windowMs };
+}
+
+// Environment variable overriding a limit: "login-ip" -> RATE_LIMIT_LOGIN_IP
+const envName = (name) =>
+  `RATE_LIMIT_${name.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}`;
+
+const secondsUntil = (date, now = new Date()) =>
+  Math.max(1, Math.ceil((new Date(date).getTime() - now.getTime()) / 1000));
+
+// Headers from the IETF RateLimit header fields draft, for a counter at
+// `count` of `max` per `windowMs`
+function rateLimitHeaders({ max, windowMs, count, resetAt }, now) {
+  return {
+    "RateLimit-Limit": String(max),
+    "RateLimit-Remaining": String(Math.max(0, max - count)),
+    "RateLimit-Reset": String(secondsUntil(resetAt, now)),
+    "RateLimit-Policy": `${max};w=${Math.round(windowMs / 1000)}`,
+  };
+}
+
+// Progressive lockout: LOGIN_LOCK_AFTER failed sign-ins in a row lock the
+// account for LOGIN_LOCK_MINUTES, and each further failure doubles that, up
+// to LOGIN_LOCK_MAX_MINUTES. A run of failures is forgotten after a day
+// without one.
+const LOGIN_LOCK_AFTER = Number(process.env.LOGIN_LOCK_AFTER) || 5;
+const LOGIN_LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 1;
+const LOGIN_LOCK_MAX_MINUTES = Number(process.env.LOGIN_LOCK_MAX_MINUTES) || 60;
+const LOGIN_FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+// How long `failures` consecutive failed sign-ins lock the account for
+function lockoutMs(failures) {
+  if (failures < LOGIN_LOCK_AFTER) return 0;
+  return retryDelayMs(failures - LOGIN_LOCK_AFTER + 1, {
+    baseMs: LOGIN_LOCK_MINUTES * UNIT_MS.m,
+    maxMs: LOGIN_LOCK_MAX_MINUTES * UNIT_MS.m,
+    random: () => 0,
+  });
+}
+
+module.exports = {
+  LOGIN_FAILURE_MEMORY_MS,
+  parseDuration,
+  parseLimit,
+  envName,
+  secondsUntil,
+  rateLimitHeaders,
+  lockoutMs,
+};
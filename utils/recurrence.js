@@ -0,0 +1,230 @@
+// utils/recurrence.js
+// Recurrence rules for repeating reminders. Works on the reminder's
+// "YYYY-MM-DD" date string only — the time of day never changes between
+// occurrences — so no timezone maths is involved here.
+//
+// A rule looks like:
+//   { freq: "daily" | "weekly" | "monthly" | "yearly",
+//     interval: 1,                 // every N days/weeks/months/years
+//     byWeekday: ["MO", "WE"],     // weekly only; defaults to the start day
+//     byMonthDay: [1, 15],         // monthly only; defaults to the start day
+//     until: "2026-06-30",         // last allowed date (inclusive)
+//     count: 10 }                  // total number of occurrences
+// or an iCalendar RRULE string such as "FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20260630".
+
+const { parseDay, formatDay } = require("./timezone");
+
+const FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysInMonth(year, monthIndex) {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+// Accepts "20260630", "20260630T235959Z" or "2026-06-30"
+function parseRRuleDate(value) {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(value);
+  if (!match) throw new Error(`Invalid UNTIL value "${value}"`);
+  return `${match[1]}-${match[2]}-${match[3]}`;
+}
+
+// Parses the RRULE subset we support: FREQ, INTERVAL, BYDAY (plain
+// weekdays, no ordinals), BYMONTHDAY, UNTIL and COUNT.
+function parseRRule(rrule) {
+  const rule = {};
+  const body = rrule.trim().replace(/^RRULE:/i, "");
+
+  for (const part of body.split(";").filter(Boolean)) {
+    const [key, value] = part.split("=");
+    if (!value) throw new Error(`Invalid RRULE part "${part}"`);
+    switch (key.toUpperCase()) {
+      case "FREQ":
+        rule.freq = value.toLowerCase();
+        break;
+      case "INTERVAL":
+        rule.interval = Number(value);
+        break;
+      case "BYDAY":
+        rule.byWeekday = value.toUpperCase().split(",");
+        break;
+      case "BYMONTHDAY":
+        rule.byMonthDay = value.split(",").map(Number);
+        break;
+      case "UNTIL":
+        rule.until = parseRRuleDate(value);
+        break;
+      case "COUNT":
+        rule.count = Number(value);
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part "${key}"`);
+    }
+  }
+
+  return rule;
+}
+
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byWeekday?.length) parts.push(`BYDAY=${rule.byWeekday.join(",")}`);
+  if (rule.byMonthDay?.length)
+    parts.push(`BYMONTHDAY=${rule.byMonthDay.join(",")}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, "")}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(";");
+}
+
+// Validates a rule (object or RRULE string) and returns it in canonical
+// object form, with `rrule` filled in. Throws with a readable message on
+// anything we can't honour.
+function normalizeRecurrence(input) {
+  const rule =
+    typeof input === "string"
+      ? parseRRule(input)
+      : input.rrule && !input.freq
+        ? parseRRule(input.rrule)
+        : { ...input };
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    throw new Error(
+      `Recurrence frequency must be one of ${FREQUENCIES.join(", ")}`,
+    );
+  }
+
+  rule.interval = rule.interval === undefined ? 1 : Number(rule.interval);
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+    throw new Error("Recurrence interval must be a positive whole number");
+  }
+
+  rule.byWeekday = (rule.byWeekday || []).map((day) =>
+    String(day).toUpperCase(),
+  );
+  if (rule.byWeekday.some((day) => !WEEKDAYS.includes(day))) {
+    throw new Error(`Weekdays must be among ${WEEKDAYS.join(", ")}`);
+  }
+
+  rule.byMonthDay = (rule.byMonthDay || []).map(Number);
+  if (
+    rule.byMonthDay.some((day) => !Number.isInteger(day) || day < 1 || day > 31)
+  ) {
+    throw new Error("Month days must be between 1 and 31");
+  }
+
+  if (rule.until && !/^\d{4}-\d{2}-\d{2}$/.test(rule.until)) {
+    rule.until = parseRRuleDate(String(rule.until));
+  }
+
+  if (rule.count !== undefined && rule.count !== null) {
+    rule.count = Number(rule.count);
+    if (!Number.isInteger(rule.count) || rule.count < 1) {
+      throw new Error("Recurrence count must be a positive whole number");
+    }
+  } else {
+    delete rule.count;
+  }
+
+  return {
+    freq: rule.freq,
+    interval: rule.interval,
+    byWeekday: rule.byWeekday,
+    byMonthDay: rule.byMonthDay,
+    until: rule.until || undefined,
+    count: rule.count,
+    rrule: formatRRule(rule),
+  };
+}
+
+function nextDaily(current, rule) {
+  return new Date(current.getTime() + rule.interval * DAY_MS);
+}
+
+function nextWeekly(current, rule) {
+  const days = rule.byWeekday.length
+    ? rule.byWeekday.map((day) => WEEKDAYS.indexOf(day))
+    : [current.getUTCDay()];
+
+  // Weeks run Monday–Sunday, as in RRULE's default WKST=MO
+  const weekStart = (date) =>
+    new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+  const currentWeek = weekStart(current).getTime();
+
+  // Looking at interval+1 weeks always reaches the next matching day
+  for (let i = 1; i <= 7 * (rule.interval + 1); i++) {
+    const candidate = new Date(current.getTime() + i * DAY_MS);
+    const weeksApart = Math.round(
+      (weekStart(candidate).getTime() - currentWeek) / (7 * DAY_MS),
+    );
+    if (weeksApart % rule.interval !== 0) continue;
+    if (days.includes(candidate.getUTCDay())) return candidate;
+  }
+  return null;
+}
+
+function nextMonthly(current, rule) {
+  const days = rule.byMonthDay.length
+    ? [...rule.byMonthDay].sort((a, b) => a - b)
+    : [current.getUTCDate()];
+
+  // Later days in the same month first, then every interval-th month.
+  // Months too short for a given day are skipped, as RFC 5545 does.
+  for (let step = 0; step <= 12 * rule.interval; step += rule.interval) {
+    const year = current.getUTCFullYear();
+    const month = current.getUTCMonth() + step;
+    const last = daysInMonth(year, month);
+
+    for (const day of days) {
+      if (day > last) continue;
+      const candidate = new Date(Date.UTC(year, month, day));
+      if (candidate > current) return candidate;
+    }
+  }
+  return null;
+}
+
+function nextYearly(current, rule) {
+  // Feb 29 only recurs in leap years
+  for (
+    let step = rule.interval;
+    step <= 8 * rule.interval;
+    step += rule.interval
+  ) {
+    const year = current.getUTCFullYear() + step;
+    if (current.getUTCDate() > daysInMonth(year, current.getUTCMonth()))
+      continue;
+    return new Date(
+      Date.UTC(year, current.getUTCMonth(), current.getUTCDate()),
+    );
+  }
+  return null;
+}
+
+const NEXT = {
+  daily: nextDaily,
+  weekly: nextWeekly,
+  monthly: nextMonthly,
+  yearly: nextYearly,
+};
+
+// Date string of the occurrence after `dateStr`, or null once the series is
+// over. `occurrences` is how many have already fired, counted against COUNT.
+function nextOccurrence(rule, dateStr, occurrences = 0) {
+  if (rule.count && occurrences >= rule.count) return null;
+
+  const next = NEXT[rule.freq](parseDay(dateStr), rule);
+  if (!next) return null;
+
+  const nextStr = formatDay(next);
+  if (rule.until && nextStr > rule.until) return null;
+  return nextStr;
+}
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  parseRRule,
+  formatRRule,
+  normalizeRecurrence,
+  nextOccurrence,
+};
@@ -0,0 +1,46 @@
+// utils/reminderLinks.js
+// Signed one-click snooze/dismiss links carried by reminder notifications.
+// The token names the user, the reminder and the occurrence it was sent for,
+// so a link from an old email can't act on a later occurrence.
+
+const jwt = require("jsonwebtoken");
+
+const ACTIONS = ["snooze", "dismiss"];
+const LINK_TTL = "2d";
+
+function createActionToken(user, reminder, action) {
+  return jwt.sign(
+    {
+      purpose: "reminder-action",
+      sub: user._id.toString(),
+      rid: reminder.id,
+      act: action,
+      occ: reminder.notifiedAt ? new Date(reminder.notifiedAt).getTime() : 0,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: LINK_TTL },
+  );
+}
+
+// Throws (jwt errors) on a bad or expired token
+function verifyActionToken(token) {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  if (payload.purpose !== "reminder-action" || !ACTIONS.includes(payload.act)) {
+    throw new Error("Not a reminder action token");
+  }
+  return payload;
+}
+
+// { snoozeUrl, dismissUrl }, or {} when API_URL isn't configured and we
+// can't build absolute links
+function buildActionLinks(user, reminder) {
+  const base = process.env.API_URL;
+  if (!base || !reminder.id) return {};
+
+  const url = (action) =>
+    `${base.replace(/\/$/, "")}/api/reminders/actions/${createActionToken(user, reminder, action)}`;
+
+  return { snoozeUrl: url("snooze"), dismissUrl: url("dismiss") };
+}
+
+module.exports = { createActionToken, verifyActionToken, buildActionLinks };
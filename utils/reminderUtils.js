@@ -3,6 +3,12 @@
 // Keep this in sync with client/src/utils/reminderUtils.js — same logic,
 // duplicated because the server needs it independent of any browser tab.
 
+const {
+  zonedTimeToUtc,
+  formatInZone,
+  calendarDaysUntil,
+} = require("./timezone");
+
 function getAdvanceMs(reminder) {
   const amount = parseInt(reminder.advanceNotice, 10) || 0;
   const unit = reminder.advanceUnit || "hours";
@@ -16,4 +22,48 @@ function getAdvanceMs(reminder) {
   return amount * (multipliers[unit] || multipliers.hours);
 }
 
-module.exports = { getAdvanceMs };
+// When the reminder should fire: a pending snooze wins, otherwise the event
+// time (wall clock in the user's timezone) minus the advance notice
+function getTriggerTime(reminder, timezone) {
+  if (reminder.triggerAt) return new Date(reminder.triggerAt);
+
+  const reminderDateTime = zonedTimeToUtc(
+    reminder.date,
+    reminder.time,
+    timezone,
+  );
+  return new Date(reminderDateTime.getTime() - getAdvanceMs(reminder));
+}
+
+// Values shown to the user in every reminder notification (email, SMS, push),
+// so all channels agree on the wording.
+function describeReminder(reminder, { now = new Date(), timezone } = {}) {
+  // Use the browser-computed values — don't reparse date/time here
+  const eventAt = reminder.eventAt
+    ? new Date(reminder.eventAt)
+    : zonedTimeToUtc(reminder.date, reminder.time, timezone); // fallback for old reminders only
+
+  const displayDateTime =
+    reminder.displayDateTime || formatInZone(eventAt, timezone);
+
+  const diffDays = calendarDaysUntil(eventAt, timezone, now);
+  const remaining =
+    diffDays > 0
+      ? `${diffDays} day${diffDays === 1 ? "" : "s"} remaining`
+      : "Today";
+
+  const reminderTime =
+    parseInt(reminder.advanceNotice, 10) > 0
+      ? `${reminder.advanceNotice} ${reminder.advanceUnit || "hours"} before`
+      : "At event time";
+
+  return {
+    label: reminder.label,
+    eventAt,
+    displayDateTime,
+    remaining,
+    reminderTime,
+  };
+}
+
+module.exports = { getAdvanceMs, getTriggerTime, describeReminder };
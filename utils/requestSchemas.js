@@ -0,0 +1,480 @@
+// utils/requestSchemas.js
+// What each route accepts, for validate() in utils/validate.js. Grouped by
+// area, as the routers in routes/ are; every schema is
+// { params?, query?, body? }.
+
+const { CHANNELS } = require("../services");
+const { WEEKDAYS } = require("./recurrence");
+const { CADENCES, isValidSendTime } = require("./digest");
+const { POMODORO_LIMITS } = require("./pomodoro");
+const { IMPORT_MODES } = require("./accountArchive");
+const { ROLES } = require("./roles");
+const { optional } = require("./validate");
+
+const PRIORITIES = ["low", "medium", "high"];
+const ADVANCE_UNITS = ["minutes", "hours", "days"];
+
+// Building blocks ----------------------------------------------------------
+
+const text = (max, extra) => ({ type: "string", max, ...extra });
+const id = { type: "objectId" };
+const day = { type: "string", format: "date" };
+const datetime = { type: "string", format: "datetime" };
+const dayOrDatetime = { type: "string", format: ["date", "datetime"] };
+const nullableDatetime = { ...datetime, nullable: true };
+const flag = { type: "boolean" };
+// Reminders and todos are addressed by a client-facing string id
+const clientId = text(100);
+// Optional link to one of the user's targets; null or "" unlinks
+const targetRef = { type: "objectId", nullable: true };
+const password = text(128);
+const email = text(254, { format: "email", trim: true });
+
+// "HH:MM" as used for digests and schedule sessions (no seconds)
+const sendTime = {
+  type: "string",
+  check: (value) =>
+    isValidSendTime(value) ? undefined : "must be HH:MM (24-hour)",
+};
+
+// ?before=<createdAt of the last item>&limit= paging
+const page = {
+  before: datetime,
+  limit: { type: "integer", min: 1, max: 100 },
+};
+
+const params = (...names) =>
+  Object.fromEntries(names.map((name) => [name, id]));
+
+// Auth ---------------------------------------------------------------------
+
+const auth = {
+  register: {
+    body: {
+      name: text(100, { required: true, trim: true }),
+      email: { ...email, required: true },
+      password: { ...password, required: true },
+      timezone: { type: "string", format: "timezone" },
+    },
+  },
+  login: {
+    body: {
+      email: text(254, { required: true, trim: true }),
+      password: { ...password, required: true },
+    },
+  },
+  guestLogin: {
+    body: { timezone: { type: "string", format: "timezone" } },
+  },
+  upgrade: {
+    body: {
+      name: text(100, { trim: true }),
+      email: { ...email, required: true },
+      password: { ...password, required: true },
+    },
+  },
+  refresh: { body: { refreshToken: text(200, { required: true }) } },
+  logout: { body: { refreshToken: text(200) } },
+  session: { params: params("sessionId") },
+  revokeSessions: { query: { keepCurrent: flag } },
+  forgotPassword: { body: { email: { ...email, required: true } } },
+  resetPassword: {
+    body: {
+      email: { ...email, required: true },
+      code: {
+        required: true,
+        oneOf: [
+          { type: "string", pattern: /^\d{6}$/ },
+          { type: "integer", min: 0, max: 999999 },
+        ],
+        message: "must be the 6-digit code from the email",
+      },
+      newPassword: { ...password, required: true },
+    },
+  },
+};
+
+// Reminders ----------------------------------------------------------------
+
+const recurrenceRule = {
+  type: "object",
+  fields: {
+    freq: text(20),
+    interval: { type: "integer", min: 1, coerce: true },
+    byWeekday: { type: "array", max: 7, items: text(2) },
+    byMonthDay: {
+      type: "array",
+      max: 31,
+      items: { type: "integer", min: 1, max: 31, coerce: true },
+    },
+    until: text(40),
+    count: { type: "integer", min: 1, coerce: true, nullable: true },
+    rrule: text(500),
+  },
+};
+
+// Details (frequencies, weekday codes, UNTIL dates) are checked by
+// normalizeRecurrence, which has the better messages for them
+const recurrence = {
+  nullable: true,
+  oneOf: [text(500), recurrenceRule],
+  message: "must be an RRULE string or a recurrence object",
+};
+
+// Whether a reminder has fired, its snoozes and how far a series has got are
+// the reminder engine's to track (services/reminderEngine.js); clients use
+// the snooze and dismiss routes instead
+const REMINDER_FIELDS = {
+  id: clientId,
+  label: text(200, { required: true }),
+  date: { ...day, required: true },
+  time: { type: "string", format: "time", nullable: true },
+  advanceNotice: { type: "integer", min: 0, coerce: true, nullable: true },
+  advanceUnit: { type: "string", enum: ADVANCE_UNITS, nullable: true },
+  isActive: flag,
+  eventAt: nullableDatetime,
+  displayDateTime: text(200),
+  planId: { type: "objectId", nullable: true },
+  targetId: targetRef,
+  recurrence,
+  createdAt: datetime,
+};
+
+// Updates can't rename a reminder
+const REMINDER_UPDATE_FIELDS = optional(REMINDER_FIELDS);
+delete REMINDER_UPDATE_FIELDS.id;
+
+const reminders = {
+  replace: {
+    body: {
+      reminders: {
+        type: "array",
+        required: true,
+        max: 1000,
+        items: { type: "object", fields: REMINDER_FIELDS },
+      },
+    },
+  },
+  add: { body: REMINDER_FIELDS },
+  update: { body: REMINDER_UPDATE_FIELDS },
+  snooze: {
+    body: {
+      minutes: { type: "integer", min: 1, max: 1440, coerce: true },
+      until: datetime,
+    },
+  },
+  send: {
+    body: {
+      reminderId: clientId,
+      label: text(200),
+      targetName: text(200),
+      targetDate: dayOrDatetime,
+      reminderTime: text(50),
+    },
+  },
+  history: {
+    query: {
+      channel: { type: "string", enum: CHANNELS },
+      status: text(20),
+      type: text(50),
+      ...page,
+    },
+  },
+};
+
+// Push subscriptions -------------------------------------------------------
+
+const SUBSCRIPTION_FIELDS = {
+  endpoint: text(2000),
+  keys: {
+    type: "object",
+    fields: { p256dh: text(200), auth: text(200) },
+  },
+  expirationTime: { type: "number", nullable: true },
+};
+
+const push = {
+  // The subscription either as is or wrapped in { subscription }
+  subscribe: {
+    body: {
+      subscription: { type: "object", fields: SUBSCRIPTION_FIELDS },
+      ...SUBSCRIPTION_FIELDS,
+    },
+  },
+  unsubscribe: { body: { endpoint: text(2000), id } },
+};
+
+// User settings, export and import -----------------------------------------
+
+const user = {
+  settings: {
+    body: {
+      name: text(100, { trim: true }),
+      avatar: text(100000),
+      // The notification address; null or "" goes back to the login email
+      email: { ...email, nullable: true },
+      emailNotifications: flag,
+      mobileNotifications: flag,
+      phone: text(30, { nullable: true }),
+      background: text(2000, { nullable: true }),
+      timezone: { type: "string", format: "timezone" },
+      maxSnoozes: {
+        type: "integer",
+        min: 0,
+        max: 100,
+        message: "must be a whole number from 0 (unlimited) to 100",
+      },
+      snoozeMinutes: { type: "integer", min: 1, max: 1440 },
+      digest: {
+        type: "object",
+        fields: {
+          enabled: flag,
+          cadence: { type: "string", enum: CADENCES },
+          sendTime,
+          weekday: { type: "string", enum: WEEKDAYS },
+        },
+      },
+      blackoutDates: { type: "array", max: 1000, items: day },
+      dailyStudyMinutes: { type: "integer", min: 15, max: 1440 },
+    },
+  },
+  account: { params: params("userId") },
+  export: {
+    query: {
+      format: { type: "string", enum: ["json", "csv"] },
+      type: { type: "string", enum: ["todos", "sessions"] },
+    },
+  },
+  // The body is the archive itself, checked by validateArchive against the
+  // archive schemas below
+  import: { query: { mode: { type: "string", enum: IMPORT_MODES } } },
+};
+
+// Admin --------------------------------------------------------------------
+
+const admin = {
+  users: {
+    query: {
+      q: text(200),
+      role: { type: "string", enum: ROLES },
+      guest: flag,
+      disabled: flag,
+      ...page,
+    },
+  },
+  role: {
+    body: { role: { type: "string", enum: ROLES, required: true } },
+  },
+  disable: { body: { reason: text(500) } },
+  deliveries: {
+    query: {
+      status: { type: "string", enum: ["dead", "retrying"] },
+      channel: { type: "string", enum: CHANNELS },
+      type: text(50),
+      userId: id,
+      ...page,
+    },
+  },
+  audit: {
+    query: { actor: id, userId: id, action: text(100), ...page },
+  },
+};
+
+// Targets ------------------------------------------------------------------
+
+const TARGET_FIELDS = {
+  name: text(200, { required: true, trim: true }),
+  date: { ...dayOrDatetime, required: true },
+  color: { type: "string", format: "color" },
+  notes: text(2000, { nullable: true }),
+  primary: flag,
+  // The plans working towards this target (replaces the current set)
+  plans: { type: "array", max: 500, items: id },
+};
+
+const targets = {
+  create: { body: TARGET_FIELDS },
+  update: { params: params("targetId"), body: optional(TARGET_FIELDS) },
+  remove: { params: params("targetId") },
+  legacy: {
+    body: {
+      targetDate: { ...dayOrDatetime, required: true },
+      targetName: text(200, { required: true, trim: true }),
+    },
+  },
+};
+
+// Study plans, schedules and sessions --------------------------------------
+
+const PLAN_FIELDS = {
+  subject: text(200, { required: true, trim: true }),
+  topic: text(200),
+  hours: { type: "number", min: 0, max: 10000, coerce: true, nullable: true },
+  daysPerWeek: { type: "integer", min: 1, max: 7, coerce: true },
+  startDate: { ...dayOrDatetime, nullable: true },
+  endDate: { ...dayOrDatetime, nullable: true },
+  priority: { type: "string", enum: PRIORITIES },
+  resources: text(5000),
+  milestone: text(500),
+  notes: text(5000),
+  completed: flag,
+  studiedDays: { type: "array", max: 5000, items: day },
+  targetId: targetRef,
+};
+
+const plan = params("planId");
+const planSession = params("planId", "sessionId");
+
+const plans = {
+  create: { body: PLAN_FIELDS },
+  update: { params: plan, body: optional(PLAN_FIELDS) },
+  plan: { params: plan },
+  schedule: {
+    params: plan,
+    body: {
+      weekdays: {
+        type: "array",
+        max: 7,
+        items: { type: "string", enum: WEEKDAYS },
+      },
+      sessionTime: sendTime,
+      reminders: flag,
+    },
+  },
+  calendar: { query: { from: day, to: day } },
+  startSession: { params: plan, body: { note: text(1000) } },
+  logSession: {
+    params: plan,
+    body: {
+      startedAt: { ...datetime, required: true },
+      endedAt: datetime,
+      minutes: { type: "integer", min: 1, max: 1440, coerce: true },
+      note: text(1000),
+    },
+  },
+  session: { params: planSession },
+  stats: {
+    query: {
+      weeks: { type: "integer", min: 1, max: 104 },
+      months: { type: "integer", min: 1, max: 36 },
+    },
+  },
+};
+
+// Calendar -----------------------------------------------------------------
+
+const calendar = {
+  // The body is the .ics text (or JSON { ics }), so only the options here
+  import: {
+    query: {
+      as: { type: "string", enum: ["reminders", "targets"] },
+      advanceNotice: { type: "integer", min: 0 },
+      advanceUnit: { type: "string", enum: ADVANCE_UNITS },
+    },
+  },
+};
+
+// Pomodoro -----------------------------------------------------------------
+
+const pomodoro = {
+  settings: {
+    body: {
+      ...Object.fromEntries(
+        Object.entries(POMODORO_LIMITS).map(([field, [min, max]]) => [
+          field,
+          { type: "integer", min, max },
+        ]),
+      ),
+      autoStart: flag,
+    },
+  },
+  // Where completed work intervals are credited; null clears
+  start: {
+    body: {
+      planId: { type: "objectId", nullable: true },
+      todoId: { ...clientId, nullable: true },
+    },
+  },
+};
+
+// Todos --------------------------------------------------------------------
+
+const TODO_FIELDS = {
+  text: text(1000, { required: true, trim: true }),
+  priority: { type: "string", enum: PRIORITIES },
+  dueDate: { ...dayOrDatetime, nullable: true },
+  targetId: targetRef,
+};
+
+const todos = {
+  create: { body: TODO_FIELDS },
+  update: { body: { ...optional(TODO_FIELDS), completed: flag } },
+};
+
+// Account archives ---------------------------------------------------------
+
+// Each collection of an imported export (POST /api/user/import), item by
+// item: what the matching routes accept, with links as the archive's refs
+// instead of ids, plus what only an export carries
+const ref = text(100);
+const without = (fields, ...names) =>
+  Object.fromEntries(
+    Object.entries(fields).filter(([key]) => !names.includes(key)),
+  );
+
+const archive = {
+  targets: { ...without(TARGET_FIELDS, "plans"), ref, sourceUid: text(500) },
+  studyPlans: {
+    ...without(PLAN_FIELDS, "targetId"),
+    ref,
+    targetRef: ref,
+    createdAt: datetime,
+    loggedMinutes: { type: "number", min: 0 },
+    schedule: {
+      type: "object",
+      fields: { ...plans.schedule.body, enabled: flag },
+    },
+  },
+  reminders: {
+    ...without(REMINDER_FIELDS, "planId", "targetId"),
+    planRef: ref,
+    targetRef: ref,
+    // Where the series had got to, so it doesn't start over
+    triggered: flag,
+    snoozedUntil: nullableDatetime,
+    occurrenceCount: { type: "integer", min: 0 },
+  },
+  todos: {
+    ...without(TODO_FIELDS, "targetId"),
+    id: clientId,
+    targetRef: ref,
+    completed: flag,
+    pomodoros: { type: "integer", min: 0 },
+    focusMinutes: { type: "number", min: 0 },
+    createdAt: datetime,
+  },
+  studySessions: {
+    planRef: ref,
+    source: { type: "string", enum: ["timer", "manual", "pomodoro"] },
+    startedAt: { ...datetime, required: true },
+    endedAt: datetime,
+    durationMinutes: { type: "number", min: 0 },
+    day,
+    note: text(1000),
+  },
+};
+
+module.exports = {
+  PRIORITIES,
+  auth,
+  reminders,
+  push,
+  user,
+  admin,
+  targets,
+  plans,
+  calendar,
+  pomodoro,
+  todos,
+  archive,
+};
@@ -0,0 +1,7 @@
+// utils/roles.js
+// Account roles. Admins get the /api/admin routes; ADMIN_EMAILS names the
+// accounts promoted on startup.
+
+const ROLES = ["user", "admin"];
+
+module.exports = { ROLES };
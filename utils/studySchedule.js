@@ -0,0 +1,115 @@
+// utils/studySchedule.js
+// Turns study plans into dated sessions. Pure: the caller supplies "today"
+// (in the user's timezone) and each plan's remaining minutes, window and
+// allowed weekdays; persistence and reminders live in
+// services/studyPlans.js.
+
+const { WEEKDAYS } = require("./recurrence");
+const { weekStart } = require("./studyStats");
+const { addDays } = require("./timezone");
+
+const PRIORITY_WEIGHT = { high: 3, medium: 2, low: 1 };
+// Sessions are planned in quarter hours
+const SLOT_MINUTES = 15;
+
+const weekdayOf = (day) => WEEKDAYS[new Date(`${day}T00:00:00Z`).getUTCDay()];
+const roundUp = (minutes) => Math.ceil(minutes / SLOT_MINUTES) * SLOT_MINUTES;
+const roundDown = (minutes) =>
+  Math.floor(minutes / SLOT_MINUTES) * SLOT_MINUTES;
+
+// The days a plan may use: inside its window, on an allowed weekday, not
+// blacked out, and at most daysPerWeek per (Monday-based) week, spread out
+// across the week rather than bunched at its start
+function candidateDays(plan, today, blackout) {
+  const first = plan.startDay > today ? plan.startDay : today;
+  const byWeek = new Map();
+
+  for (let day = first; day <= plan.endDay; day = addDays(day, 1)) {
+    if (plan.weekdays.length && !plan.weekdays.includes(weekdayOf(day))) {
+      continue;
+    }
+    if (blackout.has(day)) continue;
+
+    const week = weekStart(day);
+    if (!byWeek.has(week)) byWeek.set(week, []);
+    byWeek.get(week).push(day);
+  }
+
+  const perWeek = Math.max(1, Math.min(7, plan.daysPerWeek || 7));
+  return [...byWeek.values()].flatMap((days) => {
+    if (days.length <= perWeek) return days;
+    return Array.from(
+      { length: perWeek },
+      (_, i) => days[Math.floor((i * days.length) / perWeek)],
+    );
+  });
+}
+
+// plans: [{ id, priority, remainingMinutes, startDay, endDay, daysPerWeek,
+//           weekdays: ["MO", ...] (empty = any day) }]
+// Returns { sessions: [{ planId, day, minutes }], shortfalls: { [planId]:
+// minutes that didn't fit before endDay } }.
+//
+// Days are filled in date order. Each plan asks for an even share of what
+// it has left over its remaining days; when a day's capacity can't cover
+// every ask, higher priority and then earlier deadlines go first, and the
+// rest carries over to the plan's later days.
+function buildSchedule(
+  plans,
+  { today, blackoutDates = [], dailyCapacityMinutes = 240 },
+) {
+  const blackout = new Set(blackoutDates);
+  const state = plans
+    .filter((plan) => plan.endDay && plan.endDay >= today)
+    .map((plan) => ({
+      plan,
+      remaining: roundUp(Math.max(0, plan.remainingMinutes)),
+      days: new Set(candidateDays(plan, today, blackout)),
+    }))
+    .map((entry) => ({ ...entry, daysLeft: entry.days.size }));
+
+  const allDays = [
+    ...new Set(state.flatMap((entry) => [...entry.days])),
+  ].sort();
+  const sessions = [];
+
+  for (const day of allDays) {
+    const eligible = state
+      .filter((entry) => entry.days.has(day))
+      .sort(
+        (a, b) =>
+          (PRIORITY_WEIGHT[b.plan.priority] || 2) -
+            (PRIORITY_WEIGHT[a.plan.priority] || 2) ||
+          a.plan.endDay.localeCompare(b.plan.endDay),
+      );
+
+    let capacity = dailyCapacityMinutes;
+    for (const entry of eligible) {
+      const ask = entry.remaining
+        ? Math.max(SLOT_MINUTES, roundUp(entry.remaining / entry.daysLeft))
+        : 0;
+      entry.daysLeft--;
+
+      const minutes = roundDown(Math.min(ask, capacity, entry.remaining));
+      if (minutes <= 0) continue;
+
+      sessions.push({ planId: entry.plan.id, day, minutes });
+      entry.remaining -= minutes;
+      capacity -= minutes;
+    }
+  }
+
+  const shortfalls = {};
+  for (const entry of state) {
+    if (entry.remaining > 0) shortfalls[entry.plan.id] = entry.remaining;
+  }
+
+  return { sessions, shortfalls };
+}
+
+module.exports = {
+  PRIORITY_WEIGHT,
+  SLOT_MINUTES,
+  candidateDays,
+  buildSchedule,
+};
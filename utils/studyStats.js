@@ -0,0 +1,106 @@
+// utils/studyStats.js
+// Streaks, completion and period counts derived from StudyPlan.studiedDays.
+// Everything works on "YYYY-MM-DD" day strings, with "today" supplied by the
+// caller in the user's timezone.
+
+const { parseDay, formatDay, addDays, daysBetween } = require("./timezone");
+
+// Plan start/end dates are stored as UTC midnight of the chosen day
+const planDay = (date) =>
+  date ? new Date(date).toISOString().slice(0, 10) : null;
+
+function uniqueSortedDays(days) {
+  return [...new Set(days.filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d)))].sort();
+}
+
+// current: run ending today, or yesterday if today isn't marked yet (the
+// streak is still alive until the day is over). longest: best run ever.
+function computeStreaks(days, today) {
+  const sorted = uniqueSortedDays(days).filter((d) => d <= today);
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const day of sorted) {
+    run = previous && daysBetween(previous, day) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  }
+
+  const last = sorted[sorted.length - 1];
+  const alive = last && daysBetween(last, today) <= 1;
+  return { current: alive ? run : 0, longest };
+}
+
+// Monday of the week `day` falls in
+function weekStart(day) {
+  const weekday = parseDay(day).getUTCDay();
+  return addDays(day, -((weekday + 6) % 7));
+}
+
+// Studied-day counts for the last `weeks` weeks (Monday-based) and
+// `months` calendar months, oldest first, zero-filled
+function periodCounts(days, today, { weeks = 12, months = 12 } = {}) {
+  const sorted = uniqueSortedDays(days);
+
+  const currentWeek = weekStart(today);
+  const weekly = [];
+  for (let i = weeks - 1; i >= 0; i--) {
+    const start = addDays(currentWeek, -7 * i);
+    const end = addDays(start, 6);
+    weekly.push({
+      weekStart: start,
+      days: sorted.filter((d) => d >= start && d <= end).length,
+    });
+  }
+
+  const [year, month] = today.split("-").map(Number);
+  const monthly = [];
+  for (let i = months - 1; i >= 0; i--) {
+    const date = new Date(Date.UTC(year, month - 1 - i, 1));
+    const key = formatDay(date).slice(0, 7);
+    monthly.push({
+      month: key,
+      days: sorted.filter((d) => d.startsWith(key)).length,
+    });
+  }
+
+  return { weekly, monthly };
+}
+
+// How much of the plan's target has been studied. The target is daysPerWeek
+// study days for every week between startDate and endDate; expectedToDate is
+// the share of it that should be done by today.
+function planCompletion(plan, today) {
+  const start = planDay(plan.startDate);
+  const end = planDay(plan.endDate);
+  const perWeek = Number(plan.daysPerWeek) || 0;
+  const days = uniqueSortedDays(plan.studiedDays || []);
+
+  if (!start || !end || end < start || perWeek <= 0) {
+    return {
+      studiedDays: days.length,
+      expectedDays: null,
+      expectedToDate: null,
+      completion: plan.completed ? 100 : 0,
+    };
+  }
+
+  const studied = days.filter((d) => d >= start && d <= end).length;
+  const expectedFor = (until) =>
+    Math.min(
+      daysBetween(start, until) + 1,
+      Math.ceil(((daysBetween(start, until) + 1) / 7) * perWeek),
+    );
+
+  const expectedDays = expectedFor(end);
+  const expectedToDate =
+    today < start ? 0 : expectedFor(today < end ? today : end);
+  const completion = plan.completed
+    ? 100
+    : Math.min(100, Math.round((studied / expectedDays) * 100));
+
+  return { studiedDays: studied, expectedDays, expectedToDate, completion };
+}
+
+module.exports = { computeStreaks, periodCounts, planCompletion, weekStart };
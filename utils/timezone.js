@@ -0,0 +1,139 @@
+// utils/timezone.js
+// IANA timezone helpers built on Intl, so the server interprets users'
+// wall-clock dates and times in their own zone instead of its own (UTC on
+// Vercel).
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "UTC";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function isValidTimeZone(timezone) {
+  if (!timezone || typeof timezone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+const resolveZone = (timezone) =>
+  isValidTimeZone(timezone) ? timezone : DEFAULT_TIMEZONE;
+
+// Wall-clock parts of `date` as seen in `timezone`
+function getZonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: resolveZone(timezone),
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+}
+
+// Offset of `timezone` from UTC at the instant `date`, in ms
+function getOffsetMs(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second,
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant at which it is `dateStr` ("YYYY-MM-DD") `timeStr` ("HH:MM")
+// in `timezone`. Wall-clock times skipped by a DST jump shift by the size
+// of the gap.
+function zonedTimeToUtc(dateStr, timeStr, timezone) {
+  const [y, m, d] = String(dateStr).split("-").map(Number);
+  const [hh, mm] = String(timeStr || "00:00")
+    .split(":")
+    .map(Number);
+  const wallClock = Date.UTC(y, m - 1, d, hh || 0, mm || 0);
+
+  // Two passes settle on the right side of a DST transition
+  let guess = wallClock - getOffsetMs(new Date(wallClock), timezone);
+  guess = wallClock - getOffsetMs(new Date(guess), timezone);
+  return new Date(guess);
+}
+
+// Day strings ("YYYY-MM-DD") carry no zone of their own; arithmetic on them
+// goes through UTC midnight of the day
+function parseDay(day) {
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function formatDay(date) {
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+const addDays = (day, n) =>
+  formatDay(new Date(parseDay(day).getTime() + n * DAY_MS));
+
+const daysBetween = (from, to) =>
+  Math.round((parseDay(to) - parseDay(from)) / DAY_MS);
+
+// "YYYY-MM-DD" for the calendar day `date` falls on in `timezone`
+function toDateString(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+// "HH:MM" wall-clock time of `date` in `timezone`
+function toTimeString(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  return `${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+function todayInZone(timezone, now = new Date()) {
+  return toDateString(now, timezone);
+}
+
+// Whole calendar days from today to `date` in `timezone` (0 = today,
+// negative = past), rather than a raw 24h-period count
+function calendarDaysUntil(date, timezone, now = new Date()) {
+  return daysBetween(todayInZone(timezone, now), toDateString(date, timezone));
+}
+
+function formatInZone(date, timezone) {
+  return date.toLocaleString("en-US", {
+    timeZone: resolveZone(timezone),
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  resolveZone,
+  zonedTimeToUtc,
+  parseDay,
+  formatDay,
+  addDays,
+  daysBetween,
+  toDateString,
+  toTimeString,
+  todayInZone,
+  calendarDaysUntil,
+  formatInZone,
+};
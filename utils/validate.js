@@ -0,0 +1,245 @@
+// utils/validate.js
+// Declarative request validation. A schema maps field names to specs:
+//
+//   {
+//     label: { type: "string", required: true, max: 200 },
+//     priority: { type: "string", enum: ["low", "medium", "high"] },
+//     date: { type: "string", format: "date" },
+//     days: { type: "array", items: { type: "string", format: "date" } },
+//   }
+//
+// Types: string, number, integer, boolean, objectId, array (`items`),
+// object (`fields`; without them any object passes) and any. Other options:
+// required, nullable (null, and "" for strings, come through as null), enum,
+// min/max (string length, array size or numeric range), format (one name or
+// a list, see FORMATS), oneOf (a list of specs; the first that fits wins),
+// coerce (accept "12" / "true" for numbers and booleans; always on for query
+// strings and route params) and check (value => message or undefined).
+//
+// Fields the schema doesn't name are dropped from request bodies, so a route
+// only ever sees what it declared. Errors come back as
+//   400 { error: "Validation failed", fields: [{ field, message }] }
+
+const { isValidTimeZone } = require("./timezone");
+
+// Strings without their own max are still capped
+const DEFAULT_MAX_LENGTH = 10000;
+
+function isCalendarDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+  const [, y, m, d] = match.map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+const FORMATS = {
+  date: { test: isCalendarDate, message: "a date (YYYY-MM-DD)" },
+  time: {
+    test: (value) => /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value),
+    message: "a time (HH:MM)",
+  },
+  datetime: {
+    test: (value) =>
+      /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(Date.parse(value)),
+    message: "a date and time (ISO 8601)",
+  },
+  email: {
+    test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: "an email address",
+  },
+  color: {
+    test: (value) => /^#[0-9a-f]{6}$/i.test(value),
+    message: "a hex colour (#rrggbb)",
+  },
+  timezone: { test: isValidTimeZone, message: "an IANA timezone" },
+};
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const join = (path, key) =>
+  typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+// Checks one value against its spec. Problems are pushed onto `errors`;
+// returns the cleaned value.
+function checkValue(spec, value, path, errors, coerce) {
+  const fail = (message) => {
+    errors.push({ field: path, message: spec.message || message });
+    return undefined;
+  };
+
+  if (value === null || (value === "" && spec.nullable)) {
+    if (spec.nullable) return null;
+    return fail(spec.required ? "is required" : "can't be null");
+  }
+
+  if (spec.oneOf) {
+    for (const option of spec.oneOf) {
+      const attempt = [];
+      const cleaned = checkValue(option, value, path, attempt, coerce);
+      if (!attempt.length) return cleaned;
+    }
+    return fail("has an unsupported value");
+  }
+
+  const canCoerce = coerce || spec.coerce;
+  let cleaned = value;
+
+  switch (spec.type) {
+    case "string": {
+      if (typeof value !== "string") return fail("must be text");
+      cleaned = spec.trim ? value.trim() : value;
+      if (spec.required && !cleaned.trim()) return fail("is required");
+      const max = spec.max ?? DEFAULT_MAX_LENGTH;
+      if (cleaned.length > max) {
+        return fail(`must be at most ${max} characters`);
+      }
+      if (spec.min !== undefined && cleaned.length < spec.min) {
+        return fail(`must be at least ${spec.min} characters`);
+      }
+      if (spec.format) {
+        const formats = [].concat(spec.format).map((name) => FORMATS[name]);
+        if (!formats.some((format) => format.test(cleaned))) {
+          return fail(
+            `must be ${formats.map((format) => format.message).join(" or ")}`,
+          );
+        }
+      }
+      if (spec.pattern && !spec.pattern.test(cleaned)) {
+        return fail("has an invalid format");
+      }
+      break;
+    }
+
+    case "number":
+    case "integer": {
+      if (canCoerce && typeof value === "string" && value.trim() !== "") {
+        cleaned = Number(value);
+      }
+      if (typeof cleaned !== "number" || !Number.isFinite(cleaned)) {
+        return fail(
+          spec.type === "integer"
+            ? "must be a whole number"
+            : "must be a number",
+        );
+      }
+      if (spec.type === "integer" && !Number.isInteger(cleaned)) {
+        return fail("must be a whole number");
+      }
+      if (spec.min !== undefined && cleaned < spec.min) {
+        return fail(`must be at least ${spec.min}`);
+      }
+      if (spec.max !== undefined && cleaned > spec.max) {
+        return fail(`must be at most ${spec.max}`);
+      }
+      break;
+    }
+
+    case "boolean":
+      if (canCoerce && (value === "true" || value === "false")) {
+        cleaned = value === "true";
+      }
+      if (typeof cleaned !== "boolean") return fail("must be true or false");
+      break;
+
+    case "objectId":
+      if (typeof value !== "string" || !/^[a-f\d]{24}$/i.test(value)) {
+        return fail("must be an id");
+      }
+      break;
+
+    case "array": {
+      if (!Array.isArray(value)) return fail("must be a list");
+      if (spec.max !== undefined && value.length > spec.max) {
+        return fail(`must have at most ${spec.max} entries`);
+      }
+      if (spec.items) {
+        cleaned = value.map((item, i) =>
+          checkValue(spec.items, item, join(path, i), errors, coerce),
+        );
+      }
+      break;
+    }
+
+    case "object":
+      if (!isPlainObject(value)) return fail("must be an object");
+      if (spec.fields) {
+        cleaned = checkFields(spec.fields, value, path, errors, coerce);
+      }
+      break;
+
+    case "any":
+      break;
+
+    default:
+      throw new Error(`Unknown schema type "${spec.type}" at ${path}`);
+  }
+
+  if (spec.enum && !spec.enum.includes(cleaned)) {
+    return fail(`must be one of ${spec.enum.join(", ")}`);
+  }
+  if (spec.check) {
+    const message = spec.check(cleaned);
+    if (message) return fail(message);
+  }
+  return cleaned;
+}
+
+// Checks `input` against a fields schema; returns only the declared fields.
+// With `coerce` (query strings, params) an empty value counts as missing.
+function checkFields(schema, input, path, errors, coerce) {
+  const cleaned = {};
+  for (const [key, spec] of Object.entries(schema)) {
+    const value = input?.[key];
+    const fieldPath = join(path, key);
+    if (value === undefined || (coerce && value === "")) {
+      if (spec.required) {
+        errors.push({ field: fieldPath, message: "is required" });
+      }
+      continue;
+    }
+    const result = checkValue(spec, value, fieldPath, errors, coerce);
+    if (result !== undefined) cleaned[key] = result;
+  }
+  return cleaned;
+}
+
+// The same fields with nothing required, e.g. for partial updates
+const optional = (schema) =>
+  Object.fromEntries(
+    Object.entries(schema).map(([key, spec]) => [
+      key,
+      { ...spec, required: false },
+    ]),
+  );
+
+// Express middleware: validate({ params, query, body }), each a fields
+// schema. The body is replaced by its cleaned copy; params and query are
+// only checked, since routes read them as strings.
+function validate({ params, query, body }) {
+  return (req, res, next) => {
+    const errors = [];
+    if (params) checkFields(params, req.params, "", errors, true);
+    if (query) checkFields(query, req.query, "", errors, true);
+
+    let cleanedBody;
+    if (body) {
+      if (req.body !== undefined && !isPlainObject(req.body)) {
+        errors.push({ field: "body", message: "must be a JSON object" });
+      } else {
+        cleanedBody = checkFields(body, req.body || {}, "", errors, false);
+      }
+    }
+
+    if (errors.length) {
+      return res
+        .status(400)
+        .json({ error: "Validation failed", fields: errors });
+    }
+    if (body) req.body = cleanedBody;
+    next();
+  };
+}
+
+module.exports = { FORMATS, validate, checkFields, optional };